@@ -1,13 +1,26 @@
 const express = require('express');
+const crypto = require('crypto');
 const cors = require('cors');
 const multer = require('multer');
 const moment = require('moment');
-const { GoogleAuth } = require('google-auth-library');
-const { google } = require('googleapis');
 const fs = require('fs');
 const path = require('path');
 const cloudinary = require('cloudinary').v2;
+const mongoose = require('mongoose');
 require('dotenv').config();
+const { connectDatabase, isDatabaseConnected } = require('./lib/database');
+const iconStore = require('./lib/iconStore');
+const auth = require('./lib/auth');
+const pushNotifications = require('./lib/pushNotifications');
+const deviceStore = require('./lib/deviceStore');
+const iconScheduler = require('./lib/iconScheduler');
+const iconAssets = require('./lib/iconAssets');
+const iconVariants = require('./lib/iconVariants');
+const iconHistory = require('./lib/iconHistory');
+const iconStream = require('./lib/iconStream');
+const iconTargeting = require('./lib/iconTargeting');
+const { validateRequest, sendError, sendValidationError } = require('./lib/requestValidation');
+const schemas = require('./lib/requestSchemas');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -19,6 +32,13 @@ cloudinary.config({
     api_secret: process.env.CLOUDINARY_API_SECRET
 });
 
+// Behind a load balancer, TRUST_PROXY makes req.ip the client address (used by rate limits):
+// 'true', a hop count, or a list of proxy addresses
+if (process.env.TRUST_PROXY) {
+    const trustProxy = process.env.TRUST_PROXY;
+    app.set('trust proxy', trustProxy === 'true' ? true : /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy);
+}
+
 // Middleware
 app.use(cors());
 app.use(express.json({ limit: '10mb' }));
@@ -33,30 +53,6 @@ if (!fs.existsSync(uploadsDir)) {
     fs.mkdirSync(uploadsDir, { recursive: true });
 }
 
-// ========================================
-// ICON CHANGER API - In-memory storage
-// ========================================
-let activeIcons = {
-    DEFAULT: {
-        name: 'Default',
-        url: '/uploads/icons/default.png',
-        isActive: true,
-        lastUpdated: new Date()
-    },
-    navratri1: {
-        name: 'Navratri 1',
-        url: '/uploads/icons/navratri1.png',
-        isActive: false,
-        lastUpdated: new Date()
-    },
-    navratri3: {
-        name: 'Navratri 3',
-        url: '/uploads/icons/navratri3.png',
-        isActive: false,
-        lastUpdated: new Date()
-    }
-};
-
 // ========================================
 // FEEDBACK API - Multer Configuration
 // ========================================
@@ -81,160 +77,204 @@ const upload = multer({
     fileFilter: fileFilter
 });
 
+// Icon uploads: one image per request, checked for real format and square size in the route
+const iconUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: parseInt(process.env.ICON_MAX_FILE_SIZE) || 2 * 1024 * 1024 // 2MB default
+    },
+    fileFilter: (req, file, cb) => {
+        const fileExt = path.extname(file.originalname).toLowerCase().slice(1);
+        if (iconAssets.ALLOWED_ICON_FORMATS.includes(fileExt)) {
+            cb(null, true);
+        } else {
+            cb(new Error(`File type ${fileExt} is not allowed. Allowed types: ${iconAssets.ALLOWED_ICON_FORMATS.join(', ')}`), false);
+        }
+    }
+});
+
+// Stored icon URLs are either absolute (Cloudinary, external) or paths served by this API
+function resolveIconUrl(req, url) {
+    return /^https?:\/\//.test(url) ? url : `${req.protocol}://${req.get('host')}${url}`;
+}
+
+// Seconds apps and CDNs may reuse a current-icon response before revalidating
+const ICON_CACHE_MAX_AGE = parseInt(process.env.ICON_CACHE_MAX_AGE) || 60;
+
+// Function to set caching headers for GET /api/app/current-icon. The strong ETag hashes the
+// response data, which carries the icon name, lastUpdated and selected variant. Last-Modified is
+// when the answer last changed (see getIconLastModified); responses picked by a targeting rule
+// leave it out and rely on the ETag. max-age is capped so caches expire by the next campaign start/end.
+function setIconCacheHeaders(res, data, { lastModified = null, isPrivate = false } = {}) {
+    const hash = crypto.createHash('sha1').update(JSON.stringify(data)).digest('base64url');
+    let maxAge = ICON_CACHE_MAX_AGE;
+
+    const nextBoundary = iconScheduler.getNextBoundary();
+    if (nextBoundary) {
+        const secondsToBoundary = Math.floor((nextBoundary.getTime() - Date.now()) / 1000);
+        maxAge = Math.max(0, Math.min(maxAge, secondsToBoundary));
+    }
+
+    res.set('ETag', `"${hash}"`);
+    if (lastModified) {
+        res.set('Last-Modified', lastModified.toUTCString());
+    }
+    res.set('Cache-Control', `${isPrivate ? 'private' : 'public'}, max-age=${maxAge}, stale-while-revalidate=${maxAge * 5}`);
+}
+
+// Function to find when the current icon last changed. Switching back to an icon edited long ago
+// must still look newer to If-Modified-Since clients, so the latest activation counts too.
+async function getIconLastModified(icon) {
+    const lastActivationAt = await iconHistory.getLastActivationAt();
+    const times = [icon.lastUpdated, lastActivationAt].filter(Boolean).map(time => new Date(time).getTime());
+    return new Date(Math.max(...times));
+}
+
 // ========================================
-// FEEDBACK API - Google Sheets Configuration
+// FEEDBACK API - Storage and Photo Uploads
 // ========================================
-const SCOPES = ['https://www.googleapis.com/auth/spreadsheets'];
-
-// Function to upload images to Cloudinary
-async function uploadToCloudinary(buffer, originalname) {
-    return new Promise((resolve, reject) => {
-        const uploadOptions = {
-            resource_type: 'image',
-            folder: 'feedback-photos',
-            public_id: `feedback_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-            quality: 'auto',
-            fetch_format: 'auto',
-            transformation: [
-                { width: 1200, height: 1200, crop: 'limit' },
-                { quality: 'auto:good' }
-            ]
-        };
+const { getFeedbackStore } = require('./lib/feedbackStore');
+const {
+    MAX_PHOTOS_PER_FEEDBACK,
+    prepareFeedbackPhoto,
+    uploadToCloudinary,
+    getReviewUrl,
+    deleteUploadedPhotos,
+    withoutHeldPhotos,
+    createUploadSignatures,
+    verifyUploadedPhotos,
+    screenDirectUpload,
+    publishDirectUploads,
+    unpublishDirectUploads
+} = require('./lib/feedbackPhotos');
+const photoModeration = require('./lib/photoModeration');
+const photoCleanup = require('./lib/photoCleanup');
+const userData = require('./lib/userData');
+const feedbackSpamGuard = require('./lib/feedbackSpamGuard');
+const feedbackOutbox = require('./lib/feedbackOutbox');
+const feedbackTriage = require('./lib/feedbackTriage');
+const feedbackQuery = require('./lib/feedbackQuery');
+const feedbackExport = require('./lib/feedbackExport');
+
+// Function to answer a failed feedback request: 503 with Retry-After while the store's
+// circuit breaker is open, 500 for anything else
+function sendFeedbackError(res, error) {
+    if (error.code === 'FEEDBACK_STORE_UNAVAILABLE') {
+        res.set('Retry-After', String(error.retryAfter));
+        return sendError(res, 503, 'Feedback storage is temporarily unavailable', error.message);
+    }
+    sendError(res, 500, 'Internal server error', error.message);
+}
 
-        cloudinary.uploader.upload_stream(
-            uploadOptions,
-            (error, result) => {
-                if (error) {
-                    console.error('Cloudinary upload error:', error);
-                    reject(error);
-                } else {
-                    console.log(`✅ Uploaded to Cloudinary: ${result.secure_url}`);
-                    resolve({
-                        url: result.secure_url,
-                        public_id: result.public_id,
-                        original_name: originalname,
-                        width: result.width,
-                        height: result.height,
-                        bytes: result.bytes
-                    });
-                }
-            }
-        ).end(buffer);
-    });
+// Single-feedback responses carry structured photos instead of the comma-joined URL string
+function toFeedbackResource(record) {
+    const { photo_details: photoDetails, ...feedback } = record;
+    return { ...feedback, photos: photoDetails, deliveryStatus: 'delivered' };
 }
 
-// Function to get Google Sheets instance
-async function getGoogleSheetsInstance() {
-    try {
-        const credentialsPath = path.join(__dirname, 'a.json');
-        if (!fs.existsSync(credentialsPath)) {
-            throw new Error('Google credentials file (a.json) not found');
+// Function to answer a submission caught by the honeypot exactly like an accepted one
+function sendDecoySubmission(res, body, files = []) {
+    const photoCount = files.length + (Array.isArray(body.uploadedPhotos) ? body.uploadedPhotos.length : 0);
+    res.status(201).json({
+        success: true,
+        message: 'Feedback submitted successfully',
+        data: {
+            id: crypto.randomUUID(),
+            submittedAt: new Date().toISOString(),
+            deliveryStatus: 'pending',
+            photosUploaded: photoCount,
+            photosQueued: 0,
+            photosHeldForReview: 0,
+            photosAttempted: photoCount,
+            title: body.title,
+            description: body.description,
+            photoUrls: [],
+            photoDetails: []
         }
+    });
+}
 
-        const credentials = JSON.parse(fs.readFileSync(credentialsPath, 'utf8'));
+// Function to answer for an ID the store doesn't have: 409 while the submission is still in
+// the outbox, 404 otherwise
+async function sendFeedbackNotFound(res, id) {
+    const entry = await feedbackOutbox.getOutboxEntry(id);
+    if (entry && entry.status !== 'delivered') {
+        return sendError(res, 409, 'Feedback not delivered yet', `Feedback '${id}' is still queued for storage (${entry.status}); try again shortly`);
+    }
+    sendError(res, 404, 'Feedback not found', `No feedback with id '${id}'`);
+}
 
-        const auth = new GoogleAuth({
-            credentials: credentials,
-            scopes: SCOPES,
-        });
+// Event data describing an icon, shared by the live stream and its initial snapshot
+function buildIconEventData(icon) {
+    return {
+        iconName: icon.iconName,
+        displayName: icon.name,
+        url: icon.url,
+        lastUpdated: icon.lastUpdated,
+        variants: iconVariants.getIconVariants(icon)
+    };
+}
 
-        const authClient = await auth.getClient();
-        const testResponse = await authClient.getAccessToken();
-        if (!testResponse.token) {
-            throw new Error('Failed to obtain access token');
-        }
+// Function to pick the icon for a targeting context: the first matching rule's icon, otherwise
+// the global active icon. Returns { icon, rule, usedUserBucket, evaluations }.
+async function resolveIconForContext(context) {
+    const rules = await iconTargeting.getEnabledRules();
+    const { rule, usedUserBucket, evaluations } = iconTargeting.evaluateRules(rules, context);
 
-        const sheets = google.sheets({ version: 'v4', auth: authClient });
-        return sheets;
-    } catch (error) {
-        console.error('Error setting up Google Sheets:', error);
-        throw error;
+    if (rule) {
+        const icon = await iconStore.getIcon(rule.iconName);
+        if (icon) {
+            return { icon, rule, usedUserBucket, evaluations };
+        }
+        console.error(`❌ Rule '${rule.name}' points at missing icon '${rule.iconName}'`);
     }
-}
 
-// Function to append data to Google Sheets
-async function appendToSheet(feedbackData) {
-    try {
-        const sheets = await getGoogleSheetsInstance();
-        const spreadsheetId = process.env.GOOGLE_SHEET_ID;
-
-        const values = [
-            [
-                feedbackData.title || '',
-                feedbackData.description || '',
-                feedbackData.photos || '',
-                feedbackData.userId || '',
-                feedbackData.emailId || '',
-                feedbackData.date || '',
-                feedbackData.timestamp || ''
-            ]
-        ];
+    return { icon: await iconStore.getActiveIcon(), rule: null, usedUserBucket, evaluations };
+}
 
-        const resource = { values };
+// Function to push the icon state to open streams. Clients a targeting rule applies to get their rule's icon.
+async function broadcastIconChange(icon) {
+    const rules = await iconTargeting.getEnabledRules();
+    let pick;
 
-        const result = await sheets.spreadsheets.values.append({
-            spreadsheetId,
-            range: 'Sheet1!A:G',
-            valueInputOption: 'RAW',
-            resource,
+    if (rules.length > 0) {
+        const ruleIcons = {};
+        (await iconStore.getIconsByName(rules.map(rule => rule.iconName))).forEach(ruleIcon => {
+            ruleIcons[ruleIcon.iconName] = ruleIcon;
         });
 
-        console.log('✅ Data successfully added to Google Sheets');
-        return result;
-    } catch (error) {
-        console.error('❌ Error appending to sheet:', error);
-        throw error;
+        pick = context => {
+            const { rule } = iconTargeting.evaluateRules(rules, context);
+            const ruleIcon = rule && ruleIcons[rule.iconName];
+            return ruleIcon ? buildIconEventData(ruleIcon) : null;
+        };
     }
+
+    iconStream.broadcast('icon', buildIconEventData(icon), pick);
 }
 
-// Function to initialize sheet headers
-async function initializeSheetHeaders() {
-    try {
-        const sheets = await getGoogleSheetsInstance();
-        const spreadsheetId = process.env.GOOGLE_SHEET_ID;
-
-        const response = await sheets.spreadsheets.values.get({
-            spreadsheetId,
-            range: 'Sheet1!A1:G1',
-        });
-
-        if (!response.data.values || response.data.values.length === 0) {
-            const headers = [
-                'Title',
-                'Description',
-                'Photos',
-                'User ID',
-                'Email ID',
-                'Date',
-                'TimeStamp'
-            ];
-
-            await sheets.spreadsheets.values.update({
-                spreadsheetId,
-                range: 'Sheet1!A1:G1',
-                valueInputOption: 'RAW',
-                resource: { values: [headers] },
-            });
-            
-            console.log('✅ Sheet headers initialized');
-        } else {
-            console.log('✅ Sheet headers already exist');
-        }
-    } catch (error) {
-        console.error('❌ Error initializing sheet headers:', error);
+// Function to notify all apps (for icon changes): open apps get it instantly over
+// GET /api/app/icon-stream, everything else by push. Pass a device filter
+// ({ platform, appVersion, locale, userId }) to push only to matching registered devices.
+async function notifyAllApps(icon, target) {
+    await broadcastIconChange(icon).catch(error => console.error('❌ Icon stream broadcast error:', error));
+
+    if (target && Object.keys(deviceStore.buildDeviceFilter(target)).length > 0) {
+        const pushTokens = await deviceStore.getPushTokens(target);
+        console.log(`📢 Notifying ${pushTokens.length} devices: Active icon changed to ${icon.iconName}`);
+        return pushNotifications.sendIconChangeToDevices(icon, pushTokens);
     }
-}
 
-// Function to notify all apps (for icon changes)
-function notifyAllApps(activeIconName) {
-    console.log(`📢 Notifying all apps: Active icon changed to ${activeIconName}`);
+    console.log(`📢 Notifying all apps: Active icon changed to ${icon.iconName}`);
+    return pushNotifications.sendIconChange(icon);
 }
 
 // ========================================
 // ROUTES - Health Check
 // ========================================
-app.get('/health', (req, res) => {
+app.get('/health', async (req, res) => {
     console.log('✅ Health check requested');
+    const databaseConnected = isDatabaseConnected();
     res.json({ 
         success: true,
         message: 'Unified API is running!',
@@ -245,17 +285,73 @@ app.get('/health', (req, res) => {
             configured: !!(process.env.CLOUDINARY_CLOUD_NAME && process.env.CLOUDINARY_API_KEY),
             cloud_name: process.env.CLOUDINARY_CLOUD_NAME || 'Not configured'
         },
-        activeIcons: Object.keys(activeIcons).length,
+        database: databaseConnected ? 'connected' : 'disconnected',
+        feedbackStore: process.env.FEEDBACK_STORE || 'sheets',
+        iconStreamClients: iconStream.getClientCount(),
+        activeIcons: databaseConnected ? await iconStore.countIcons().catch(() => null) : null,
         availableRoutes: {
             feedback: [
-                'POST /api/feedback - Submit feedback with photos',
-                'GET /api/feedback - Retrieve all feedback'
+                'POST /api/feedback - Submit feedback with photos (multipart or uploadedPhotos)',
+                'POST /api/feedback/upload-signature - Signed parameters for direct photo uploads',
+                'GET /api/feedback/form-token - Single-use token for the feedback form',
+                'GET /api/feedback - Search and page through feedback (admin)',
+                'GET /api/feedback/export - Export feedback as csv, ndjson or xlsx (admin)',
+                'GET /api/feedback/:id - Retrieve one feedback entry (admin)',
+                'PATCH /api/feedback/:id - Triage: status, assignee, labels (admin)',
+                'GET /api/feedback/:id/notes - Internal notes (admin)',
+                'POST /api/feedback/:id/notes - Add an internal note (admin)',
+                'DELETE /api/feedback/:id/notes/:noteId - Delete an internal note (admin)',
+                'POST /api/feedback/:id/photos/:publicId/approve - Publish a photo held for moderation (admin)',
+                'POST /api/feedback/:id/photos/:publicId/reject - Delete a photo held for moderation (admin)',
+                'DELETE /api/feedback/:id/photos/:publicId - Delete a photo (admin)'
+            ],
+            adminAuth: [
+                'POST /api/admin/login - Log in and receive access/refresh tokens',
+                'POST /api/admin/token/refresh - Refresh access token',
+                'POST /api/admin/logout - Revoke refresh tokens',
+                'POST /api/admin/users - Create admin user'
             ],
             iconChanger: [
                 'GET /api/app/current-icon - Get current active icon',
+                'GET /api/app/icon-stream - Live icon changes (Server-Sent Events)',
                 'GET /api/admin/icons - Get all icons',
                 'POST /api/admin/icons/activate - Activate an icon',
-                'POST /api/admin/icons/add - Add new icon'
+                'POST /api/admin/icons/add - Add new icon (iconUrl or multipart "icon" file)',
+                'PATCH /api/admin/icons/:iconName - Update or rename an icon',
+                'GET /api/admin/icons/history - Activation history',
+                'POST /api/admin/icons/rollback - Undo the last icon change',
+                'DELETE /api/admin/icons/:iconName - Delete an icon',
+                'GET /api/admin/notifications - Recent push deliveries'
+            ],
+            campaigns: [
+                'POST /api/admin/campaigns - Schedule an icon campaign',
+                'GET /api/admin/campaigns - List campaigns',
+                'DELETE /api/admin/campaigns/:id - Cancel a campaign'
+            ],
+            targeting: [
+                'POST /api/admin/icon-rules - Create a targeting rule',
+                'GET /api/admin/icon-rules - List targeting rules',
+                'POST /api/admin/icon-rules/preview - Preview the icon for a context',
+                'PATCH /api/admin/icon-rules/:id - Update a targeting rule',
+                'DELETE /api/admin/icon-rules/:id - Delete a targeting rule'
+            ],
+            devices: [
+                'POST /api/app/devices - Register a device',
+                'DELETE /api/app/devices/:pushToken - Unregister a device',
+                'GET /api/admin/devices - List registered devices'
+            ],
+            userData: [
+                'GET /api/app/users/:userId/feedback - Your own feedback (app user token)',
+                'GET /api/admin/app-users/:userId/export - Export everything held about a user',
+                'POST /api/admin/app-users/:userId/erase - Erase or anonymize user data',
+                'GET /api/admin/erasure-receipts - Erasure audit receipts'
+            ],
+            feedbackOutbox: [
+                'GET /api/admin/feedback-outbox - Queued and failed feedback deliveries',
+                'POST /api/admin/feedback-outbox/replay - Retry all dead-lettered deliveries',
+                'POST /api/admin/feedback-outbox/:feedbackId/replay - Retry one dead-lettered delivery',
+                'GET /api/admin/feedback-photos - Photos held for moderation',
+                'POST /api/admin/feedback-photos/reconcile - Report or delete orphaned Cloudinary photos'
             ],
             general: [
                 'GET /health - Health check'
@@ -268,8 +364,54 @@ app.get('/health', (req, res) => {
 // FEEDBACK API ROUTES
 // ========================================
 
-// POST endpoint for feedback submission
-app.post('/api/feedback', upload.array('photos', 10), async (req, res) => {
+// POST endpoint issuing signed parameters so the app can upload photos straight to Cloudinary,
+// then send the upload results to POST /api/feedback as `uploadedPhotos`
+app.post('/api/feedback/upload-signature', feedbackSpamGuard.limitByIp('upload-signature'), validateRequest(schemas.feedback.uploadSignature), (req, res) => {
+    try {
+        if (!iconAssets.isCloudinaryConfigured()) {
+            return sendError(res, 503, 'Photo uploads are not configured', 'Send photos as multipart uploads to POST /api/feedback instead');
+        }
+
+        res.set('Cache-Control', 'no-store');
+        res.json({
+            success: true,
+            data: createUploadSignatures(req.body.count)
+        });
+
+    } catch (error) {
+        console.error('❌ Error creating upload signature:', error);
+        sendError(res, 500, 'Internal server error', error.message);
+    }
+});
+
+// GET endpoint issuing a single-use form token, required on POST /api/feedback as `formToken`
+// when FEEDBACK_REQUIRE_FORM_TOKEN=true. Fetch it when the feedback form opens.
+app.get('/api/feedback/form-token', feedbackSpamGuard.limitByIp('form-token'), (req, res) => {
+    try {
+        res.set('Cache-Control', 'no-store');
+        res.json({
+            success: true,
+            required: feedbackSpamGuard.isFormTokenRequired(),
+            data: feedbackSpamGuard.issueFormToken()
+        });
+
+    } catch (error) {
+        console.error('❌ Error issuing form token:', error);
+        sendError(res, 500, 'Internal server error', error.message);
+    }
+});
+
+// POST endpoint for feedback submission (fields in schemas.feedback.submit)
+app.post('/api/feedback', feedbackSpamGuard.limitByIp('feedback'), upload.array('photos', MAX_PHOTOS_PER_FEEDBACK), validateRequest(schemas.feedback.submit), async (req, res) => {
+    // Photos this request put on Cloudinary, deleted again if the submission fails, and direct
+    // uploads it made public, made private again
+    const rollbackPhotos = [];
+    let publishedPhotos = [];
+    // Duplicate-detection claim, released again if the submission fails
+    let fingerprint = null;
+    // Form token and per-user limit claims, released again unless the submission is accepted
+    let spamClaims = null;
+
     try {
         const {
             title,
@@ -288,408 +430,1942 @@ app.post('/api/feedback', upload.array('photos', 10), async (req, res) => {
             filesCount: req.files ? req.files.length : 0
         });
 
-        // Validation
-        if (!title || title.trim() === '') {
-            return res.status(400).json({
-                success: false,
-                error: 'Title is required'
-            });
+        // Honeypot, form token and per-user limit
+        const spamCheck = await feedbackSpamGuard.checkSubmission(req.body);
+        if (spamCheck.trapped) {
+            // Nothing is stored, but the bot gets the usual answer so it can't tell it was caught
+            console.log(`🚫 Feedback from ${req.ip} dropped: ${spamCheck.trapped}`);
+            return sendDecoySubmission(res, req.body, req.files);
+        }
+        if (spamCheck.rejected) {
+            console.log(`🚫 Feedback rejected from ${req.ip}: ${spamCheck.rejected}`);
+            return sendValidationError(res, [{
+                location: 'body',
+                field: 'formToken',
+                message: 'formToken is missing, invalid or expired; get a new one from GET /api/feedback/form-token and submit again'
+            }]);
+        }
+        if (!spamCheck.claims) {
+            return feedbackSpamGuard.sendTooManyRequests(res, spamCheck.retryAfter, spamCheck.message);
+        }
+        spamClaims = spamCheck.claims;
+
+        // Photos the app uploaded directly (see /api/feedback/upload-signature)
+        let verifiedPhotos = [];
+        if (req.body.uploadedPhotos !== undefined) {
+            const { error: photoError, photoDetails: verified } = verifyUploadedPhotos(req.body.uploadedPhotos);
+            if (photoError) {
+                return sendValidationError(res, [{ location: 'body', field: 'uploadedPhotos', message: photoError }]);
+            }
+            verifiedPhotos = verified;
         }
 
-        if (!description || description.trim() === '') {
-            return res.status(400).json({
-                success: false,
-                error: 'Description is required'
-            });
+        if (verifiedPhotos.length + (req.files ? req.files.length : 0) > MAX_PHOTOS_PER_FEEDBACK) {
+            return sendValidationError(res, [{ location: 'body', field: 'photos', message: `Maximum ${MAX_PHOTOS_PER_FEEDBACK} files allowed` }]);
+        }
+
+        // Check each file's real content and strip its metadata before anything is uploaded
+        const preparedFiles = [];
+        for (const [index, file] of (req.files || []).entries()) {
+            const { error: photoError, buffer } = prepareFeedbackPhoto(file);
+            if (photoError) {
+                return sendValidationError(res, [{ location: 'body', field: `photos[${index}]`, message: photoError }]);
+            }
+            preparedFiles.push({ buffer, originalname: file.originalname });
+        }
+
+        // Direct uploads reached Cloudinary without the checks above, so their stored copies get them now
+        for (const [index, photo] of verifiedPhotos.entries()) {
+            const { error: photoError } = await screenDirectUpload(photo);
+            if (photoError) {
+                return sendValidationError(res, [{ location: 'body', field: `uploadedPhotos[${index}]`, message: photoError }]);
+            }
+        }
+
+        // Refuse the same submission twice in a row, e.g. from a double tap or a client retry loop
+        const candidate = feedbackSpamGuard.submissionFingerprint({
+            title,
+            description,
+            userId,
+            emailId,
+            photos: [...verifiedPhotos.map(photo => photo.public_id), ...(req.files || []).map(file => file.buffer)]
+        });
+        const duplicateRetryAfter = await feedbackSpamGuard.claimSubmission(candidate);
+        if (duplicateRetryAfter !== null) {
+            console.log(`🚫 Duplicate feedback from ${req.ip}`);
+            return feedbackSpamGuard.sendTooManyRequests(res, duplicateRetryAfter, 'This feedback was already submitted');
         }
+        fingerprint = candidate;
 
         // Get current timestamp
         const now = moment();
         const timestamp = customTimestamp || now.toISOString();
         const date = customDate || now.format('YYYY-MM-DD');
 
-        // Upload photos to Cloudinary
-        let cloudinaryUrls = [];
-        let photoDetails = [];
+        // Direct uploads are still private on Cloudinary. Flagged ones stay that way, held for review;
+        // the rest are made public now that the submission has passed every check above.
+        for (const photo of verifiedPhotos) {
+            photo.moderation = await photoModeration.moderatePhoto({
+                url: getReviewUrl(photo.public_id),
+                publicId: photo.public_id,
+                originalName: photo.original_name
+            });
+            if (photo.moderation.status === 'flagged') {
+                console.log(`🚩 Photo ${photo.public_id} held for review: ${photo.moderation.reason}`);
+            }
+        }
+        const approvedUploads = verifiedPhotos.filter(photo => photo.moderation.status === 'approved');
+        await publishDirectUploads(approvedUploads);
+        publishedPhotos = approvedUploads;
+
+        // Upload photos to Cloudinary, flagged ones into quarantine. Photos that fail are kept
+        // with the queued submission and uploaded again by the outbox worker.
+        let photoDetails = [...verifiedPhotos];
+        let failedFiles = [];
         
-        if (req.files && req.files.length > 0) {
-            console.log(`📸 Uploading ${req.files.length} photos to Cloudinary...`);
+        if (preparedFiles.length > 0) {
+            console.log(`📸 Uploading ${preparedFiles.length} photos to Cloudinary...`);
             
-            try {
-                for (let i = 0; i < req.files.length; i++) {
-                    const file = req.files[i];
-                    console.log(`📤 Uploading file ${i + 1}/${req.files.length}: ${file.originalname}`);
-                    
-                    try {
-                        const uploadResult = await uploadToCloudinary(file.buffer, file.originalname);
-                        cloudinaryUrls.push(uploadResult.url);
-                        photoDetails.push(uploadResult);
-                        console.log(`✅ File ${i + 1} uploaded successfully`);
-                    } catch (fileError) {
-                        console.error(`❌ Failed to upload file ${file.originalname}:`, fileError);
-                    }
+            for (let i = 0; i < preparedFiles.length; i++) {
+                const file = preparedFiles[i];
+                file.moderation = await photoModeration.moderatePhoto({
+                    buffer: file.buffer,
+                    originalName: file.originalname
+                });
+                const quarantine = file.moderation.status === 'flagged';
+                if (quarantine) {
+                    console.log(`🚩 File ${file.originalname} held for review: ${file.moderation.reason}`);
                 }
+                console.log(`📤 Uploading file ${i + 1}/${preparedFiles.length}: ${file.originalname}`);
                 
-                console.log(`🎉 Successfully uploaded ${cloudinaryUrls.length}/${req.files.length} photos to Cloudinary`);
-                
-            } catch (cloudinaryError) {
-                console.error('❌ Error uploading to Cloudinary:', cloudinaryError);
-                return res.status(500).json({
-                    success: false,
-                    error: 'Failed to upload photos',
-                    message: cloudinaryError.message
-                });
+                try {
+                    const uploadResult = await uploadToCloudinary(file.buffer, file.originalname, { quarantine });
+                    uploadResult.moderation = file.moderation;
+                    photoDetails.push(uploadResult);
+                    rollbackPhotos.push(uploadResult);
+                    console.log(`✅ File ${i + 1} uploaded successfully`);
+                } catch (fileError) {
+                    console.error(`❌ Failed to upload file ${file.originalname}, queueing it for retry:`, fileError);
+                    failedFiles.push(file);
+                }
             }
+            
+            console.log(`🎉 Successfully uploaded ${preparedFiles.length - failedFiles.length}/${preparedFiles.length} photos to Cloudinary`);
         }
 
+        // Held photos aren't shown, even to the submitter, until an admin approves them
+        const visiblePhotos = photoDetails.filter(photo => photo.moderation.status === 'approved');
+        const heldCount = photoDetails.length - visiblePhotos.length
+            + failedFiles.filter(file => file.moderation.status === 'flagged').length;
+
         // Prepare feedback data
         const feedbackData = {
-            title: title.trim(),
-            description: description.trim(),
-            photos: cloudinaryUrls.join(', '),
-            userId: userId?.trim() || '',
-            emailId: emailId?.trim() || '',
+            title,
+            description,
+            userId: userId || '',
+            emailId: emailId || '',
             date: date,
             timestamp: timestamp
         };
 
-        console.log('📊 Saving to Google Sheets...');
-        await appendToSheet(feedbackData);
-        console.log('🎉 Feedback submitted successfully!');
+        // Queue first, so the submission survives a store outage, then deliver in the background
+        const entry = await feedbackOutbox.enqueue({ feedbackData, photoDetails, failedFiles });
+        // Accepted, so the form token and the count against the user's limit stay spent
+        spamClaims = null;
+        feedbackOutbox.kick();
+        console.log(`🎉 Feedback ${entry.feedbackId} queued for the ${getFeedbackStore().name} store`);
 
         res.status(201).json({
             success: true,
             message: 'Feedback submitted successfully',
             data: {
-                id: timestamp,
+                id: entry.feedbackId,
                 submittedAt: timestamp,
-                photosUploaded: cloudinaryUrls.length,
-                photosAttempted: req.files ? req.files.length : 0,
+                deliveryStatus: entry.status,
+                photosUploaded: photoDetails.length,
+                photosQueued: failedFiles.length,
+                photosHeldForReview: heldCount,
+                photosAttempted: verifiedPhotos.length + preparedFiles.length,
                 title: feedbackData.title,
                 description: feedbackData.description,
-                photoUrls: cloudinaryUrls,
-                photoDetails: photoDetails
+                photoUrls: visiblePhotos.map(photo => photo.url),
+                photoDetails: visiblePhotos
             }
         });
 
     } catch (error) {
         console.error('❌ Error submitting feedback:', error);
-        res.status(500).json({
-            success: false,
-            error: 'Internal server error',
-            message: error.message
-        });
+        await deleteUploadedPhotos(rollbackPhotos);
+        await unpublishDirectUploads(publishedPhotos);
+        if (fingerprint) {
+            await feedbackSpamGuard.releaseSubmission(fingerprint);
+        }
+        sendError(res, 500, 'Internal server error', error.message);
+    } finally {
+        if (spamClaims) {
+            await feedbackSpamGuard.releaseClaims(spamClaims);
+        }
     }
 });
 
-// GET endpoint to retrieve feedback
-app.get('/api/feedback', async (req, res) => {
+// GET endpoint to retrieve feedback, filtered, sorted and paginated (parameters in lib/feedbackQuery.js)
+app.get('/api/feedback', auth.requireAdmin, validateRequest(schemas.feedback.list), async (req, res) => {
     try {
-        console.log('📋 Retrieving feedback data...');
+        const { error: queryError, field, query } = feedbackQuery.parseFeedbackQuery(req.query);
+        if (queryError) {
+            return sendValidationError(res, [{ location: 'query', field, message: queryError }]);
+        }
+
+        console.log('📋 Retrieving feedback data...', req.query);
         
-        const sheets = await getGoogleSheetsInstance();
-        const spreadsheetId = process.env.GOOGLE_SHEET_ID;
+        const { records, total, hasMore, nextCursor } = await feedbackQuery.queryFeedback(query);
 
-        const response = await sheets.spreadsheets.values.get({
-            spreadsheetId,
-            range: 'Sheet1!A:G',
-        });
+        console.log(`📊 Retrieved ${records.length} of ${total} matching feedback entries`);
 
-        const rows = response.data.values || [];
-        const headers = rows[0] || [];
-        const data = rows.slice(1).map(row => {
-            const feedback = {};
-            headers.forEach((header, index) => {
-                feedback[header.toLowerCase().replace(/\s+/g, '_')] = row[index] || '';
-            });
-            return feedback;
-        });
+        // Next/prev links keep the caller's filters and swap only the page or cursor
+        const pageLink = changes => {
+            const params = new URLSearchParams(req.query);
+            params.delete('page');
+            params.delete('cursor');
+            Object.entries(changes).forEach(([key, value]) => params.set(key, value));
+            return `${req.protocol}://${req.get('host')}${req.path}?${params}`;
+        };
 
-        console.log(`📊 Retrieved ${data.length} feedback entries`);
+        const links = { next: null, prev: null };
+        if (query.cursor) {
+            links.next = hasMore ? pageLink({ cursor: nextCursor }) : null;
+        } else {
+            links.next = hasMore ? pageLink({ page: query.page + 1 }) : null;
+            links.prev = query.page > 1 ? pageLink({ page: query.page - 1 }) : null;
+        }
 
         res.json({
             success: true,
-            count: data.length,
-            data: data
+            count: records.length,
+            total,
+            limit: query.limit,
+            page: query.cursor ? null : query.page,
+            totalPages: Math.ceil(total / query.limit),
+            sort: query.sort,
+            nextCursor,
+            links,
+            data: records.map(withoutHeldPhotos)
         });
 
     } catch (error) {
         console.error('❌ Error retrieving feedback:', error);
-        res.status(500).json({
-            success: false,
-            error: 'Internal server error',
-            message: error.message
-        });
+        sendFeedbackError(res, error);
     }
 });
 
-// ========================================
-// ICON CHANGER API ROUTES
-// ========================================
+// GET endpoint to export feedback as csv, ndjson or xlsx, with the same filters and sort as the list.
+// Rows are streamed in batches, so large exports aren't held in memory.
+app.get('/api/feedback/export', auth.requireAdmin, validateRequest(schemas.feedback.export), async (req, res) => {
+    try {
+        const { format } = req.query;
+        const exportFormat = feedbackExport.EXPORT_FORMATS[format];
 
-// 📱 App: Get current active icon
-app.get('/api/app/current-icon', (req, res) => {
+        const { error: queryError, field, query } = feedbackQuery.parseFeedbackQuery(req.query);
+        if (queryError) {
+            return sendValidationError(res, [{ location: 'query', field, message: queryError }]);
+        }
+
+        // Read the first batch before sending headers, so a store outage still gets a JSON error.
+        // Photos held for review are left out, as in the list.
+        const batches = feedbackQuery.iterateFeedback(query);
+        const first = await batches.next();
+        async function* allBatches() {
+            if (first.done) return;
+            yield first.value.map(withoutHeldPhotos);
+            for await (const records of batches) {
+                yield records.map(withoutHeldPhotos);
+            }
+        }
+
+        const fileName = `feedback-${moment().format('YYYYMMDD-HHmmss')}.${exportFormat.extension}`;
+        res.set('Content-Type', exportFormat.contentType);
+        res.set('Content-Disposition', `attachment; filename="${fileName}"`);
+        res.set('Cache-Control', 'no-store');
+
+        console.log(`📤 Exporting feedback as ${format} for ${req.user.username}`);
+        await feedbackExport.writeExport(format, allBatches(), res);
+
+    } catch (error) {
+        if (error.code === 'EXPORT_ABORTED') {
+            console.log(`⚠️  Feedback export cancelled: ${error.message}`);
+            return;
+        }
+        console.error('❌ Error exporting feedback:', error);
+        if (res.headersSent) {
+            // Part of the file has gone out; cut the connection so the client sees a failed download
+            return res.destroy(error);
+        }
+        sendFeedbackError(res, error);
+    }
+});
+
+// GET endpoint to retrieve one feedback entry by its ID, with structured photo details.
+// Submissions still waiting in the outbox are returned from there with their delivery status.
+app.get('/api/feedback/:id', auth.requireAdmin, async (req, res) => {
     try {
-        console.log('📱 App requesting current icon');
-        const activeIcon = Object.keys(activeIcons).find(key => activeIcons[key].isActive);
-        
-        if (!activeIcon) {
-            console.log('❌ No active icon found');
-            return res.status(404).json({
-                success: false,
-                message: 'No active icon found'
+        const { id } = req.params;
+
+        const record = await getFeedbackStore().get(id);
+        if (record) {
+            return res.json({
+                success: true,
+                data: toFeedbackResource(record)
             });
         }
 
-        console.log(`✅ Current active icon: ${activeIcon}`);
+        const entry = await feedbackOutbox.getOutboxEntry(id);
+        if (!entry || entry.status === 'delivered') {
+            return sendError(res, 404, 'Feedback not found', `No feedback with id '${id}'`);
+        }
+
         res.json({
             success: true,
             data: {
-                iconName: activeIcon,
-                displayName: activeIcons[activeIcon].name,
-                url: `${req.protocol}://${req.get('host')}${activeIcons[activeIcon].url}`,
-                lastUpdated: activeIcons[activeIcon].lastUpdated
+                id: entry.feedbackId,
+                title: entry.payload.title,
+                description: entry.payload.description,
+                photos: entry.photoDetails,
+                user_id: entry.payload.userId,
+                email_id: entry.payload.emailId,
+                date: entry.payload.date,
+                timestamp: entry.payload.timestamp,
+                status: 'new',
+                deliveryStatus: entry.status,
+                photosQueued: entry.pendingPhotos.length
             }
         });
 
     } catch (error) {
-        console.error('❌ Get current icon error:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Failed to get current icon',
-            error: error.message
-        });
+        console.error('❌ Error retrieving feedback entry:', error);
+        sendFeedbackError(res, error);
     }
 });
 
-// 🎯 Admin: Set active icon
-app.post('/api/admin/icons/activate', (req, res) => {
+// PATCH endpoint to triage feedback: status, assignee and labels
+app.patch('/api/feedback/:id', auth.requireAdmin, validateRequest(schemas.feedback.triage), async (req, res) => {
     try {
-        console.log('🎯 Admin activating icon:', req.body);
-        const { iconName } = req.body;
-
-        if (!iconName) {
-            console.log('❌ No iconName provided');
-            return res.status(400).json({
-                success: false,
-                message: 'iconName is required'
-            });
+        const { id } = req.params;
+        const { error: inputError, changes } = feedbackTriage.validateTriageInput(req.body);
+        if (inputError) {
+            return sendValidationError(res, [{ location: 'body', message: inputError }]);
         }
 
-        if (!activeIcons[iconName]) {
-            console.log(`❌ Icon '${iconName}' not found. Available icons:`, Object.keys(activeIcons));
-            return res.status(400).json({
-                success: false,
-                message: `Invalid icon name '${iconName}'. Available icons: ${Object.keys(activeIcons).join(', ')}`
-            });
+        const result = await feedbackTriage.updateTriage(id, changes, req.user.username);
+        if (result.notFound) {
+            return sendFeedbackNotFound(res, id);
+        }
+        if (result.error) {
+            return sendError(res, 409, 'Invalid status transition', result.error);
         }
 
-        // Deactivate all icons
-        Object.keys(activeIcons).forEach(key => {
-            activeIcons[key].isActive = false;
+        console.log(`🗂️  Feedback ${id} triaged by ${req.user.username}:`, changes);
+        res.json({
+            success: true,
+            message: 'Feedback updated',
+            data: toFeedbackResource(result.record)
         });
 
-        // Activate selected icon
-        activeIcons[iconName].isActive = true;
-        activeIcons[iconName].lastUpdated = new Date();
+    } catch (error) {
+        console.error('❌ Error updating feedback:', error);
+        sendFeedbackError(res, error);
+    }
+});
 
-        console.log(`✅ Icon '${iconName}' activated successfully`);
-        notifyAllApps(iconName);
+// GET endpoint for a feedback item's internal notes
+app.get('/api/feedback/:id/notes', auth.requireAdmin, async (req, res) => {
+    try {
+        const record = await getFeedbackStore().get(req.params.id);
+        if (!record) {
+            return sendFeedbackNotFound(res, req.params.id);
+        }
 
         res.json({
             success: true,
-            message: `Icon '${activeIcons[iconName].name}' activated successfully`,
-            data: {
-                activeIcon: iconName,
-                displayName: activeIcons[iconName].name,
-                url: activeIcons[iconName].url
-            }
+            count: record.notes.length,
+            data: record.notes
         });
 
     } catch (error) {
-        console.error('❌ Activation error:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Failed to activate icon',
-            error: error.message
-        });
+        console.error('❌ Error retrieving feedback notes:', error);
+        sendFeedbackError(res, error);
     }
 });
 
-// 📋 Admin: Get all icons
-app.get('/api/admin/icons', (req, res) => {
+// POST endpoint to add an internal note to a feedback item
+app.post('/api/feedback/:id/notes', auth.requireAdmin, validateRequest(schemas.feedback.addNote), async (req, res) => {
     try {
-        console.log('📋 Admin requesting all icons');
-        const icons = Object.keys(activeIcons).map(key => ({
-            iconName: key,
-            displayName: activeIcons[key].name,
-            url: `${req.protocol}://${req.get('host')}${activeIcons[key].url}`,
-            isActive: activeIcons[key].isActive,
-            lastUpdated: activeIcons[key].lastUpdated
-        }));
+        const { id } = req.params;
+        const result = await feedbackTriage.addNote(id, req.body.text, req.user.username);
+        if (result.notFound) {
+            return sendFeedbackNotFound(res, id);
+        }
 
-        console.log(`✅ Returning ${icons.length} icons`);
-        res.json({
+        console.log(`🗒️  Note added to feedback ${id} by ${req.user.username}`);
+        res.status(201).json({
             success: true,
-            data: icons
+            message: 'Note added',
+            data: result.note
         });
 
     } catch (error) {
-        console.error('❌ Get icons error:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Failed to get icons',
-            error: error.message
-        });
+        console.error('❌ Error adding feedback note:', error);
+        sendFeedbackError(res, error);
     }
 });
 
-// 🔐 Admin: Add new icon
-app.post('/api/admin/icons/add', (req, res) => {
+// DELETE endpoint to remove an internal note
+app.delete('/api/feedback/:id/notes/:noteId', auth.requireAdmin, async (req, res) => {
     try {
-        console.log('📤 Admin adding icon:', req.body);
-        const { iconName, displayName, iconUrl } = req.body;
-        
-        if (!iconName || !displayName || !iconUrl) {
-            return res.status(400).json({
-                success: false,
-                message: 'iconName, displayName, and iconUrl are required'
-            });
-        }
+        const { id, noteId } = req.params;
 
-        if (activeIcons[iconName]) {
-            return res.status(400).json({
-                success: false,
-                message: `Icon '${iconName}' already exists`
-            });
+        const result = await feedbackTriage.deleteNote(id, noteId);
+        if (result.notFound) {
+            return sendFeedbackNotFound(res, id);
+        }
+        if (result.noteNotFound) {
+            return sendError(res, 404, 'Note not found', `No note '${noteId}' on feedback '${id}'`);
         }
 
-        // Save icon info
-        activeIcons[iconName] = {
-            name: displayName,
-            url: iconUrl,
-            isActive: false,
-            lastUpdated: new Date()
-        };
-
-        console.log(`✅ Icon '${iconName}' added successfully`);
+        console.log(`🗑️  Note ${noteId} removed from feedback ${id} by ${req.user.username}`);
         res.json({
             success: true,
-            message: 'Icon added successfully',
-            data: {
-                iconName,
-                displayName,
-                url: iconUrl
-            }
+            message: 'Note deleted'
         });
 
     } catch (error) {
-        console.error('❌ Add icon error:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Failed to add icon',
-            error: error.message
-        });
+        console.error('❌ Error deleting feedback note:', error);
+        sendFeedbackError(res, error);
     }
 });
 
-// ========================================
-// ERROR HANDLING MIDDLEWARE
-// ========================================
+// Function to build the approve/reject handler for a photo held for moderation
+function reviewFeedbackPhoto(decision) {
+    return async (req, res) => {
+        try {
+            const { id, publicId } = req.params;
 
-app.use((error, req, res, next) => {
-    console.error('🚨 Middleware error:', error);
-    
-    if (error instanceof multer.MulterError) {
-        if (error.code === 'LIMIT_FILE_SIZE') {
-            return res.status(400).json({
-                success: false,
-                error: 'File too large',
-                message: `Maximum file size is ${(parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024) / (1024 * 1024)}MB`
+            const result = await photoModeration.reviewPhoto(id, publicId, decision, req.user.username);
+            if (result.notFound) {
+                return sendFeedbackNotFound(res, id);
+            }
+            if (result.photoNotFound) {
+                return sendError(res, 404, 'Photo not found', `No photo '${publicId}' on feedback '${id}'`);
+            }
+            if (result.error) {
+                return sendError(res, 409, 'Photo already reviewed', result.error);
+            }
+
+            console.log(`${decision === 'approve' ? '✅' : '🚫'} Photo ${publicId} on feedback ${id} ${decision === 'approve' ? 'approved' : 'rejected'} by ${req.user.username}`);
+            res.json({
+                success: true,
+                message: decision === 'approve' ? 'Photo approved' : 'Photo rejected and deleted',
+                data: toFeedbackResource(result.record)
             });
+
+        } catch (error) {
+            console.error(`❌ Error reviewing feedback photo (${decision}):`, error);
+            sendFeedbackError(res, error);
         }
-        if (error.code === 'LIMIT_FILE_COUNT') {
-            return res.status(400).json({
-                success: false,
-                error: 'Too many files',
-                message: 'Maximum 10 files allowed'
-            });
+    };
+}
+
+// POST endpoints to approve or reject a photo held for moderation. The publicId contains a '/',
+// so it is sent URL-encoded (feedback-photos%2Ffeedback_...).
+app.post('/api/feedback/:id/photos/:publicId/approve', auth.requireAdmin, reviewFeedbackPhoto('approve'));
+app.post('/api/feedback/:id/photos/:publicId/reject', auth.requireAdmin, reviewFeedbackPhoto('reject'));
+
+// DELETE endpoint to remove a photo from a feedback entry and from Cloudinary. The publicId is
+// sent URL-encoded, as for approve/reject.
+app.delete('/api/feedback/:id/photos/:publicId', auth.requireAdmin, async (req, res) => {
+    try {
+        const { id, publicId } = req.params;
+
+        const result = await photoCleanup.removePhoto(id, publicId);
+        if (result.notFound) {
+            return sendFeedbackNotFound(res, id);
         }
-        if (error.code === 'LIMIT_UNEXPECTED_FILE') {
-            return res.status(400).json({
-                success: false,
-                error: 'Unexpected file field',
-                message: 'Please use field name "photos" for image uploads'
-            });
+        if (result.photoNotFound) {
+            return sendError(res, 404, 'Photo not found', `No photo '${publicId}' on feedback '${id}'`);
         }
-    }
-    
-    if (error.message && error.message.includes('File type')) {
-        return res.status(400).json({
-            success: false,
-            error: 'Invalid file type',
-            message: error.message
+
+        console.log(`🗑️  Photo ${publicId} removed from feedback ${id} by ${req.user.username}`);
+        res.json({
+            success: true,
+            message: 'Photo deleted',
+            data: toFeedbackResource(result.record)
         });
-    }
-    
-    res.status(500).json({
-        success: false,
-        error: 'Internal server error',
-        message: error.message
-    });
-});
 
-// 404 handler
-app.use((req, res) => {
-    console.log(`❌ 404 - Route not found: ${req.method} ${req.originalUrl}`);
-    res.status(404).json({
-        success: false,
-        error: 'Endpoint not found',
-        message: `${req.method} ${req.originalUrl} not found`,
-        availableEndpoints: {
-            feedback: [
-                'POST /api/feedback',
-                'GET /api/feedback'
-            ],
-            iconChanger: [
-                'GET /api/app/current-icon',
-                'GET /api/admin/icons',
-                'POST /api/admin/icons/activate',
-                'POST /api/admin/icons/add'
-            ],
-            general: [
-                'GET /health'
-            ]
-        },
-        suggestion: 'Check the URL and HTTP method. Available endpoints are listed above.'
-    });
+    } catch (error) {
+        console.error('❌ Error deleting feedback photo:', error);
+        sendFeedbackError(res, error);
+    }
 });
 
 // ========================================
-// SERVER STARTUP
+// ADMIN AUTH ROUTES
 // ========================================
 
-async function startServer() {
+// 🔑 Admin: Log in with username/password
+app.post('/api/admin/login', validateRequest(schemas.adminAuth.login), async (req, res) => {
     try {
-        console.log('🚀 Starting Unified API server...');
-        console.log('📦 Services: Feedback API + Icon Changer API');
-        
-        // Initialize Google Sheets headers for feedback
-        await initializeSheetHeaders();
-        
+        const { username, password } = req.body;
+
+        const admin = await auth.authenticateAdmin(username, password);
+        if (!admin) {
+            console.log(`❌ Failed admin login for '${username}'`);
+            return sendError(res, 401, 'Unauthorized', 'Invalid username or password');
+        }
+
+        console.log(`✅ Admin '${admin.username}' logged in`);
+        res.json({
+            success: true,
+            message: 'Login successful',
+            data: {
+                ...auth.issueTokens(admin),
+                user: {
+                    id: admin._id,
+                    username: admin.username,
+                    role: admin.role
+                }
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ Login error:', error);
+        sendError(res, 500, 'Internal server error', `Failed to log in: ${error.message}`);
+    }
+});
+
+// 🔄 Admin: Exchange a refresh token for a new token pair
+app.post('/api/admin/token/refresh', validateRequest(schemas.adminAuth.refresh), async (req, res) => {
+    try {
+        const { refreshToken } = req.body;
+
+        const tokens = await auth.refreshTokens(refreshToken);
+        if (!tokens) {
+            return sendError(res, 401, 'Unauthorized', 'Invalid or expired refresh token');
+        }
+
+        res.json({
+            success: true,
+            message: 'Token refreshed successfully',
+            data: tokens
+        });
+
+    } catch (error) {
+        console.error('❌ Token refresh error:', error);
+        sendError(res, 500, 'Internal server error', `Failed to refresh token: ${error.message}`);
+    }
+});
+
+// Every /api/admin route registered below this line requires an admin access token
+app.use('/api/admin', auth.requireAdmin);
+
+// 🚪 Admin: Log out everywhere (revokes all refresh tokens)
+app.post('/api/admin/logout', async (req, res) => {
+    try {
+        await auth.revokeRefreshTokens(req.user.id);
+        console.log(`✅ Admin '${req.user.username}' logged out`);
+        res.json({
+            success: true,
+            message: 'Logged out successfully'
+        });
+
+    } catch (error) {
+        console.error('❌ Logout error:', error);
+        sendError(res, 500, 'Internal server error', `Failed to log out: ${error.message}`);
+    }
+});
+
+// 👤 Admin: Create another admin user
+app.post('/api/admin/users', validateRequest(schemas.adminAuth.createUser), async (req, res) => {
+    try {
+        const { username, password } = req.body;
+
+        const admin = await auth.createAdminUser(username, password);
+        console.log(`✅ Admin '${req.user.username}' created admin '${admin.username}'`);
+        res.status(201).json({
+            success: true,
+            message: 'Admin user created successfully',
+            data: {
+                id: admin._id,
+                username: admin.username,
+                role: admin.role
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ Create admin error:', error);
+        if (error.code === 11000) {
+            return sendValidationError(res, [{ location: 'body', field: 'username', message: `Admin user '${req.body.username}' already exists` }]);
+        }
+        sendError(res, 500, 'Internal server error', `Failed to create admin user: ${error.message}`);
+    }
+});
+
+// ========================================
+// ICON CHANGER API ROUTES
+// ========================================
+
+// 📱 App: Get current active icon
+// Send ?platform=android|ios&density=xxhdpi (or X-Platform / X-Density headers) to get a sized variant.
+// Targeting rules also read appVersion, country, locale and userId (or X-App-Version, X-Country,
+// Accept-Language, X-User-Id); with no matching rule the global icon is returned.
+app.get('/api/app/current-icon', validateRequest(schemas.icons.currentIcon), async (req, res) => {
+    try {
+        console.log('📱 App requesting current icon');
+        await iconScheduler.ensureSynced();
+        const context = iconTargeting.getRequestContext(req);
+        const { icon: activeIcon, rule, usedUserBucket } = await resolveIconForContext(context);
+
+        if (!activeIcon) {
+            console.log('❌ No active icon found');
+            res.set('Cache-Control', 'no-store');
+            return sendError(res, 404, 'Icon not found', 'No active icon found');
+        }
+
+        const platform = req.query.platform || req.get('x-platform');
+        const density = req.query.density || req.get('x-density');
+        const variant = iconVariants.selectVariant(iconVariants.getIconVariants(activeIcon), platform, density);
+
+        const data = {
+            iconName: activeIcon.iconName,
+            displayName: activeIcon.name,
+            url: resolveIconUrl(req, activeIcon.url),
+            variant: variant ? { ...variant, url: resolveIconUrl(req, variant.url) } : null,
+            source: rule ? 'rule' : 'global',
+            ruleId: rule ? rule._id : null,
+            lastUpdated: activeIcon.lastUpdated
+        };
+
+        res.vary('X-Platform');
+        res.vary('X-Density');
+        res.vary('X-App-Version');
+        res.vary('X-Country');
+        res.vary('CF-IPCountry');
+        res.vary('Accept-Language');
+        res.vary('X-User-Id');
+        // Results that depend on a user's rollout bucket must not be shared by a CDN. A rule's icon
+        // can be older than the rule itself, so only the global icon gets a Last-Modified date.
+        setIconCacheHeaders(res, data, {
+            lastModified: rule ? null : await getIconLastModified(activeIcon),
+            isPrivate: usedUserBucket
+        });
+
+        // req.fresh checks If-None-Match (or If-Modified-Since) against the headers just set
+        if (req.fresh) {
+            console.log(`✅ Current active icon unchanged: ${activeIcon.iconName} (304)`);
+            return res.status(304).end();
+        }
+
+        console.log(`✅ Current active icon: ${activeIcon.iconName}${variant ? ` (${variant.key})` : ''}`);
+        res.json({
+            success: true,
+            data
+        });
+
+    } catch (error) {
+        console.error('❌ Get current icon error:', error);
+        res.set('Cache-Control', 'no-store');
+        sendError(res, 500, 'Internal server error', `Failed to get current icon: ${error.message}`);
+    }
+});
+
+// 🎯 Admin: Set active icon
+app.post('/api/admin/icons/activate', validateRequest(schemas.icons.activate), async (req, res) => {
+    try {
+        console.log('🎯 Admin activating icon:', req.body);
+        const { iconName, target, reason } = req.body;
+
+        const icon = await iconStore.activateIcon(iconName, {
+            actor: req.user.username,
+            source: 'manual',
+            reason: reason || undefined
+        });
+        if (!icon) {
+            const availableIcons = (await iconStore.getAllIcons()).map(item => item.iconName);
+            console.log(`❌ Icon '${iconName}' not found. Available icons:`, availableIcons);
+            return sendValidationError(res, [{
+                location: 'body',
+                field: 'iconName',
+                message: `Invalid icon name '${iconName}'. Available icons: ${availableIcons.join(', ')}`
+            }]);
+        }
+
+        console.log(`✅ Icon '${iconName}' activated successfully`);
+        notifyAllApps(icon, target || null)
+            .catch(error => console.error('❌ Notify apps error:', error));
+
+        res.json({
+            success: true,
+            message: `Icon '${icon.name}' activated successfully`,
+            data: {
+                activeIcon: iconName,
+                displayName: icon.name,
+                url: icon.url
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ Activation error:', error);
+        sendError(res, 500, 'Internal server error', `Failed to activate icon: ${error.message}`);
+    }
+});
+
+// 📡 App: Live stream of icon changes (Server-Sent Events). Reconnects resume via Last-Event-ID;
+// pass ?platform=&density= (or X-Platform / X-Density) to receive the matching variant.
+app.get('/api/app/icon-stream', validateRequest(schemas.icons.stream), async (req, res) => {
+    try {
+        await iconScheduler.ensureSynced();
+        const context = iconTargeting.getRequestContext(req);
+        const { icon: activeIcon } = await resolveIconForContext(context);
+
+        const added = iconStream.addClient(req, res, activeIcon ? buildIconEventData(activeIcon) : null, context);
+        if (!added) {
+            res.set('Retry-After', '30');
+            return sendError(res, 503, 'Too many connections', 'Too many live connections, please poll GET /api/app/current-icon instead');
+        }
+
+        console.log(`📡 Icon stream client connected (${iconStream.getClientCount()} open)`);
+
+    } catch (error) {
+        console.error('❌ Icon stream error:', error);
+        if (!res.headersSent) {
+            sendError(res, 500, 'Internal server error', `Failed to open icon stream: ${error.message}`);
+        } else {
+            res.end();
+        }
+    }
+});
+
+// 📋 Admin: Get all icons
+app.get('/api/admin/icons', async (req, res) => {
+    try {
+        console.log('📋 Admin requesting all icons');
+        const icons = (await iconStore.getAllIcons()).map(icon => ({
+            iconName: icon.iconName,
+            displayName: icon.name,
+            url: resolveIconUrl(req, icon.url),
+            storage: icon.storage || 'url',
+            variants: iconVariants.getIconVariants(icon).map(variant => ({ ...variant, url: resolveIconUrl(req, variant.url) })),
+            isActive: icon.isActive,
+            lastUpdated: icon.lastUpdated
+        }));
+
+        console.log(`✅ Returning ${icons.length} icons`);
+        res.json({
+            success: true,
+            data: icons
+        });
+
+    } catch (error) {
+        console.error('❌ Get icons error:', error);
+        sendError(res, 500, 'Internal server error', `Failed to get icons: ${error.message}`);
+    }
+});
+
+// 🕘 Admin: Activation history, newest first (?page, ?limit, ?iconName)
+app.get('/api/admin/icons/history', validateRequest(schemas.icons.history), async (req, res) => {
+    try {
+        const { page, limit } = req.query;
+        // A current icon is followed by id so its events from before a rename are included
+        const icon = req.query.iconName ? await iconStore.getIcon(req.query.iconName) : null;
+        const { events, total } = await iconHistory.listActivations({
+            page,
+            limit,
+            iconId: icon ? icon._id : undefined,
+            iconName: req.query.iconName
+        });
+        const totalPages = Math.ceil(total / limit);
+
+        res.json({
+            success: true,
+            count: events.length,
+            total,
+            page,
+            totalPages,
+            hasNextPage: page < totalPages,
+            data: events
+        });
+
+    } catch (error) {
+        console.error('❌ Get icon history error:', error);
+        sendError(res, 500, 'Internal server error', `Failed to get icon history: ${error.message}`);
+    }
+});
+
+// ⏪ Admin: Undo the most recent icon change
+app.post('/api/admin/icons/rollback', validateRequest(schemas.icons.rollback), async (req, res) => {
+    try {
+        const reason = req.body.reason || undefined;
+        const event = await iconHistory.findRollbackTarget();
+
+        if (!event) {
+            return sendError(res, 409, 'Rollback not possible', 'Nothing to roll back');
+        }
+
+        // Compared by id, so an icon renamed since the event still counts as the same icon
+        const activeIcon = await iconStore.getActiveIcon();
+        if (!activeIcon || String(activeIcon._id) !== String(event.iconId)) {
+            return sendError(res, 409, 'Rollback not possible', `Active icon is no longer '${event.iconName}'; activate the icon you want directly instead`);
+        }
+
+        const previousIcon = await iconStore.getIconById(event.previousIconId);
+        const icon = previousIcon && await iconStore.activateIcon(previousIcon.iconName, {
+            actor: req.user.username,
+            source: 'rollback',
+            reason: reason || `Rollback of change to '${event.iconName}' by ${event.actor}`
+        });
+
+        if (!icon) {
+            return sendError(res, 409, 'Rollback not possible', `Previous icon '${event.previousIconName}' no longer exists`);
+        }
+
+        await iconHistory.markRolledBack(event._id, req.user.username);
+
+        console.log(`⏪ Rolled back icon from '${event.iconName}' to '${icon.iconName}'`);
+        notifyAllApps(icon)
+            .catch(error => console.error('❌ Notify apps error:', error));
+
+        res.json({
+            success: true,
+            message: `Rolled back to icon '${icon.name}'`,
+            data: {
+                activeIcon: icon.iconName,
+                displayName: icon.name,
+                url: icon.url,
+                rolledBackEvent: event._id
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ Rollback error:', error);
+        sendError(res, 500, 'Internal server error', `Failed to roll back icon: ${error.message}`);
+    }
+});
+
+// 📨 Admin: Recent push notification deliveries
+app.get('/api/admin/notifications', validateRequest(schemas.icons.notifications), async (req, res) => {
+    try {
+        const deliveries = await pushNotifications.getRecentDeliveries(req.query.limit);
+
+        res.json({
+            success: true,
+            count: deliveries.length,
+            data: deliveries
+        });
+
+    } catch (error) {
+        console.error('❌ Get notifications error:', error);
+        sendError(res, 500, 'Internal server error', `Failed to get notification deliveries: ${error.message}`);
+    }
+});
+
+// 🔐 Admin: Add new icon (JSON with iconUrl, or multipart with an "icon" image file).
+// Optional `variants` (object, or JSON string in multipart) registers per-platform URLs, e.g. { "ios-3x": "https://..." }
+app.post('/api/admin/icons/add', iconUpload.single('icon'), validateRequest(schemas.icons.add), async (req, res) => {
+    let asset = null;
+    try {
+        console.log('📤 Admin adding icon:', req.body, req.file ? `(file: ${req.file.originalname})` : '');
+        const { iconName, displayName, iconUrl } = req.body;
+        const registeredVariants = req.body.variants || {};
+
+        const details = [];
+        if (!iconUrl && !req.file) {
+            details.push({ location: 'body', field: 'iconUrl', message: 'iconUrl or an icon file is required' });
+        }
+        const iconNameError = iconStore.validateIconName(iconName);
+        if (iconNameError) {
+            details.push({ location: 'body', field: 'iconName', message: iconNameError });
+        }
+        const variantsError = iconVariants.validateRegisteredVariants(registeredVariants);
+        if (variantsError) {
+            details.push({ location: 'body', field: 'variants', message: variantsError });
+        }
+        const imageError = req.file && iconAssets.validateIconImage(req.file.buffer);
+        if (imageError) {
+            details.push({ location: 'body', field: 'icon', message: imageError });
+        }
+        if (details.length > 0) {
+            return sendValidationError(res, details);
+        }
+
+        if (await iconStore.getIcon(iconName)) {
+            return sendValidationError(res, [{ location: 'body', field: 'iconName', message: `Icon '${iconName}' already exists` }]);
+        }
+
+        // Store the uploaded image first; an uploaded file takes precedence over iconUrl
+        asset = req.file
+            ? await iconAssets.saveIconImage(req.file.buffer, iconName)
+            : { url: iconUrl, storage: 'url' };
+
+        const variants = iconVariants.buildVariants(asset, registeredVariants);
+
+        // Save icon info
+        await iconStore.addIcon({
+            iconName,
+            name: displayName,
+            ...asset,
+            variants
+        });
+
+        console.log(`✅ Icon '${iconName}' added successfully (${asset.storage})`);
+        res.json({
+            success: true,
+            message: 'Icon added successfully',
+            data: {
+                iconName,
+                displayName,
+                url: asset.url,
+                storage: asset.storage,
+                publicId: asset.publicId,
+                width: asset.width,
+                height: asset.height,
+                variants
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ Add icon error:', error);
+        if (asset && asset.publicId) {
+            iconAssets.deleteIconImage(asset).catch(cleanupError => {
+                console.error('❌ Failed to remove uploaded icon image:', cleanupError);
+            });
+        }
+        if (error.code === 11000) {
+            return sendValidationError(res, [{ location: 'body', field: 'iconName', message: `Icon '${req.body.iconName}' already exists` }]);
+        }
+        sendError(res, 500, 'Internal server error', `Failed to add icon: ${error.message}`);
+    }
+});
+
+// ✏️ Admin: Update an icon (displayName, iconUrl or "icon" file, variants, newIconName).
+// Renaming the active icon needs a replacementIconName to activate first.
+app.patch('/api/admin/icons/:iconName', iconUpload.single('icon'), validateRequest(schemas.icons.update), async (req, res) => {
+    let asset = null;
+    try {
+        const { iconName } = req.params;
+        const { displayName, iconUrl, newIconName, replacementIconName } = req.body;
+        console.log(`✏️ Admin updating icon '${iconName}':`, req.body, req.file ? `(file: ${req.file.originalname})` : '');
+
+        const icon = await iconStore.getIcon(iconName);
+        if (!icon) {
+            return sendError(res, 404, 'Icon not found', `Icon '${iconName}' not found`);
+        }
+
+        if (iconUrl && req.file) {
+            return sendValidationError(res, [{ location: 'body', field: 'iconUrl', message: 'Send either iconUrl or an icon file, not both' }]);
+        }
+
+        const registeredVariants = req.body.variants || null;
+        const variantsError = registeredVariants && iconVariants.validateRegisteredVariants(registeredVariants);
+        if (variantsError) {
+            return sendValidationError(res, [{ location: 'body', field: 'variants', message: variantsError }]);
+        }
+
+        const isRename = newIconName !== undefined && newIconName !== iconName;
+        if (isRename) {
+            if (iconName === iconStore.FALLBACK_ICON_NAME) {
+                return sendValidationError(res, [{ location: 'body', field: 'newIconName', message: `'${iconStore.FALLBACK_ICON_NAME}' is the fallback icon and cannot be renamed` }]);
+            }
+
+            const iconNameError = iconStore.validateIconName(newIconName);
+            if (iconNameError) {
+                return sendValidationError(res, [{ location: 'body', field: 'newIconName', message: iconNameError }]);
+            }
+
+            if (await iconStore.getIcon(newIconName)) {
+                return sendValidationError(res, [{ location: 'body', field: 'newIconName', message: `Icon '${newIconName}' already exists` }]);
+            }
+
+            if (icon.isActive) {
+                if (!replacementIconName) {
+                    return sendError(res, 409, 'Icon is active', `Icon '${iconName}' is active. Provide replacementIconName to activate before renaming it`);
+                }
+                if (replacementIconName === iconName || !(await iconStore.getIcon(replacementIconName))) {
+                    return sendValidationError(res, [{
+                        location: 'body',
+                        field: 'replacementIconName',
+                        message: `Replacement icon '${replacementIconName}' not found`
+                    }]);
+                }
+            }
+        }
+
+        const imageError = req.file && iconAssets.validateIconImage(req.file.buffer);
+        if (imageError) {
+            return sendValidationError(res, [{ location: 'body', field: 'icon', message: imageError }]);
+        }
+
+        if (displayName === undefined && !iconUrl && !req.file && !registeredVariants && !isRename) {
+            return sendValidationError(res, [{
+                location: 'body',
+                message: 'Nothing to update. Provide displayName, iconUrl, an icon file, variants, or newIconName'
+            }]);
+        }
+
+        // Build the changes; a new image replaces the stored asset and any variants registered for the old one
+        const changes = {};
+        if (displayName !== undefined) {
+            changes.name = displayName;
+        }
+
+        if (req.file) {
+            asset = await iconAssets.saveIconImage(req.file.buffer, newIconName || iconName);
+        } else if (iconUrl) {
+            asset = { url: iconUrl, storage: 'url', publicId: null, format: null, width: null, height: null };
+        }
+
+        if (asset || registeredVariants) {
+            const currentRegistered = {};
+            (icon.variants || [])
+                .filter(variant => variant.source === 'registered')
+                .forEach(variant => {
+                    currentRegistered[variant.key] = variant.url;
+                });
+
+            const source = asset || icon;
+            changes.variants = iconVariants.buildVariants(source, registeredVariants || (asset ? {} : currentRegistered));
+            Object.assign(changes, asset || {});
+        }
+
+        let updated = icon;
+        if (Object.keys(changes).length > 0) {
+            updated = await iconStore.updateIcon(iconName, changes);
+        }
+
+        if (isRename) {
+            if (icon.isActive) {
+                const replacement = await iconStore.activateIcon(replacementIconName, {
+                    actor: req.user.username,
+                    source: 'replacement',
+                    reason: `Renaming '${iconName}' to '${newIconName}'`
+                });
+                notifyAllApps(replacement)
+                    .catch(error => console.error('❌ Notify apps error:', error));
+            }
+            updated = await iconStore.renameIcon(iconName, newIconName);
+            await iconScheduler.renameIconInCampaigns(iconName, newIconName);
+            await iconTargeting.renameIconInRules(iconName, newIconName);
+        } else if (icon.isActive && (changes.name || asset)) {
+            notifyAllApps(updated)
+                .catch(error => console.error('❌ Notify apps error:', error));
+        }
+
+        // The old image is only removed once the icon points at the new one
+        if (asset && icon.publicId) {
+            iconAssets.deleteIconImage(icon).catch(cleanupError => {
+                console.error('❌ Failed to remove old icon image:', cleanupError);
+            });
+        }
+
+        console.log(`✅ Icon '${iconName}' updated successfully${isRename ? ` (renamed to '${newIconName}')` : ''}`);
+        res.json({
+            success: true,
+            message: 'Icon updated successfully',
+            data: {
+                iconName: updated.iconName,
+                displayName: updated.name,
+                url: resolveIconUrl(req, updated.url),
+                storage: updated.storage || 'url',
+                isActive: updated.isActive,
+                variants: iconVariants.getIconVariants(updated).map(variant => ({ ...variant, url: resolveIconUrl(req, variant.url) })),
+                lastUpdated: updated.lastUpdated
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ Update icon error:', error);
+        if (asset && asset.publicId) {
+            iconAssets.deleteIconImage(asset).catch(cleanupError => {
+                console.error('❌ Failed to remove uploaded icon image:', cleanupError);
+            });
+        }
+        if (error.code === 11000) {
+            return sendValidationError(res, [{ location: 'body', field: 'newIconName', message: `Icon '${req.body.newIconName}' already exists` }]);
+        }
+        sendError(res, 500, 'Internal server error', `Failed to update icon: ${error.message}`);
+    }
+});
+
+// 🗑️ Admin: Delete an icon. Deleting the active icon needs a replacementIconName (body or ?replacement=).
+app.delete('/api/admin/icons/:iconName', validateRequest(schemas.icons.remove), async (req, res) => {
+    try {
+        const { iconName } = req.params;
+        const replacementIconName = req.body.replacementIconName || req.query.replacement;
+        console.log(`🗑️ Admin deleting icon '${iconName}'`);
+
+        if (iconName === iconStore.FALLBACK_ICON_NAME) {
+            return sendValidationError(res, [{ location: 'params', field: 'iconName', message: `'${iconStore.FALLBACK_ICON_NAME}' is the fallback icon and cannot be deleted` }]);
+        }
+
+        const icon = await iconStore.getIcon(iconName);
+        if (!icon) {
+            return sendError(res, 404, 'Icon not found', `Icon '${iconName}' not found`);
+        }
+
+        const campaigns = await iconScheduler.findCampaignsUsingIcon(iconName);
+        if (campaigns.length > 0) {
+            return sendError(res, 409, 'Icon in use', `Icon '${iconName}' is used by ${campaigns.length} upcoming or running campaign(s). Cancel them first`, {
+                campaigns: campaigns.map(campaign => ({
+                    id: campaign._id,
+                    name: campaign.name,
+                    startAt: campaign.startAt,
+                    endAt: campaign.endAt
+                }))
+            });
+        }
+
+        const rules = await iconTargeting.findRulesUsingIcon(iconName);
+        if (rules.length > 0) {
+            return sendError(res, 409, 'Icon in use', `Icon '${iconName}' is used by ${rules.length} targeting rule(s). Delete or change them first`, {
+                rules: rules.map(rule => ({
+                    id: rule._id,
+                    name: rule.name
+                }))
+            });
+        }
+
+        if (icon.isActive) {
+            if (!replacementIconName) {
+                return sendError(res, 409, 'Icon is active', `Icon '${iconName}' is active. Provide replacementIconName to activate before deleting it`);
+            }
+
+            if (replacementIconName === iconName) {
+                return sendValidationError(res, [{ location: 'body', field: 'replacementIconName', message: 'replacementIconName must name a different icon' }]);
+            }
+
+            if (!(await iconStore.getIcon(replacementIconName))) {
+                return sendValidationError(res, [{
+                    location: 'body',
+                    field: 'replacementIconName',
+                    message: `Replacement icon '${replacementIconName}' not found`
+                }]);
+            }
+        }
+
+        // Delete before activating the replacement, so a failed delete never leaves it active
+        // while the icon meant to go away is still in the catalog
+        const deleted = await iconStore.deleteIcon(iconName);
+        if (!deleted) {
+            return sendError(res, 404, 'Icon not found', `Icon '${iconName}' not found`);
+        }
+        iconAssets.deleteIconImage(icon).catch(cleanupError => {
+            console.error('❌ Failed to remove icon image:', cleanupError);
+        });
+
+        let replacement;
+        if (deleted.isActive) {
+            const activation = { actor: req.user.username, source: 'replacement', reason: `Deleting '${iconName}'` };
+            replacement = (replacementIconName && await iconStore.activateIcon(replacementIconName, activation))
+                || await iconStore.activateIcon(iconStore.FALLBACK_ICON_NAME, activation);
+            notifyAllApps(replacement)
+                .catch(error => console.error('❌ Notify apps error:', error));
+        }
+
+        console.log(`✅ Icon '${iconName}' deleted successfully`);
+        res.json({
+            success: true,
+            message: `Icon '${icon.name}' deleted successfully`,
+            data: {
+                iconName,
+                activeIcon: replacement ? replacement.iconName : undefined
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ Delete icon error:', error);
+        sendError(res, 500, 'Internal server error', `Failed to delete icon: ${error.message}`);
+    }
+});
+
+// ========================================
+// ICON CAMPAIGN ROUTES
+// ========================================
+
+// 🗓️ Admin: Schedule an icon campaign
+app.post('/api/admin/campaigns', validateRequest(schemas.campaigns.create), async (req, res) => {
+    try {
+        const { name, iconName, startAt, endAt, timezone, priority, fallbackIconName } = req.body;
+        const invalid = (field, message) => sendValidationError(res, [{ location: 'body', field, message }]);
+
+        if (!iconScheduler.isValidTimezone(timezone)) {
+            return invalid('timezone', `Unknown timezone '${timezone}'. Use an IANA name such as Asia/Kolkata`);
+        }
+
+        const start = iconScheduler.parseInTimezone(startAt, timezone);
+        const end = iconScheduler.parseInTimezone(endAt, timezone);
+        if (end <= start) {
+            return invalid('endAt', 'endAt must be after startAt');
+        }
+
+        if (end <= new Date()) {
+            return invalid('endAt', 'endAt is already in the past');
+        }
+
+        if (iconName === fallbackIconName) {
+            return invalid('fallbackIconName', 'fallbackIconName must differ from iconName');
+        }
+
+        for (const field of ['iconName', 'fallbackIconName']) {
+            if (!(await iconStore.getIcon(req.body[field]))) {
+                return invalid(field, `Icon '${req.body[field]}' not found`);
+            }
+        }
+
+        const conflicts = await iconScheduler.findConflictingCampaigns({ startAt: start, endAt: end, priority });
+        if (conflicts.length > 0) {
+            return sendError(res, 409, 'Campaign conflict', `Campaign overlaps ${conflicts.length} existing campaign(s) with priority ${priority}. Use a different priority or window.`, {
+                conflicts: conflicts.map(campaign => ({
+                    id: campaign._id,
+                    name: campaign.name,
+                    iconName: campaign.iconName,
+                    startAt: campaign.startAt,
+                    endAt: campaign.endAt
+                }))
+            });
+        }
+
+        const campaign = await iconScheduler.createCampaign({
+            name,
+            iconName,
+            fallbackIconName,
+            startAt: start,
+            endAt: end,
+            timezone,
+            priority,
+            createdBy: req.user.username
+        });
+
+        // Apply straight away if the window is already open
+        await iconScheduler.syncActiveIcon();
+
+        console.log(`✅ Campaign '${campaign.name}' scheduled for '${iconName}'`);
+        res.status(201).json({
+            success: true,
+            message: 'Campaign scheduled successfully',
+            data: {
+                ...campaign,
+                status: iconScheduler.getCampaignStatus(campaign)
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ Create campaign error:', error);
+        sendError(res, 500, 'Internal server error', `Failed to schedule campaign: ${error.message}`);
+    }
+});
+
+// 📋 Admin: List campaigns (optional ?status=upcoming|active|ended|cancelled)
+app.get('/api/admin/campaigns', validateRequest(schemas.campaigns.list), async (req, res) => {
+    try {
+        const campaigns = await iconScheduler.listCampaigns(req.query.status);
+        res.json({
+            success: true,
+            count: campaigns.length,
+            data: campaigns
+        });
+
+    } catch (error) {
+        console.error('❌ List campaigns error:', error);
+        sendError(res, 500, 'Internal server error', `Failed to list campaigns: ${error.message}`);
+    }
+});
+
+// 🛑 Admin: Cancel a campaign (reverts to its fallback if it is live)
+app.delete('/api/admin/campaigns/:id', async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return sendError(res, 404, 'Campaign not found', 'Campaign not found');
+        }
+
+        const campaign = await iconScheduler.cancelCampaign(req.params.id);
+        if (!campaign) {
+            return sendError(res, 404, 'Campaign not found', 'Campaign not found or already cancelled');
+        }
+
+        await iconScheduler.syncActiveIcon();
+
+        console.log(`✅ Campaign '${campaign.name}' cancelled`);
+        res.json({
+            success: true,
+            message: 'Campaign cancelled successfully',
+            data: {
+                ...campaign,
+                status: 'cancelled'
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ Cancel campaign error:', error);
+        sendError(res, 500, 'Internal server error', `Failed to cancel campaign: ${error.message}`);
+    }
+});
+
+// ========================================
+// ICON TARGETING RULE ROUTES
+// ========================================
+
+// Function to tell apps after a rule change, since it can change which icon some of them get
+function notifyAfterRuleChange() {
+    iconStore.getActiveIcon()
+        .then(icon => icon && notifyAllApps(icon))
+        .catch(error => console.error('❌ Notify apps error:', error));
+}
+
+// 🎯 Admin: Create a targeting rule
+// Body: { name, iconName, priority, enabled, conditions: { platforms, minAppVersion, maxAppVersion, countries, locales, rolloutPercentage } }
+app.post('/api/admin/icon-rules', validateRequest(schemas.iconRules.create), async (req, res) => {
+    try {
+        const rule = iconTargeting.normalizeRuleInput(req.body);
+
+        if (!(await iconStore.getIcon(rule.iconName))) {
+            return sendValidationError(res, [{ location: 'body', field: 'iconName', message: `Icon '${rule.iconName}' not found` }]);
+        }
+
+        const created = await iconTargeting.createRule({ ...rule, createdBy: req.user.username });
+        notifyAfterRuleChange();
+
+        console.log(`✅ Targeting rule '${created.name}' created for '${created.iconName}'`);
+        res.status(201).json({
+            success: true,
+            message: 'Targeting rule created successfully',
+            data: created
+        });
+
+    } catch (error) {
+        console.error('❌ Create rule error:', error);
+        sendError(res, 500, 'Internal server error', `Failed to create targeting rule: ${error.message}`);
+    }
+});
+
+// 📋 Admin: List targeting rules in evaluation order
+app.get('/api/admin/icon-rules', async (req, res) => {
+    try {
+        const rules = await iconTargeting.listRules();
+        res.json({
+            success: true,
+            count: rules.length,
+            data: rules
+        });
+
+    } catch (error) {
+        console.error('❌ List rules error:', error);
+        sendError(res, 500, 'Internal server error', `Failed to list targeting rules: ${error.message}`);
+    }
+});
+
+// 🔍 Admin: Preview which icon a context would get
+// Body: { platform, appVersion, country, locale, userId }
+app.post('/api/admin/icon-rules/preview', validateRequest(schemas.iconRules.preview), async (req, res) => {
+    try {
+        const context = iconTargeting.normalizeContext(req.body);
+        const { icon, rule, evaluations } = await resolveIconForContext(context);
+
+        res.json({
+            success: true,
+            data: {
+                context,
+                iconName: icon ? icon.iconName : null,
+                displayName: icon ? icon.name : null,
+                source: rule ? 'rule' : 'global',
+                matchedRule: rule ? { id: rule._id, name: rule.name } : null,
+                evaluations
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ Preview rules error:', error);
+        sendError(res, 500, 'Internal server error', `Failed to preview targeting: ${error.message}`);
+    }
+});
+
+// ✏️ Admin: Update a targeting rule (a new `conditions` object replaces the old one)
+app.patch('/api/admin/icon-rules/:id', validateRequest(schemas.iconRules.update), async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return sendError(res, 404, 'Targeting rule not found', 'Targeting rule not found');
+        }
+
+        const rule = iconTargeting.normalizeRuleInput(req.body);
+
+        if (rule.iconName && !(await iconStore.getIcon(rule.iconName))) {
+            return sendValidationError(res, [{ location: 'body', field: 'iconName', message: `Icon '${rule.iconName}' not found` }]);
+        }
+
+        const updated = await iconTargeting.updateRule(req.params.id, rule);
+        if (!updated) {
+            return sendError(res, 404, 'Targeting rule not found', 'Targeting rule not found');
+        }
+
+        notifyAfterRuleChange();
+
+        console.log(`✅ Targeting rule '${updated.name}' updated`);
+        res.json({
+            success: true,
+            message: 'Targeting rule updated successfully',
+            data: updated
+        });
+
+    } catch (error) {
+        console.error('❌ Update rule error:', error);
+        sendError(res, 500, 'Internal server error', `Failed to update targeting rule: ${error.message}`);
+    }
+});
+
+// 🗑️ Admin: Delete a targeting rule
+app.delete('/api/admin/icon-rules/:id', async (req, res) => {
+    try {
+        const deleted = mongoose.isValidObjectId(req.params.id)
+            ? await iconTargeting.deleteRule(req.params.id)
+            : null;
+
+        if (!deleted) {
+            return sendError(res, 404, 'Targeting rule not found', 'Targeting rule not found');
+        }
+
+        notifyAfterRuleChange();
+
+        console.log(`✅ Targeting rule '${deleted.name}' deleted`);
+        res.json({
+            success: true,
+            message: 'Targeting rule deleted successfully',
+            data: { id: deleted._id }
+        });
+
+    } catch (error) {
+        console.error('❌ Delete rule error:', error);
+        sendError(res, 500, 'Internal server error', `Failed to delete targeting rule: ${error.message}`);
+    }
+});
+
+// ========================================
+// DEVICE REGISTRATION ROUTES
+// ========================================
+
+// 📲 App: Register (or refresh) this install for icon updates. Linking it to a userId needs
+// that user's app token.
+app.post('/api/app/devices', auth.identifyAppUser, validateRequest(schemas.devices.register), async (req, res) => {
+    try {
+        const { pushToken, platform, appVersion, locale, userId } = req.body;
+
+        // Devices show up in their user's data export and erasure, so only the user themselves
+        // can link one
+        if (userId !== undefined && !req.appUser) {
+            return sendError(res, 401, 'Unauthorized', 'Sign in to link this device to a user');
+        }
+        if (userId !== undefined && req.appUser.userId !== userId) {
+            return sendError(res, 403, 'Forbidden', 'userId must be the signed-in user');
+        }
+
+        const { device, created } = await deviceStore.registerDevice({
+            pushToken,
+            platform,
+            appVersion,
+            locale,
+            userId: req.appUser ? req.appUser.userId : undefined
+        });
+
+        if (created) {
+            pushNotifications.subscribeToIconTopic(pushToken);
+        }
+
+        console.log(`✅ Device ${created ? 'registered' : 'refreshed'} (${device.platform} ${device.appVersion || ''})`);
+        res.status(created ? 201 : 200).json({
+            success: true,
+            message: created ? 'Device registered successfully' : 'Device updated successfully',
+            data: {
+                id: device._id,
+                platform: device.platform,
+                appVersion: device.appVersion,
+                locale: device.locale,
+                registeredAt: device.registeredAt,
+                lastSeenAt: device.lastSeenAt
+            }
+        });
+
+    } catch (error) {
+        console.error('❌ Register device error:', error);
+        sendError(res, 500, 'Internal server error', `Failed to register device: ${error.message}`);
+    }
+});
+
+// 🗑️ App: Unregister this install
+app.delete('/api/app/devices/:pushToken', async (req, res) => {
+    try {
+        const { pushToken } = req.params;
+        const removed = await deviceStore.unregisterDevice(pushToken);
+
+        if (!removed) {
+            return sendError(res, 404, 'Device not found', 'Device not found');
+        }
+
+        pushNotifications.unsubscribeFromIconTopic(pushToken);
+
+        console.log('✅ Device unregistered');
+        res.json({
+            success: true,
+            message: 'Device unregistered successfully'
+        });
+
+    } catch (error) {
+        console.error('❌ Unregister device error:', error);
+        sendError(res, 500, 'Internal server error', `Failed to unregister device: ${error.message}`);
+    }
+});
+
+// 📋 Admin: List registered devices (filters: platform, appVersion, locale, userId, seenSince)
+app.get('/api/admin/devices', validateRequest(schemas.devices.list), async (req, res) => {
+    try {
+        const { page, limit } = req.query;
+        const { devices, total } = await deviceStore.listDevices(req.query, { page, limit });
+
+        res.json({
+            success: true,
+            count: devices.length,
+            total,
+            page,
+            totalPages: Math.ceil(total / limit),
+            data: devices
+        });
+
+    } catch (error) {
+        console.error('❌ List devices error:', error);
+        sendError(res, 500, 'Internal server error', `Failed to list devices: ${error.message}`);
+    }
+});
+
+// ========================================
+// USER DATA ROUTES
+// ========================================
+
+// 🙋 App: A user's own feedback, newest first (sort, limit, page and cursor as for GET /api/feedback)
+app.get('/api/app/users/:userId/feedback', auth.requireAppUser, validateRequest(schemas.userData.ownFeedback), async (req, res) => {
+    try {
+        const { userId } = req.params;
+        if (req.appUser.userId !== userId) {
+            return sendError(res, 403, 'Forbidden', 'You can only view your own feedback');
+        }
+
+        const { error: queryError, field, query } = feedbackQuery.parseFeedbackQuery({ ...req.query, userId });
+        if (queryError) {
+            return sendValidationError(res, [{ location: 'query', field, message: queryError }]);
+        }
+
+        const { records, total, nextCursor } = await feedbackQuery.queryFeedback(query);
+
+        res.json({
+            success: true,
+            count: records.length,
+            total,
+            page: query.cursor ? null : query.page,
+            nextCursor,
+            data: records.map(userData.toUserFeedback)
+        });
+
+    } catch (error) {
+        console.error('❌ List user feedback error:', error);
+        if (error.code === 'FEEDBACK_STORE_UNAVAILABLE') {
+            return sendFeedbackError(res, error);
+        }
+        sendError(res, 500, 'Internal server error', `Failed to list feedback: ${error.message}`);
+    }
+});
+
+// 📦 Admin: Download everything held about an app user (?emailId= also matches feedback sent with that email)
+app.get('/api/admin/app-users/:userId/export', validateRequest(schemas.userData.export), async (req, res) => {
+    try {
+        const user = { userId: req.params.userId, emailId: req.query.emailId || undefined };
+        const data = await userData.exportUserData(user);
+
+        console.log(`📦 User data exported by ${req.user.username}: ${data.feedback.length} feedback, ${data.devices.length} devices`);
+        res.set('Content-Disposition', `attachment; filename="user-data-${moment().format('YYYYMMDD-HHmmss')}.json"`);
+        res.set('Cache-Control', 'no-store');
+        res.json({
+            success: true,
+            data
+        });
+
+    } catch (error) {
+        console.error('❌ Export user data error:', error);
+        if (error.code === 'FEEDBACK_STORE_UNAVAILABLE') {
+            return sendFeedbackError(res, error);
+        }
+        sendError(res, 500, 'Internal server error', `Failed to export user data: ${error.message}`);
+    }
+});
+
+// 🧽 Admin: Erase an app user's data. Body: { mode: 'delete' | 'anonymize', emailId?, reason? }
+app.post('/api/admin/app-users/:userId/erase', validateRequest(schemas.userData.erase), async (req, res) => {
+    try {
+        const { mode, emailId, reason } = req.body;
+
+        const receipt = await userData.eraseUserData(
+            { userId: req.params.userId, emailId: emailId || undefined },
+            { mode, actor: req.user.username, reason: reason || undefined }
+        );
+
+        res.status(receipt.status === 'completed' ? 200 : 207).json({
+            success: receipt.status === 'completed',
+            message: receipt.status === 'completed'
+                ? 'User data erased'
+                : 'User data partly erased; erase again to retry the failures',
+            data: receipt
+        });
+
+    } catch (error) {
+        console.error('❌ Erase user data error:', error);
+        if (error.code === 'FEEDBACK_STORE_UNAVAILABLE') {
+            return sendFeedbackError(res, error);
+        }
+        sendError(res, 500, 'Internal server error', `Failed to erase user data: ${error.message}`);
+    }
+});
+
+// 🧾 Admin: Erasure receipts, newest first (?userId= for one user's)
+app.get('/api/admin/erasure-receipts', validateRequest(schemas.userData.receipts), async (req, res) => {
+    try {
+        const { userId, limit } = req.query;
+        const receipts = await userData.listErasureReceipts({ userId: userId || undefined, limit });
+
+        res.json({
+            success: true,
+            count: receipts.length,
+            data: receipts
+        });
+
+    } catch (error) {
+        console.error('❌ List erasure receipts error:', error);
+        sendError(res, 500, 'Internal server error', `Failed to list erasure receipts: ${error.message}`);
+    }
+});
+
+// ========================================
+// FEEDBACK OUTBOX ROUTES (admin)
+// ========================================
+
+// 📮 Admin: Queued and failed feedback deliveries (?status=pending|dead|delivered, default: not yet delivered)
+app.get('/api/admin/feedback-outbox', validateRequest(schemas.feedbackOutbox.list), async (req, res) => {
+    try {
+        const { status, limit } = req.query;
+        const [entries, counts] = await Promise.all([
+            feedbackOutbox.listOutbox({ status, limit }),
+            feedbackOutbox.countOutbox()
+        ]);
+
+        res.json({
+            success: true,
+            counts,
+            count: entries.length,
+            data: entries
+        });
+
+    } catch (error) {
+        console.error('❌ List feedback outbox error:', error);
+        sendError(res, 500, 'Internal server error', `Failed to list feedback outbox: ${error.message}`);
+    }
+});
+
+// 🔁 Admin: Retry every dead-lettered feedback delivery
+app.post('/api/admin/feedback-outbox/replay', async (req, res) => {
+    try {
+        const replayed = await feedbackOutbox.replayDeadEntries();
+        console.log(`🔁 Replaying ${replayed} dead feedback deliveries`);
+
+        res.json({
+            success: true,
+            message: `${replayed} feedback deliveries queued for retry`,
+            replayed
+        });
+
+    } catch (error) {
+        console.error('❌ Replay feedback outbox error:', error);
+        sendError(res, 500, 'Internal server error', `Failed to replay feedback deliveries: ${error.message}`);
+    }
+});
+
+// 🔁 Admin: Retry one dead-lettered feedback delivery
+app.post('/api/admin/feedback-outbox/:feedbackId/replay', async (req, res) => {
+    try {
+        const replayed = await feedbackOutbox.replayDeadEntries(req.params.feedbackId);
+        if (replayed === 0) {
+            return sendError(res, 404, 'Delivery not found', `No dead-lettered delivery for feedback '${req.params.feedbackId}'`);
+        }
+
+        console.log(`🔁 Replaying feedback delivery ${req.params.feedbackId}`);
+        res.json({
+            success: true,
+            message: 'Feedback delivery queued for retry',
+            replayed
+        });
+
+    } catch (error) {
+        console.error('❌ Replay feedback outbox error:', error);
+        sendError(res, 500, 'Internal server error', `Failed to replay feedback delivery: ${error.message}`);
+    }
+});
+
+// 🚩 Admin: Feedback photos held for moderation, with signed URLs for reviewing them
+app.get('/api/admin/feedback-photos', async (req, res) => {
+    try {
+        const photos = await photoModeration.listHeldPhotos();
+
+        res.json({
+            success: true,
+            count: photos.length,
+            data: photos
+        });
+
+    } catch (error) {
+        console.error('❌ List held feedback photos error:', error);
+        if (error.code === 'FEEDBACK_STORE_UNAVAILABLE') {
+            return sendFeedbackError(res, error);
+        }
+        sendError(res, 500, 'Internal server error', `Failed to list held feedback photos: ${error.message}`);
+    }
+});
+
+// 🧹 Admin: Find Cloudinary feedback photos no feedback refers to. Reports only, unless the
+// body is { "delete": true }.
+app.post('/api/admin/feedback-photos/reconcile', validateRequest(schemas.feedbackOutbox.reconcilePhotos), async (req, res) => {
+    try {
+        const deleteOrphans = req.body.delete;
+        const report = await photoCleanup.reconcilePhotos({ deleteOrphans });
+
+        res.json({
+            success: true,
+            message: deleteOrphans
+                ? `${report.deleted} of ${report.orphans.length} orphaned photos deleted`
+                : `${report.orphans.length} orphaned photos found`,
+            data: report
+        });
+
+    } catch (error) {
+        console.error('❌ Reconcile feedback photos error:', error);
+        if (error.code === 'FEEDBACK_STORE_UNAVAILABLE') {
+            return sendFeedbackError(res, error);
+        }
+        sendError(res, 500, 'Internal server error', `Failed to reconcile feedback photos: ${error.message}`);
+    }
+});
+
+// ========================================
+// ERROR HANDLING MIDDLEWARE
+// ========================================
+
+app.use((error, req, res, next) => {
+    console.error('🚨 Middleware error:', error);
+    
+    if (error.type === 'entity.parse.failed') {
+        return sendValidationError(res, [{ location: 'body', message: 'Request body must be valid JSON' }]);
+    }
+
+    // Upload problems are reported like any other invalid field
+    const isIconUpload = req.path.startsWith('/api/admin/icons');
+    const fileField = isIconUpload ? 'icon' : 'photos';
+
+    if (error instanceof multer.MulterError) {
+        if (error.code === 'LIMIT_FILE_SIZE') {
+            const maxFileSize = isIconUpload
+                ? parseInt(process.env.ICON_MAX_FILE_SIZE) || 2 * 1024 * 1024
+                : parseInt(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024;
+            return sendValidationError(res, [{ location: 'body', field: fileField, message: `Maximum file size is ${maxFileSize / (1024 * 1024)}MB` }]);
+        }
+        if (error.code === 'LIMIT_FILE_COUNT') {
+            return sendValidationError(res, [{ location: 'body', field: fileField, message: `Maximum ${MAX_PHOTOS_PER_FEEDBACK} files allowed` }]);
+        }
+        if (error.code === 'LIMIT_UNEXPECTED_FILE') {
+            return sendValidationError(res, [{
+                location: 'body',
+                field: error.field,
+                message: isIconUpload
+                    ? 'Please use field name "icon" for icon uploads'
+                    : 'Please use field name "photos" for image uploads'
+            }]);
+        }
+    }
+    
+    if (error.message && error.message.includes('File type')) {
+        return sendValidationError(res, [{ location: 'body', field: fileField, message: error.message }]);
+    }
+    
+    sendError(res, 500, 'Internal server error', error.message);
+});
+
+// 404 handler
+app.use((req, res) => {
+    console.log(`❌ 404 - Route not found: ${req.method} ${req.originalUrl}`);
+    sendError(res, 404, 'Endpoint not found', `${req.method} ${req.originalUrl} not found`, {
+        availableEndpoints: {
+            feedback: [
+                'POST /api/feedback',
+                'POST /api/feedback/upload-signature',
+                'GET /api/feedback/form-token',
+                'GET /api/feedback',
+                'GET /api/feedback/export',
+                'GET /api/feedback/:id',
+                'PATCH /api/feedback/:id',
+                'GET /api/feedback/:id/notes',
+                'POST /api/feedback/:id/notes',
+                'DELETE /api/feedback/:id/notes/:noteId',
+                'POST /api/feedback/:id/photos/:publicId/approve',
+                'POST /api/feedback/:id/photos/:publicId/reject',
+                'DELETE /api/feedback/:id/photos/:publicId'
+            ],
+            adminAuth: [
+                'POST /api/admin/login',
+                'POST /api/admin/token/refresh',
+                'POST /api/admin/logout',
+                'POST /api/admin/users'
+            ],
+            iconChanger: [
+                'GET /api/app/current-icon',
+                'GET /api/app/icon-stream',
+                'GET /api/admin/icons',
+                'POST /api/admin/icons/activate',
+                'POST /api/admin/icons/add',
+                'PATCH /api/admin/icons/:iconName',
+                'GET /api/admin/icons/history',
+                'POST /api/admin/icons/rollback',
+                'DELETE /api/admin/icons/:iconName',
+                'GET /api/admin/notifications'
+            ],
+            campaigns: [
+                'POST /api/admin/campaigns',
+                'GET /api/admin/campaigns',
+                'DELETE /api/admin/campaigns/:id'
+            ],
+            targeting: [
+                'POST /api/admin/icon-rules',
+                'GET /api/admin/icon-rules',
+                'POST /api/admin/icon-rules/preview',
+                'PATCH /api/admin/icon-rules/:id',
+                'DELETE /api/admin/icon-rules/:id'
+            ],
+            devices: [
+                'POST /api/app/devices',
+                'DELETE /api/app/devices/:pushToken',
+                'GET /api/admin/devices'
+            ],
+            userData: [
+                'GET /api/app/users/:userId/feedback',
+                'GET /api/admin/app-users/:userId/export',
+                'POST /api/admin/app-users/:userId/erase',
+                'GET /api/admin/erasure-receipts'
+            ],
+            feedbackOutbox: [
+                'GET /api/admin/feedback-outbox',
+                'POST /api/admin/feedback-outbox/replay',
+                'POST /api/admin/feedback-outbox/:feedbackId/replay',
+                'GET /api/admin/feedback-photos',
+                'POST /api/admin/feedback-photos/reconcile'
+            ],
+            general: [
+                'GET /health'
+            ]
+        },
+        suggestion: 'Check the URL and HTTP method. Available endpoints are listed above.'
+    });
+});
+
+// ========================================
+// SERVER STARTUP
+// ========================================
+
+async function startServer() {
+    try {
+        console.log('🚀 Starting Unified API server...');
+        console.log('📦 Services: Feedback API + Icon Changer API');
+
+        // Connect to MongoDB and seed the icon catalog on first boot
+        await connectDatabase();
+        await iconStore.seedDefaultIcons();
+        await auth.seedAdminUser();
+
+        // Apply whichever campaign should be live right now, then keep checking
+        await iconScheduler.startScheduler({
+            onChange: icon => notifyAllApps(icon)
+        });
+        
+        // Prepare the feedback backend (Sheets headers, Mongo collection or local file)
+        const feedbackStore = getFeedbackStore();
+        console.log(`📝 Feedback store: ${feedbackStore.name}`);
+        await feedbackStore.init();
+
+        // Deliver queued feedback, including anything left over from before a restart
+        feedbackOutbox.startOutboxWorker();
+        
         app.listen(PORT, () => {
             console.log(`🎉 Unified API server running on port ${PORT}`);
             console.log(`📊 Health check: http://localhost:${PORT}/health`);
             console.log('');
             console.log('📝 FEEDBACK API ENDPOINTS:');
             console.log(`   POST   http://localhost:${PORT}/api/feedback`);
+            console.log(`   POST   http://localhost:${PORT}/api/feedback/upload-signature`);
+            console.log(`   GET    http://localhost:${PORT}/api/feedback/form-token`);
             console.log(`   GET    http://localhost:${PORT}/api/feedback`);
+            console.log(`   GET    http://localhost:${PORT}/api/feedback/export`);
+            console.log(`   GET    http://localhost:${PORT}/api/feedback/:id`);
+            console.log(`   PATCH  http://localhost:${PORT}/api/feedback/:id`);
+            console.log(`   GET    http://localhost:${PORT}/api/feedback/:id/notes`);
+            console.log(`   POST   http://localhost:${PORT}/api/feedback/:id/notes`);
+            console.log(`   DELETE http://localhost:${PORT}/api/feedback/:id/notes/:noteId`);
+            console.log(`   POST   http://localhost:${PORT}/api/feedback/:id/photos/:publicId/approve`);
+            console.log(`   POST   http://localhost:${PORT}/api/feedback/:id/photos/:publicId/reject`);
+            console.log(`   DELETE http://localhost:${PORT}/api/feedback/:id/photos/:publicId`);
+            console.log('');
+            console.log('🔑 ADMIN AUTH ENDPOINTS:');
+            console.log(`   POST   http://localhost:${PORT}/api/admin/login`);
+            console.log(`   POST   http://localhost:${PORT}/api/admin/token/refresh`);
+            console.log(`   POST   http://localhost:${PORT}/api/admin/logout`);
+            console.log(`   POST   http://localhost:${PORT}/api/admin/users`);
             console.log('');
             console.log('🎨 ICON CHANGER API ENDPOINTS:');
             console.log(`   GET    http://localhost:${PORT}/api/app/current-icon`);
+            console.log(`   GET    http://localhost:${PORT}/api/app/icon-stream`);
             console.log(`   GET    http://localhost:${PORT}/api/admin/icons`);
             console.log(`   POST   http://localhost:${PORT}/api/admin/icons/activate`);
             console.log(`   POST   http://localhost:${PORT}/api/admin/icons/add`);
+            console.log(`   PATCH  http://localhost:${PORT}/api/admin/icons/:iconName`);
+            console.log(`   GET    http://localhost:${PORT}/api/admin/icons/history`);
+            console.log(`   POST   http://localhost:${PORT}/api/admin/icons/rollback`);
+            console.log(`   DELETE http://localhost:${PORT}/api/admin/icons/:iconName`);
+            console.log(`   GET    http://localhost:${PORT}/api/admin/notifications`);
+            console.log('');
+            console.log('🗓️  CAMPAIGN ENDPOINTS:');
+            console.log(`   POST   http://localhost:${PORT}/api/admin/campaigns`);
+            console.log(`   GET    http://localhost:${PORT}/api/admin/campaigns`);
+            console.log(`   DELETE http://localhost:${PORT}/api/admin/campaigns/:id`);
+            console.log('');
+            console.log('🎯 TARGETING RULE ENDPOINTS:');
+            console.log(`   POST   http://localhost:${PORT}/api/admin/icon-rules`);
+            console.log(`   GET    http://localhost:${PORT}/api/admin/icon-rules`);
+            console.log(`   POST   http://localhost:${PORT}/api/admin/icon-rules/preview`);
+            console.log(`   PATCH  http://localhost:${PORT}/api/admin/icon-rules/:id`);
+            console.log(`   DELETE http://localhost:${PORT}/api/admin/icon-rules/:id`);
+            console.log('');
+            console.log('📲 DEVICE ENDPOINTS:');
+            console.log(`   POST   http://localhost:${PORT}/api/app/devices`);
+            console.log(`   DELETE http://localhost:${PORT}/api/app/devices/:pushToken`);
+            console.log(`   GET    http://localhost:${PORT}/api/admin/devices`);
+            console.log('');
+            console.log('🙋 USER DATA ENDPOINTS:');
+            console.log(`   GET    http://localhost:${PORT}/api/app/users/:userId/feedback`);
+            console.log(`   GET    http://localhost:${PORT}/api/admin/app-users/:userId/export`);
+            console.log(`   POST   http://localhost:${PORT}/api/admin/app-users/:userId/erase`);
+            console.log(`   GET    http://localhost:${PORT}/api/admin/erasure-receipts`);
+            console.log('');
+            console.log('📮 FEEDBACK OUTBOX ENDPOINTS:');
+            console.log(`   GET    http://localhost:${PORT}/api/admin/feedback-outbox`);
+            console.log(`   POST   http://localhost:${PORT}/api/admin/feedback-outbox/replay`);
+            console.log(`   POST   http://localhost:${PORT}/api/admin/feedback-outbox/:feedbackId/replay`);
+            console.log(`   GET    http://localhost:${PORT}/api/admin/feedback-photos`);
+            console.log(`   POST   http://localhost:${PORT}/api/admin/feedback-photos/reconcile`);
             console.log('');
             console.log('✅ Both APIs are ready to accept requests!');
         });
@@ -699,6 +2375,8 @@ async function startServer() {
     }
 }
 
-startServer();
+if (require.main === module) {
+    startServer();
+}
 
 module.exports = app;
@@ -4,10 +4,25 @@ require('dotenv').config();
 
 console.log('🔍 Checking configuration...\n');
 
-// Check Google Sheet ID
 let configValid = true;
 
-if (!process.env.GOOGLE_SHEET_ID || process.env.GOOGLE_SHEET_ID.includes('your_')) {
+// Check feedback storage backend
+const feedbackStore = process.env.FEEDBACK_STORE || 'sheets';
+const usesSheets = feedbackStore === 'sheets';
+if (!['sheets', 'mongo', 'file'].includes(feedbackStore)) {
+    console.log(`❌ FEEDBACK_STORE: Unknown value '${feedbackStore}' (use sheets, mongo or file)`);
+    configValid = false;
+} else {
+    console.log(`✅ FEEDBACK_STORE: ${feedbackStore}${process.env.FEEDBACK_STORE ? '' : ' (default)'}`);
+    if (feedbackStore === 'file') {
+        console.log(`   File: ${process.env.FEEDBACK_FILE_PATH || 'data/feedback.json (default)'}`);
+    }
+}
+
+// Check Google Sheet ID
+if (!usesSheets) {
+    console.log('⏭️  GOOGLE_SHEET_ID: Not needed for this feedback store');
+} else if (!process.env.GOOGLE_SHEET_ID || process.env.GOOGLE_SHEET_ID.includes('your_')) {
     console.log('❌ GOOGLE_SHEET_ID: Not configured or contains placeholder value');
     console.log('   Current value:', process.env.GOOGLE_SHEET_ID);
     console.log('   Example format: 1BxiMVs0XRA5nFMdKvBdBZjgmUUqptlbs74OgvE2upms');
@@ -17,6 +32,35 @@ if (!process.env.GOOGLE_SHEET_ID || process.env.GOOGLE_SHEET_ID.includes('your_'
     console.log('   Sheet ID:', process.env.GOOGLE_SHEET_ID);
 }
 
+// Check MongoDB connection string
+if (!process.env.MONGODB_URI || process.env.MONGODB_URI.includes('your_')) {
+    console.log('❌ MONGODB_URI: Not configured or contains placeholder value');
+    console.log('   Example format: mongodb://localhost:27017/discovery_app');
+    configValid = false;
+} else {
+    console.log('✅ MONGODB_URI: Configured');
+}
+
+// Check JWT secret for admin authentication
+if (!process.env.JWT_SECRET || process.env.JWT_SECRET.includes('your_')) {
+    console.log('❌ JWT_SECRET: Not configured or contains placeholder value');
+    console.log('   Admin routes and GET /api/feedback cannot be used without it');
+    configValid = false;
+} else if (process.env.JWT_SECRET.length < 32) {
+    console.log('⚠️  JWT_SECRET: Configured but shorter than 32 characters');
+} else {
+    console.log('✅ JWT_SECRET: Configured');
+}
+
+// Check the key erasure receipts are hashed with
+if (!process.env.ERASURE_HASH_SECRET || process.env.ERASURE_HASH_SECRET.includes('your_')) {
+    console.log('❌ ERASURE_HASH_SECRET: Not configured or contains placeholder value');
+    console.log('   User data export and erasure cannot be used without it; keep it fixed once set');
+    configValid = false;
+} else {
+    console.log('✅ ERASURE_HASH_SECRET: Configured');
+}
+
 // Check Cloudinary configuration
 console.log('\n🖼️  Cloudinary Configuration:');
 const cloudinaryFields = [
@@ -34,9 +78,26 @@ cloudinaryFields.forEach(field => {
     }
 });
 
-// Check for a.json credentials file
-const credentialsPath = path.join(__dirname, 'a.json');
-if (fs.existsSync(credentialsPath)) {
+// Check Google Service Account credentials (GOOGLE_SERVICE_ACCOUNT, GOOGLE_CREDENTIALS_PATH or a.json)
+const credentialsPath = process.env.GOOGLE_CREDENTIALS_PATH
+    ? path.resolve(process.env.GOOGLE_CREDENTIALS_PATH)
+    : path.join(__dirname, 'a.json');
+if (process.env.GOOGLE_SERVICE_ACCOUNT) {
+    try {
+        const credentials = JSON.parse(Buffer.from(process.env.GOOGLE_SERVICE_ACCOUNT, 'base64').toString('utf8'));
+        if (credentials.client_email && credentials.private_key && credentials.project_id) {
+            console.log('✅ GOOGLE_SERVICE_ACCOUNT: Valid Google Service Account credentials found');
+            console.log(`   Service Account: ${credentials.client_email}`);
+            console.log(`   Project ID: ${credentials.project_id}`);
+        } else {
+            console.log('❌ GOOGLE_SERVICE_ACCOUNT: Invalid credentials format');
+            configValid = false;
+        }
+    } catch (error) {
+        console.log('❌ GOOGLE_SERVICE_ACCOUNT: Not valid base64-encoded JSON');
+        configValid = false;
+    }
+} else if (fs.existsSync(credentialsPath)) {
     try {
         const credentials = JSON.parse(fs.readFileSync(credentialsPath, 'utf8'));
         if (credentials.client_email && credentials.private_key && credentials.project_id) {
@@ -51,9 +112,11 @@ if (fs.existsSync(credentialsPath)) {
         console.log('❌ a.json: Invalid JSON format');
         configValid = false;
     }
-} else {
+} else if (usesSheets) {
     console.log('❌ a.json: Google Service Account credentials file not found');
     configValid = false;
+} else {
+    console.log('⏭️  a.json: Not needed for this feedback store');
 }
 
 // Check uploads directory
@@ -67,6 +130,29 @@ if (fs.existsSync('./uploads')) {
 console.log(`\n📋 Optional Configuration:`);
 console.log(`   PORT: ${process.env.PORT || '3000 (default)'}`);
 console.log(`   MAX_FILE_SIZE: ${process.env.MAX_FILE_SIZE || '10485760 (10MB default)'}`);
+console.log(`   FIREBASE_SERVICE_ACCOUNT: ${process.env.FIREBASE_SERVICE_ACCOUNT || process.env.FIREBASE_CREDENTIALS_PATH ? 'Configured' : 'Not set (push notifications disabled)'}`);
+console.log(`   FCM_ICON_TOPIC: ${process.env.FCM_ICON_TOPIC || 'icon-changes (default)'}`);
+console.log(`   APP_JWT_SECRET: ${process.env.APP_JWT_SECRET ? 'Set' : 'Not set (devices can only register anonymously; GET /api/app/users/:userId/feedback will fail)'}`);
+console.log(`   ADMIN_USERNAME: ${process.env.ADMIN_USERNAME || 'Not set (initial admin will not be created)'}`);
+console.log(`   JWT_ACCESS_EXPIRES_IN: ${process.env.JWT_ACCESS_EXPIRES_IN || '15m (default)'}`);
+console.log(`   JWT_REFRESH_EXPIRES_IN: ${process.env.JWT_REFRESH_EXPIRES_IN || '7d (default)'}`);
+console.log(`   PUBLIC_BASE_URL: ${process.env.PUBLIC_BASE_URL || 'Not set (icons stored under uploads/ get no resized variants)'}`);
+console.log(`   CLOUDINARY_ICON_FOLDER: ${process.env.CLOUDINARY_ICON_FOLDER || 'app-icons (default)'}`);
+console.log(`   ICON_MAX_FILE_SIZE: ${process.env.ICON_MAX_FILE_SIZE || '2097152 (2MB default)'}`);
+console.log(`   ICON_CACHE_MAX_AGE: ${process.env.ICON_CACHE_MAX_AGE || '60 (default, seconds)'}`);
+console.log(`   FEEDBACK_OUTBOX_MAX_ATTEMPTS: ${process.env.FEEDBACK_OUTBOX_MAX_ATTEMPTS || '8 (default)'}`);
+console.log(`   FEEDBACK_PHOTO_MODERATION: ${process.env.FEEDBACK_PHOTO_MODERATION || 'off (default; manual holds every photo for review)'}`);
+console.log(`   FEEDBACK_RATE_LIMIT_PER_IP: ${process.env.FEEDBACK_RATE_LIMIT_PER_IP || '20 (default, per window; 0 disables)'}`);
+console.log(`   FEEDBACK_RATE_LIMIT_PER_USER: ${process.env.FEEDBACK_RATE_LIMIT_PER_USER || '10 (default, per window; 0 disables)'}`);
+console.log(`   FEEDBACK_RATE_LIMIT_WINDOW_MS: ${process.env.FEEDBACK_RATE_LIMIT_WINDOW_MS || '3600000 (default)'}`);
+console.log(`   FEEDBACK_DUPLICATE_WINDOW_MS: ${process.env.FEEDBACK_DUPLICATE_WINDOW_MS || '600000 (default; 0 disables)'}`);
+console.log(`   FEEDBACK_HONEYPOT_FIELD: ${process.env.FEEDBACK_HONEYPOT_FIELD || 'website (default)'}`);
+console.log(`   FEEDBACK_REQUIRE_FORM_TOKEN: ${process.env.FEEDBACK_REQUIRE_FORM_TOKEN || 'false (default)'}`);
+console.log(`   TRUST_PROXY: ${process.env.TRUST_PROXY || 'Not set (req.ip is the direct peer address)'}`);
+console.log(`   SHEETS_MAX_RETRIES: ${process.env.SHEETS_MAX_RETRIES || '3 (default)'}`);
+console.log(`   SHEETS_CACHE_TTL_MS: ${process.env.SHEETS_CACHE_TTL_MS || '15000 (default)'}`);
+console.log(`   SHEETS_BREAKER_THRESHOLD: ${process.env.SHEETS_BREAKER_THRESHOLD || '5 (default, consecutive failures)'}`);
+console.log(`   SHEETS_BREAKER_COOLDOWN_MS: ${process.env.SHEETS_BREAKER_COOLDOWN_MS || '30000 (default)'}`);
 console.log(`   ALLOWED_FILE_TYPES: ${process.env.ALLOWED_FILE_TYPES || 'pdf,doc,docx,txt,jpg,jpeg,png (default)'}`);
 
 console.log('\n' + '='.repeat(50));
@@ -81,10 +167,12 @@ if (configValid) {
     console.log('❌ Please fix the configuration issues before starting the server.');
     console.log('\nSetup requirements:');
     console.log('1. Create a Google Sheet and copy its ID from the URL');
-    console.log('2. The a.json file should contain valid Google Service Account credentials');
+    console.log('2. Provide Google Service Account credentials in a.json (or base64 JSON in GOOGLE_SERVICE_ACCOUNT)');
     console.log('3. Share your Google Sheet with the service account email from a.json');
     console.log('4. Update GOOGLE_SHEET_ID in the .env file');
-    console.log('5. Set up Cloudinary account and add credentials to .env:');
+    console.log('5. Set MONGODB_URI in the .env file (icon catalog storage)');
+    console.log('6. Set JWT_SECRET, ADMIN_USERNAME and ADMIN_PASSWORD in the .env file');
+    console.log('7. Set up Cloudinary account and add credentials to .env:');
     console.log('   - CLOUDINARY_CLOUD_NAME');
     console.log('   - CLOUDINARY_API_KEY');
     console.log('   - CLOUDINARY_API_SECRET');
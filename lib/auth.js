@@ -0,0 +1,215 @@
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const AdminUser = require('../models/AdminUser');
+const { sendError } = require('./requestValidation');
+
+const BCRYPT_ROUNDS = 10;
+const ACCESS_TOKEN_TTL = process.env.JWT_ACCESS_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL = process.env.JWT_REFRESH_EXPIRES_IN || '7d';
+
+// Compared against when the username is unknown so both paths take the same time
+const DUMMY_HASH = bcrypt.hashSync('not-a-real-password', BCRYPT_ROUNDS);
+
+function getAccessSecret() {
+    if (!process.env.JWT_SECRET) {
+        throw new Error('JWT_SECRET is not configured');
+    }
+    return process.env.JWT_SECRET;
+}
+
+function getRefreshSecret() {
+    return process.env.JWT_REFRESH_SECRET || getAccessSecret();
+}
+
+async function hashPassword(password) {
+    return bcrypt.hash(password, BCRYPT_ROUNDS);
+}
+
+async function createAdminUser(username, password) {
+    const passwordHash = await hashPassword(password);
+    const admin = await AdminUser.create({ username, passwordHash });
+    return admin.toObject();
+}
+
+// Function to create the first admin from ADMIN_USERNAME / ADMIN_PASSWORD when none exist
+async function seedAdminUser() {
+    const count = await AdminUser.countDocuments();
+    if (count > 0) {
+        return false;
+    }
+
+    const { ADMIN_USERNAME, ADMIN_PASSWORD } = process.env;
+    if (!ADMIN_USERNAME || !ADMIN_PASSWORD) {
+        console.log('⚠️  No admin users exist. Set ADMIN_USERNAME and ADMIN_PASSWORD to create one.');
+        return false;
+    }
+
+    await createAdminUser(ADMIN_USERNAME, ADMIN_PASSWORD);
+    console.log(`✅ Created initial admin user '${ADMIN_USERNAME.toLowerCase()}'`);
+    return true;
+}
+
+// Function to check a username/password pair. Returns the admin or null.
+async function authenticateAdmin(username, password) {
+    const admin = await AdminUser.findOne({ username: username.trim().toLowerCase() });
+    const matches = await bcrypt.compare(password, admin ? admin.passwordHash : DUMMY_HASH);
+
+    if (!admin || !matches) {
+        return null;
+    }
+
+    await AdminUser.updateOne({ _id: admin._id }, { lastLoginAt: new Date() });
+    return admin;
+}
+
+function issueTokens(admin) {
+    const subject = admin._id.toString();
+
+    const accessToken = jwt.sign(
+        { role: admin.role, username: admin.username, type: 'access' },
+        getAccessSecret(),
+        { subject, expiresIn: ACCESS_TOKEN_TTL }
+    );
+
+    const refreshToken = jwt.sign(
+        { type: 'refresh', version: admin.tokenVersion },
+        getRefreshSecret(),
+        { subject, expiresIn: REFRESH_TOKEN_TTL }
+    );
+
+    return {
+        accessToken,
+        refreshToken,
+        tokenType: 'Bearer',
+        expiresIn: ACCESS_TOKEN_TTL
+    };
+}
+
+// Function to exchange a refresh token for a new token pair. Returns null if it is no longer valid.
+async function refreshTokens(refreshToken) {
+    let payload;
+    try {
+        payload = jwt.verify(refreshToken, getRefreshSecret());
+    } catch (error) {
+        return null;
+    }
+
+    if (payload.type !== 'refresh') {
+        return null;
+    }
+
+    const admin = await AdminUser.findById(payload.sub);
+    if (!admin || admin.tokenVersion !== payload.version) {
+        return null;
+    }
+
+    return issueTokens(admin);
+}
+
+async function revokeRefreshTokens(adminId) {
+    await AdminUser.updateOne({ _id: adminId }, { $inc: { tokenVersion: 1 } });
+}
+
+function getBearerToken(req) {
+    const header = req.get('authorization') || '';
+    const [scheme, token] = header.split(' ');
+    return scheme && scheme.toLowerCase() === 'bearer' && token ? token : null;
+}
+
+// Middleware factory: 401 when the token is missing or invalid, 403 when the role is not allowed
+function requireRole(...roles) {
+    return (req, res, next) => {
+        const token = getBearerToken(req);
+        if (!token) {
+            return sendError(res, 401, 'Unauthorized', 'Authentication required');
+        }
+
+        let payload;
+        try {
+            payload = jwt.verify(token, getAccessSecret());
+        } catch (error) {
+            if (error.message === 'JWT_SECRET is not configured') {
+                return next(error);
+            }
+            return sendError(res, 401, 'Unauthorized', error.name === 'TokenExpiredError' ? 'Access token expired' : 'Invalid access token');
+        }
+
+        if (payload.type !== 'access') {
+            return sendError(res, 401, 'Unauthorized', 'Invalid access token');
+        }
+
+        if (!roles.includes(payload.role)) {
+            return sendError(res, 403, 'Forbidden', 'You do not have permission to access this resource');
+        }
+
+        req.user = {
+            id: payload.sub,
+            username: payload.username,
+            role: payload.role
+        };
+        next();
+    };
+}
+
+const requireAdmin = requireRole('admin');
+
+// App users sign in through the main app, not this API. Its login service issues them a token
+// signed with APP_JWT_SECRET whose subject is their userId.
+function getAppUserSecret() {
+    if (!process.env.APP_JWT_SECRET) {
+        throw new Error('APP_JWT_SECRET is not configured');
+    }
+    return process.env.APP_JWT_SECRET;
+}
+
+// Middleware: sets req.appUser = { userId } when the request carries a valid app user token.
+// Requests without a token go through anonymously; an invalid or expired one gets a 401.
+function identifyAppUser(req, res, next) {
+    const token = getBearerToken(req);
+    if (!token) {
+        return next();
+    }
+
+    let payload;
+    try {
+        payload = jwt.verify(token, getAppUserSecret());
+    } catch (error) {
+        if (error.message === 'APP_JWT_SECRET is not configured') {
+            return next(error);
+        }
+        return sendError(res, 401, 'Unauthorized', error.name === 'TokenExpiredError' ? 'Access token expired' : 'Invalid access token');
+    }
+
+    if (!payload.sub) {
+        return sendError(res, 401, 'Unauthorized', 'Invalid access token');
+    }
+
+    req.appUser = { userId: payload.sub };
+    next();
+}
+
+// Middleware: 401 unless the request carries a valid app user token; sets req.appUser = { userId }
+function requireAppUser(req, res, next) {
+    identifyAppUser(req, res, error => {
+        if (error) {
+            return next(error);
+        }
+        if (!req.appUser) {
+            return sendError(res, 401, 'Unauthorized', 'Authentication required');
+        }
+        next();
+    });
+}
+
+module.exports = {
+    createAdminUser,
+    seedAdminUser,
+    authenticateAdmin,
+    issueTokens,
+    refreshTokens,
+    revokeRefreshTokens,
+    requireRole,
+    requireAdmin,
+    identifyAppUser,
+    requireAppUser
+};
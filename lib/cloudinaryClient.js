@@ -0,0 +1,19 @@
+const cloudinary = require('cloudinary').v2;
+
+// Cloudinary SDK used for icon images and feedback photos. app.js configures the real one on
+// startup; tests and offline runs can swap in an object with the same shape (uploader, api, utils, url, config).
+let activeClient = null;
+
+function getCloudinary() {
+    return activeClient || cloudinary;
+}
+
+// Pass null to go back to the real SDK
+function setCloudinaryClient(client) {
+    activeClient = client;
+}
+
+module.exports = {
+    getCloudinary,
+    setCloudinaryClient
+};
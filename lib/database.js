@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+mongoose.set('strictQuery', true);
+
+// Function to connect to MongoDB. Pass a URI to point at a local or in-memory server (e.g. in tests)
+async function connectDatabase(uri = process.env.MONGODB_URI) {
+    if (!uri) {
+        throw new Error('MONGODB_URI is not configured');
+    }
+
+    await mongoose.connect(uri);
+    console.log('✅ Connected to MongoDB');
+    return mongoose.connection;
+}
+
+async function disconnectDatabase() {
+    await mongoose.disconnect();
+}
+
+function isDatabaseConnected() {
+    return mongoose.connection.readyState === 1;
+}
+
+module.exports = {
+    connectDatabase,
+    disconnectDatabase,
+    isDatabaseConnected
+};
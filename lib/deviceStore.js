@@ -0,0 +1,80 @@
+const Device = require('../models/Device');
+
+// Function to register a device, or refresh it if the push token is already known.
+// Returns { device, created }.
+async function registerDevice({ pushToken, platform, appVersion, locale, userId }) {
+    const now = new Date();
+    const existing = await Device.exists({ pushToken });
+    const device = await Device.findOneAndUpdate(
+        { pushToken },
+        {
+            $set: { platform, appVersion, locale, userId, lastSeenAt: now },
+            $setOnInsert: { registeredAt: now }
+        },
+        { new: true, upsert: true, runValidators: true }
+    ).lean();
+
+    return { device, created: !existing };
+}
+
+async function unregisterDevice(pushToken) {
+    const result = await Device.deleteOne({ pushToken });
+    return result.deletedCount > 0;
+}
+
+// Builds a Mongo filter from the admin listing query parameters
+function buildDeviceFilter({ platform, appVersion, locale, userId, seenSince } = {}) {
+    const filter = {};
+    if (platform) filter.platform = String(platform).toLowerCase();
+    if (appVersion) filter.appVersion = String(appVersion);
+    if (locale) filter.locale = new RegExp(`^${String(locale).replace(/[^A-Za-z0-9_-]/g, '')}`, 'i');
+    if (userId) filter.userId = String(userId);
+    if (seenSince) {
+        const since = new Date(seenSince);
+        if (!isNaN(since)) filter.lastSeenAt = { $gte: since };
+    }
+    return filter;
+}
+
+async function listDevices(query = {}, { page = 1, limit = 50 } = {}) {
+    const filter = buildDeviceFilter(query);
+    const [devices, total] = await Promise.all([
+        Device.find(filter)
+            .sort({ lastSeenAt: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .lean(),
+        Device.countDocuments(filter)
+    ]);
+
+    return { devices, total };
+}
+
+async function getPushTokens(query = {}) {
+    const devices = await Device.find(buildDeviceFilter(query), { pushToken: 1 }).lean();
+    return devices.map(device => device.pushToken);
+}
+
+async function removePushTokens(pushTokens) {
+    if (pushTokens.length === 0) return 0;
+    const result = await Device.deleteMany({ pushToken: { $in: pushTokens } });
+    return result.deletedCount;
+}
+
+// Function to detach a user from their installs, which keep getting icon updates anonymously.
+// Returns the number of devices changed.
+async function unlinkUserDevices(userId) {
+    const result = await Device.updateMany({ userId }, { $unset: { userId: 1 } });
+    return result.modifiedCount;
+}
+
+module.exports = {
+    PLATFORMS: Device.PLATFORMS,
+    registerDevice,
+    unregisterDevice,
+    buildDeviceFilter,
+    listDevices,
+    getPushTokens,
+    removePushTokens,
+    unlinkUserDevices
+};
@@ -0,0 +1,127 @@
+const { MAX_PHOTOS_PER_FEEDBACK } = require('./feedbackPhotos');
+
+const EXPORT_FORMATS = {
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' },
+    xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' }
+};
+
+// Spreadsheet columns. Photos get one column each, up to the per-submission limit,
+// so the header can be written before any rows are read.
+const COLUMNS = [
+    { header: 'ID', value: record => record.id },
+    { header: 'Title', value: record => record.title },
+    { header: 'Description', value: record => record.description },
+    { header: 'User ID', value: record => record.user_id },
+    { header: 'Email ID', value: record => record.email_id },
+    { header: 'Date', value: record => record.date },
+    { header: 'Timestamp', value: record => record.timestamp },
+    { header: 'Status', value: record => record.status },
+    { header: 'Assignee', value: record => record.assignee },
+    { header: 'Labels', value: record => record.labels.join(', ') },
+    ...Array.from({ length: MAX_PHOTOS_PER_FEEDBACK }, (unused, index) => ({
+        header: `Photo ${index + 1}`,
+        value: record => (record.photo_details[index] && record.photo_details[index].url) || ''
+    }))
+];
+
+function toRow(record) {
+    return COLUMNS.map(column => String(column.value(record) ?? ''));
+}
+
+// Spreadsheet apps run cells starting with these as formulas, so user-written text is prefixed
+// with a quote to keep it as text
+function neutralizeFormula(value) {
+    return /^[=+\-@\t\r]/.test(value) ? `'${value}` : value;
+}
+
+// RFC 4180: quote fields holding a comma, quote or line break, and double any quotes inside
+function csvField(value) {
+    const text = neutralizeFormula(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvLine(values) {
+    return values.map(csvField).join(',') + '\r\n';
+}
+
+// One JSON object per line, with structured photos in place of the comma-joined string
+function toNdjsonRecord(record) {
+    const { photo_details: photoDetails, ...feedback } = record;
+    return { ...feedback, photos: photoDetails };
+}
+
+// Error for a download the client went away from, so the export stops reading records
+function clientGoneError() {
+    const error = new Error('The client closed the connection during the export');
+    error.code = 'EXPORT_ABORTED';
+    return error;
+}
+
+// Writes and waits for the socket to drain when its buffer is full. A socket that closes or
+// fails instead never drains, so that ends the wait with an error.
+async function write(stream, chunk) {
+    if (stream.destroyed) {
+        throw clientGoneError();
+    }
+    if (stream.write(chunk)) {
+        return;
+    }
+
+    await new Promise((resolve, reject) => {
+        const finish = error => {
+            stream.off('drain', onDrain);
+            stream.off('close', onClose);
+            stream.off('error', finish);
+            return error ? reject(error) : resolve();
+        };
+        const onDrain = () => finish(null);
+        const onClose = () => finish(clientGoneError());
+        stream.on('drain', onDrain);
+        stream.on('close', onClose);
+        stream.on('error', finish);
+    });
+}
+
+// Function to stream batches of records (an async iterable of arrays) to `stream` in the given format
+async function writeExport(format, batches, stream) {
+    if (format === 'xlsx') {
+        const ExcelJS = require('exceljs');
+        const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: false, useSharedStrings: false });
+        const worksheet = workbook.addWorksheet('Feedback');
+        worksheet.addRow(COLUMNS.map(column => column.header)).commit();
+
+        for await (const records of batches) {
+            if (stream.destroyed) {
+                throw clientGoneError();
+            }
+            records.forEach(record => worksheet.addRow(toRow(record)).commit());
+        }
+
+        worksheet.commit();
+        await workbook.commit();
+        return;
+    }
+
+    if (format === 'csv') {
+        // Byte order mark so Excel opens the file as UTF-8
+        await write(stream, '﻿' + csvLine(COLUMNS.map(column => column.header)));
+    }
+
+    for await (const records of batches) {
+        const chunk = records
+            .map(record => format === 'csv' ? csvLine(toRow(record)) : JSON.stringify(toNdjsonRecord(record)) + '\n')
+            .join('');
+        if (chunk) {
+            await write(stream, chunk);
+        }
+    }
+
+    stream.end();
+}
+
+module.exports = {
+    EXPORT_FORMATS,
+    csvField,
+    writeExport
+};
@@ -0,0 +1,295 @@
+const crypto = require('crypto');
+const FeedbackOutbox = require('../models/FeedbackOutbox');
+const FeedbackOutboxPhoto = require('../models/FeedbackOutboxPhoto');
+const { getFeedbackStore } = require('./feedbackStore');
+const { uploadToCloudinary } = require('./feedbackPhotos');
+
+const MAX_ATTEMPTS = parseInt(process.env.FEEDBACK_OUTBOX_MAX_ATTEMPTS) || 8;
+const RETRY_BASE_DELAY_MS = 30 * 1000;
+const RETRY_MAX_DELAY_MS = 60 * 60 * 1000;
+// How long one delivery may take before another worker is allowed to pick the entry up
+const LEASE_MS = 5 * 60 * 1000;
+const DEFAULT_INTERVAL_MS = 15 * 1000;
+const CLAIM_POLL_MS = 500;
+
+let timer = null;
+let running = null;
+
+function getRetryDelay(attempts) {
+    return Math.min(RETRY_BASE_DELAY_MS * 2 ** (attempts - 1), RETRY_MAX_DELAY_MS);
+}
+
+// Function to keep a copy of photos whose Cloudinary upload failed, in MongoDB next to the entry.
+// Files are the already-checked { buffer, originalname, moderation } prepared by the feedback route.
+async function stashPhotos(feedbackId, files) {
+    if (files.length === 0) {
+        return [];
+    }
+
+    const stashed = await FeedbackOutboxPhoto.insertMany(files.map(file => ({
+        feedbackId,
+        data: file.buffer,
+        originalName: file.originalname
+    })));
+    return stashed.map((photo, index) => ({
+        photoId: photo._id,
+        originalName: photo.originalName,
+        moderation: files[index].moderation
+    }));
+}
+
+async function removeStash(feedbackId) {
+    await FeedbackOutboxPhoto.deleteMany({ feedbackId });
+}
+
+// Function to queue a submission. `feedbackData` is everything but photos, `photoDetails` the
+// photos already on Cloudinary and `failedFiles` the prepared photos still to upload.
+async function enqueue({ feedbackData, photoDetails = [], failedFiles = [] }) {
+    const feedbackId = crypto.randomUUID();
+    const pendingPhotos = await stashPhotos(feedbackId, failedFiles);
+
+    try {
+        return await FeedbackOutbox.create({
+            feedbackId,
+            payload: feedbackData,
+            photoDetails,
+            pendingPhotos
+        });
+    } catch (error) {
+        await removeStash(feedbackId);
+        throw error;
+    }
+}
+
+// Function to upload any stashed photos, then write the feedback to the store. Photos are saved
+// on the entry as they upload, so a retry never uploads the same photo twice, and the record is
+// only written if the store doesn't have it yet.
+async function deliverEntry(entry) {
+    while (entry.pendingPhotos.length > 0) {
+        const photo = entry.pendingPhotos[0];
+        const stashed = await FeedbackOutboxPhoto.findById(photo.photoId);
+        if (!stashed) {
+            throw new Error(`Stashed photo ${photo.photoId} for feedback ${entry.feedbackId} is missing`);
+        }
+        const uploadResult = await uploadToCloudinary(stashed.data, photo.originalName, {
+            quarantine: photo.moderation && photo.moderation.status === 'flagged'
+        });
+        uploadResult.moderation = photo.moderation;
+
+        entry.photoDetails.push(uploadResult);
+        entry.pendingPhotos.shift();
+        await FeedbackOutbox.updateOne(
+            { _id: entry._id },
+            { $push: { photoDetails: uploadResult }, $pull: { pendingPhotos: { photoId: photo.photoId } } }
+        );
+    }
+
+    // An append that timed out may still have been written, so a retry checks for the record
+    // first instead of adding it a second time
+    const store = getFeedbackStore();
+    if (await store.get(entry.feedbackId)) {
+        console.log(`ℹ️  Feedback ${entry.feedbackId} was already in the ${store.name} store`);
+    } else {
+        await store.append({
+            ...entry.payload,
+            feedbackId: entry.feedbackId,
+            photoDetails: entry.photoDetails
+        });
+    }
+    await removeStash(entry.feedbackId);
+}
+
+async function recordFailure(entry, error) {
+    const attempts = entry.attempts + 1;
+    const update = { attempts, lastError: error.message };
+
+    if (attempts >= MAX_ATTEMPTS) {
+        update.status = 'dead';
+        update.deadAt = new Date();
+        console.error(`❌ Feedback ${entry.feedbackId} moved to dead letters after ${attempts} attempts: ${error.message}`);
+    } else {
+        // A circuit breaker's Retry-After is a better guess than our own backoff
+        const delay = error.retryAfter ? Math.max(error.retryAfter * 1000, getRetryDelay(attempts)) : getRetryDelay(attempts);
+        update.nextAttemptAt = new Date(Date.now() + delay);
+        console.log(`⚠️  Feedback ${entry.feedbackId} delivery failed (attempt ${attempts}/${MAX_ATTEMPTS}): ${error.message}`);
+    }
+
+    await FeedbackOutbox.updateOne({ _id: entry._id }, { $set: update, $unset: { claimedUntil: 1 } });
+}
+
+function unclaimed(now) {
+    return { $or: [{ claimedUntil: null }, { claimedUntil: { $lte: now } }] };
+}
+
+function claim(now) {
+    const leaseEnd = new Date(now.getTime() + LEASE_MS);
+    return { $set: { nextAttemptAt: leaseEnd, claimedUntil: leaseEnd } };
+}
+
+// Claims the next due entry by pushing its nextAttemptAt past the lease, so overlapping runs
+// and other instances skip it
+function claimNextEntry() {
+    const now = new Date();
+    return FeedbackOutbox.findOneAndUpdate(
+        { status: 'pending', nextAttemptAt: { $lte: now }, ...unclaimed(now) },
+        claim(now),
+        { sort: { nextAttemptAt: 1 }, new: true }
+    );
+}
+
+// Function to take an entry away from the worker, e.g. before erasing it. If a delivery holds
+// the entry, waits for it to finish (up to one lease), so a record it wrote is already in the
+// store. Returns the claimed entry, or null if it no longer exists.
+async function claimEntry(entry) {
+    const deadline = Date.now() + LEASE_MS;
+
+    for (;;) {
+        const now = new Date();
+        const claimed = await FeedbackOutbox.findOneAndUpdate({ _id: entry._id, ...unclaimed(now) }, claim(now), { new: true }).lean();
+        if (claimed) {
+            return claimed;
+        }
+        if (!(await FeedbackOutbox.exists({ _id: entry._id }))) {
+            return null;
+        }
+        if (Date.now() >= deadline) {
+            throw new Error(`Feedback ${entry.feedbackId} is still being delivered; try again later`);
+        }
+
+        // A delivery in this process is awaited directly; one on another instance is polled for
+        await (running ? running.catch(() => {}) : new Promise(resolve => setTimeout(resolve, CLAIM_POLL_MS)));
+    }
+}
+
+async function drainOutbox(limit) {
+    let delivered = 0;
+    let failed = 0;
+
+    for (let i = 0; i < limit; i++) {
+        const entry = await claimNextEntry();
+        if (!entry) {
+            break;
+        }
+
+        try {
+            await deliverEntry(entry);
+            await FeedbackOutbox.updateOne(
+                { _id: entry._id },
+                { $set: { status: 'delivered', deliveredAt: new Date(), attempts: entry.attempts + 1 }, $unset: { lastError: 1, claimedUntil: 1 } }
+            );
+            delivered++;
+            console.log(`✅ Feedback ${entry.feedbackId} delivered to the ${getFeedbackStore().name} store`);
+        } catch (error) {
+            await recordFailure(entry, error);
+            failed++;
+        }
+    }
+
+    return { delivered, failed };
+}
+
+// Function to deliver due entries. Calls made while a run is in progress share that run.
+function processOutbox({ limit = 50 } = {}) {
+    if (!running) {
+        running = drainOutbox(limit).finally(() => {
+            running = null;
+        });
+    }
+    return running;
+}
+
+// Starts delivery in the background without making the caller wait or handle errors
+function kick() {
+    processOutbox().catch(error => console.error('❌ Feedback outbox error:', error));
+}
+
+function startOutboxWorker({ intervalMs = DEFAULT_INTERVAL_MS } = {}) {
+    kick();
+    timer = setInterval(kick, intervalMs);
+    timer.unref();
+
+    console.log(`📮 Feedback outbox worker running (every ${intervalMs / 1000}s)`);
+}
+
+function stopOutboxWorker() {
+    if (timer) {
+        clearInterval(timer);
+        timer = null;
+    }
+}
+
+async function getOutboxEntry(feedbackId) {
+    return FeedbackOutbox.findOne({ feedbackId }).lean();
+}
+
+async function listOutbox({ status, limit = 50 } = {}) {
+    const filter = status ? { status } : { status: { $ne: 'delivered' } };
+    return FeedbackOutbox.find(filter).sort({ createdAt: -1 }).limit(limit).lean();
+}
+
+async function countOutbox() {
+    const counts = { pending: 0, delivered: 0, dead: 0 };
+    const rows = await FeedbackOutbox.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }]);
+    rows.forEach(row => {
+        counts[row._id] = row.count;
+    });
+    return counts;
+}
+
+// Function to list the Cloudinary public IDs of photos on entries not yet delivered to the store
+async function listUndeliveredPhotoIds() {
+    const entries = await FeedbackOutbox.find({ status: { $ne: 'delivered' } }, { 'photoDetails.public_id': 1 }).lean();
+    return entries.flatMap(entry => entry.photoDetails.map(photo => photo.public_id));
+}
+
+// Function to find every entry submitted by a user, matched by userId and, if given, email
+// (compared case-insensitively)
+async function listUserEntries({ userId, emailId }) {
+    const conditions = [{ 'payload.userId': userId }];
+    if (emailId) {
+        conditions.push({ 'payload.emailId': emailId });
+    }
+    return FeedbackOutbox.find({ $or: conditions }).collation({ locale: 'en', strength: 2 }).lean();
+}
+
+// Function to delete an entry and its stashed photos
+async function deleteEntry(entry) {
+    await FeedbackOutbox.deleteOne({ _id: entry._id });
+    await removeStash(entry.feedbackId);
+}
+
+// Function to send dead entries round again with a fresh attempt budget. Without a feedbackId
+// every dead entry is replayed. Returns the number of entries requeued.
+async function replayDeadEntries(feedbackId) {
+    const filter = { status: 'dead' };
+    if (feedbackId) {
+        filter.feedbackId = feedbackId;
+    }
+
+    const result = await FeedbackOutbox.updateMany(filter, {
+        $set: { status: 'pending', attempts: 0, nextAttemptAt: new Date() },
+        $unset: { deadAt: 1 }
+    });
+
+    if (result.modifiedCount > 0) {
+        kick();
+    }
+    return result.modifiedCount;
+}
+
+module.exports = {
+    MAX_ATTEMPTS,
+    enqueue,
+    processOutbox,
+    kick,
+    startOutboxWorker,
+    stopOutboxWorker,
+    getOutboxEntry,
+    listOutbox,
+    countOutbox,
+    listUndeliveredPhotoIds,
+    listUserEntries,
+    claimEntry,
+    deleteEntry,
+    replayDeadEntries
+};
@@ -0,0 +1,333 @@
+const crypto = require('crypto');
+const { getCloudinary } = require('./cloudinaryClient');
+const { detectImageType } = require('./imageInfo');
+const { stripImageMetadata } = require('./imageMetadata');
+const { isPhotoVisible, visiblePhotoUrls } = require('./feedbackStores/records');
+
+// Photos accepted per feedback submission
+const MAX_PHOTOS_PER_FEEDBACK = 10;
+const PHOTO_FOLDER = 'feedback-photos';
+// Same size limit and quality the server-side upload below applies
+const PHOTO_TRANSFORMATION = 'c_limit,h_1200,w_1200/q_auto:good';
+// Direct uploads must be attached to feedback within this long of being uploaded
+const DIRECT_UPLOAD_MAX_AGE_SECONDS = 24 * 60 * 60;
+// Cloudinary rejects upload signatures older than an hour
+const SIGNATURE_TTL_SECONDS = 60 * 60;
+const PUBLIC_ID_PATTERN = new RegExp(`^${PHOTO_FOLDER}/feedback_[A-Za-z0-9_-]{1,64}$`);
+
+function getAllowedPhotoTypes() {
+    return process.env.ALLOWED_FILE_TYPES?.split(',') || ['jpg', 'jpeg', 'png', 'gif', 'webp'];
+}
+
+function newPublicId() {
+    return `feedback_${Date.now()}_${crypto.randomBytes(6).toString('hex')}`;
+}
+
+// Function to check an uploaded file's real content and strip its metadata. Returns { error }
+// or { buffer, type } with the cleaned image.
+function prepareFeedbackPhoto(file) {
+    const type = detectImageType(file.buffer);
+    const allowedTypes = getAllowedPhotoTypes();
+    if (!type || !(allowedTypes.includes(type) || (type === 'jpeg' && allowedTypes.includes('jpg')))) {
+        return { error: `File ${file.originalname} is not a ${allowedTypes.join(', ')} image` };
+    }
+
+    const buffer = stripImageMetadata(file.buffer);
+    if (!buffer) {
+        return { error: `File ${file.originalname} is not a valid ${type.toUpperCase()} image` };
+    }
+    return { buffer, type };
+}
+
+// Function to upload images to Cloudinary. Quarantined photos are stored with the
+// 'authenticated' delivery type, so their URL only works once signed or approved. Passing
+// `replace` (a full public ID) uploads over that photo instead of creating a new one.
+async function uploadToCloudinary(buffer, originalname, { quarantine = false, replace = null } = {}) {
+    return new Promise((resolve, reject) => {
+        const uploadOptions = {
+            resource_type: 'image',
+            type: quarantine ? 'authenticated' : 'upload',
+            ...(replace
+                ? { public_id: replace, overwrite: true, invalidate: true }
+                : { folder: PHOTO_FOLDER, public_id: `feedback_${Date.now()}_${Math.random().toString(36).substr(2, 9)}` }),
+            quality: 'auto',
+            fetch_format: 'auto',
+            transformation: [
+                { width: 1200, height: 1200, crop: 'limit' },
+                { quality: 'auto:good' }
+            ]
+        };
+
+        getCloudinary().uploader.upload_stream(
+            uploadOptions,
+            (error, result) => {
+                if (error) {
+                    console.error('Cloudinary upload error:', error);
+                    reject(error);
+                } else {
+                    console.log(`✅ Uploaded to Cloudinary: ${result.secure_url}`);
+                    resolve({
+                        url: result.secure_url,
+                        public_id: result.public_id,
+                        original_name: originalname,
+                        width: result.width,
+                        height: result.height,
+                        bytes: result.bytes
+                    });
+                }
+            }
+        ).end(buffer);
+    });
+}
+
+// Function to sign `count` direct uploads. Each upload gets its own server-chosen public_id, so
+// the app can only create photos in the feedback folder, with our size limit and formats. They are
+// stored with the 'authenticated' delivery type, so nothing is public until a submission is accepted.
+function createUploadSignatures(count) {
+    const { cloud_name: cloudName, api_key: apiKey, api_secret: apiSecret } = getCloudinary().config();
+    const timestamp = Math.floor(Date.now() / 1000);
+
+    const uploads = Array.from({ length: count }, () => {
+        const params = {
+            timestamp,
+            public_id: `${PHOTO_FOLDER}/${newPublicId()}`,
+            type: 'authenticated',
+            transformation: PHOTO_TRANSFORMATION,
+            allowed_formats: getAllowedPhotoTypes().join(',')
+        };
+        return {
+            publicId: params.public_id,
+            fields: {
+                ...params,
+                api_key: apiKey,
+                signature: getCloudinary().utils.api_sign_request(params, apiSecret)
+            }
+        };
+    });
+
+    return {
+        uploadUrl: `https://api.cloudinary.com/v1_1/${cloudName}/image/upload`,
+        expiresAt: new Date((timestamp + SIGNATURE_TTL_SECONDS) * 1000).toISOString(),
+        uploads
+    };
+}
+
+// Function to check photos the app uploaded directly. Each entry is the Cloudinary upload response
+// (at least public_id, version and signature); the response signature proves Cloudinary issued it,
+// without an Admin API call. Returns { photoDetails } shaped like uploadToCloudinary results, or { error }.
+// The photos are still private, so their url is left empty until publishDirectUploads.
+function verifyUploadedPhotos(uploadedPhotos) {
+    if (!Array.isArray(uploadedPhotos)) {
+        return { error: 'uploadedPhotos must be an array of Cloudinary upload results' };
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const seen = new Set();
+    const photoDetails = [];
+
+    for (const photo of uploadedPhotos) {
+        const publicId = photo && photo.public_id;
+        const version = photo && Number(photo.version);
+
+        if (typeof publicId !== 'string' || !PUBLIC_ID_PATTERN.test(publicId)) {
+            return { error: `Invalid public_id '${publicId}': photos must be uploaded with a signature from /api/feedback/upload-signature` };
+        }
+        if (seen.has(publicId)) {
+            return { error: `Photo '${publicId}' is listed more than once` };
+        }
+        if (!Number.isInteger(version) || typeof photo.signature !== 'string'
+            || !getCloudinary().utils.verify_api_response_signature(publicId, version, photo.signature)) {
+            return { error: `Photo '${publicId}' could not be verified` };
+        }
+        if (now - version > DIRECT_UPLOAD_MAX_AGE_SECONDS) {
+            return { error: `Photo '${publicId}' was uploaded too long ago` };
+        }
+
+        seen.add(publicId);
+        photoDetails.push({
+            url: null,
+            public_id: publicId,
+            original_name: typeof photo.original_filename === 'string' ? photo.original_filename : '',
+            width: Number(photo.width) || undefined,
+            height: Number(photo.height) || undefined,
+            bytes: Number(photo.bytes) || undefined
+        });
+    }
+
+    return { photoDetails };
+}
+
+// Function to give a verified direct upload the checks photos sent through the server get: the
+// stored file must really be an allowed image type, and metadata left in it is stripped by
+// uploading the cleaned copy over it. The photo is still private, so it is downloaded through a
+// signed URL and the copy stays private too. Updates `photo` in place. Returns { error } if the
+// file is refused, in which case it is deleted from Cloudinary.
+async function screenDirectUpload(photo) {
+    const response = await fetch(getReviewUrl(photo.public_id));
+    if (!response.ok) {
+        throw new Error(`Could not download photo ${photo.public_id} (HTTP ${response.status})`);
+    }
+
+    const stored = Buffer.from(await response.arrayBuffer());
+    const { error, buffer } = prepareFeedbackPhoto({ buffer: stored, originalname: photo.original_name || photo.public_id });
+    if (error) {
+        await destroyPhoto(photo.public_id, 'authenticated');
+        return { error };
+    }
+    if (buffer.equals(stored)) {
+        return {};
+    }
+
+    const cleaned = await uploadToCloudinary(buffer, photo.original_name, { quarantine: true, replace: photo.public_id });
+    Object.assign(photo, { width: cleaned.width, height: cleaned.height, bytes: cleaned.bytes });
+    console.log(`🧼 Stripped metadata from direct upload ${photo.public_id}`);
+    return {};
+}
+
+// Function to move a photo between public ('upload') and private ('authenticated') delivery.
+// Returns the photo's new URL.
+async function setPhotoDeliveryType(publicId, fromType, toType) {
+    const result = await getCloudinary().uploader.rename(publicId, publicId, {
+        resource_type: 'image',
+        type: fromType,
+        to_type: toType,
+        overwrite: false
+    });
+    return result.secure_url;
+}
+
+// Function to make verified direct uploads public once their submission is accepted. Sets each
+// photo's url. If one can't be published, the ones already done are made private again, so the
+// app can submit them once more, and the error is thrown.
+async function publishDirectUploads(photoDetails) {
+    const published = [];
+    try {
+        for (const photo of photoDetails) {
+            photo.url = await setPhotoDeliveryType(photo.public_id, 'authenticated', 'upload');
+            published.push(photo);
+        }
+    } catch (error) {
+        await unpublishDirectUploads(published);
+        throw error;
+    }
+}
+
+// Function to make published direct uploads private again after their submission failed. Never
+// throws: photos that can't be moved back are logged and stay public.
+async function unpublishDirectUploads(photoDetails) {
+    let restored = 0;
+    for (const photo of photoDetails) {
+        try {
+            await setPhotoDeliveryType(photo.public_id, 'upload', 'authenticated');
+            photo.url = null;
+            restored++;
+        } catch (error) {
+            console.error(`⚠️  Could not make photo ${photo.public_id} private again:`, error.message);
+        }
+    }
+    if (restored > 0) {
+        console.log(`🧹 Made ${restored}/${photoDetails.length} direct uploads private again`);
+    }
+    return restored;
+}
+
+// Function to delete a photo from Cloudinary
+async function destroyPhoto(publicId, type = 'upload') {
+    return getCloudinary().uploader.destroy(publicId, { resource_type: 'image', type, invalidate: true });
+}
+
+// Cloudinary delivery type a stored photo lives under: quarantined photos are 'authenticated'
+function photoDeliveryType(photo) {
+    return photo.moderation && photo.moderation.status === 'flagged' ? 'authenticated' : 'upload';
+}
+
+// Public ID of a stored photo. Rows saved before photo details were stored only have the URL.
+function photoPublicId(photo) {
+    if (photo.public_id) {
+        return photo.public_id;
+    }
+    const match = (photo.url || '').match(new RegExp(`(${PHOTO_FOLDER}/[A-Za-z0-9_-]+)`));
+    return match ? match[1] : null;
+}
+
+// Function to delete photos uploaded for a submission that then failed. Never throws: photos
+// that can't be deleted are logged and left for the orphan reconciliation to pick up.
+async function deleteUploadedPhotos(photoDetails) {
+    let deleted = 0;
+    for (const photo of photoDetails) {
+        try {
+            await destroyPhoto(photo.public_id, photoDeliveryType(photo));
+            deleted++;
+        } catch (error) {
+            console.error(`⚠️  Could not roll back photo ${photo.public_id}:`, error.message);
+        }
+    }
+    if (deleted > 0) {
+        console.log(`🧹 Rolled back ${deleted}/${photoDetails.length} uploaded photos`);
+    }
+    return deleted;
+}
+
+// Function to list every photo in the feedback folder, public and quarantined, through the
+// Admin API. Returns [{ publicId, type, createdAt, bytes }].
+async function listFolderPhotos() {
+    const photos = [];
+    for (const type of ['upload', 'authenticated']) {
+        let nextCursor;
+        do {
+            const result = await getCloudinary().api.resources({
+                resource_type: 'image',
+                type,
+                prefix: `${PHOTO_FOLDER}/`,
+                max_results: 500,
+                next_cursor: nextCursor
+            });
+            result.resources.forEach(resource => photos.push({
+                publicId: resource.public_id,
+                type,
+                createdAt: resource.created_at,
+                bytes: resource.bytes
+            }));
+            nextCursor = result.next_cursor;
+        } while (nextCursor);
+    }
+    return photos;
+}
+
+// Signed URL for a private photo: a quarantined one admins look at, or a direct upload not yet published
+function getReviewUrl(publicId) {
+    return getCloudinary().url(publicId, { type: 'authenticated', sign_url: true, secure: true, urlAnalytics: false });
+}
+
+// Function to hide photos held for moderation (and rejected ones) from a record. The count of
+// held photos is kept so admins can see something is waiting for review.
+function withoutHeldPhotos(record) {
+    const visible = record.photo_details.filter(isPhotoVisible);
+    return {
+        ...record,
+        photos: visiblePhotoUrls(visible),
+        photo_details: visible,
+        photos_held: record.photo_details.filter(photo => photo.moderation && photo.moderation.status === 'flagged').length
+    };
+}
+
+module.exports = {
+    MAX_PHOTOS_PER_FEEDBACK,
+    PHOTO_FOLDER,
+    DIRECT_UPLOAD_MAX_AGE_SECONDS,
+    prepareFeedbackPhoto,
+    uploadToCloudinary,
+    setPhotoDeliveryType,
+    destroyPhoto,
+    photoDeliveryType,
+    photoPublicId,
+    deleteUploadedPhotos,
+    listFolderPhotos,
+    getReviewUrl,
+    withoutHeldPhotos,
+    createUploadSignatures,
+    verifyUploadedPhotos,
+    screenDirectUpload,
+    publishDirectUploads,
+    unpublishDirectUploads
+};
@@ -0,0 +1,187 @@
+const { getFeedbackStore } = require('./feedbackStore');
+const { STATUSES } = require('./feedbackTriage');
+const { hasVisiblePhotos } = require('./feedbackStores/records');
+
+// Query parameters accepted by GET /api/feedback:
+//   from, to      YYYY-MM-DD, inclusive, on the Date column
+//   userId        exact match
+//   emailId       exact match, case-insensitive
+//   q             words that must all appear in the title or description
+//   hasPhotos     true | false, counting only photos that may be shown (not ones held for review)
+//   status        one status or a comma-separated list
+//   assignee      exact match ('none' for unassigned)
+//   label         records carrying this label
+//   sort          timestamp | date | title, prefixed with '-' for descending (default -timestamp)
+//   limit         1-200 (default 50)
+//   page          1-based page number, or
+//   cursor        opaque nextCursor from a previous response (takes precedence over page)
+
+const SORT_FIELDS = ['timestamp', 'date', 'title'];
+const DEFAULT_SORT = '-timestamp';
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+function encodeCursor(record, sortField) {
+    return Buffer.from(JSON.stringify({ v: record[sortField] || '', id: record.id })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+    try {
+        const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        if (typeof decoded.v === 'string' && typeof decoded.id === 'string') {
+            return decoded;
+        }
+    } catch (error) {
+        // fall through
+    }
+    return null;
+}
+
+// Function to build a query from GET /api/feedback parameters, already type- and format-checked
+// by the feedbackList schema in lib/requestSchemas.js. Returns { query }, or { field, error }
+// for problems the schema can't see.
+function parseFeedbackQuery(params = {}) {
+    const query = { filters: {} };
+    const { filters } = query;
+
+    if (params.from) filters.from = params.from;
+    if (params.to) filters.to = params.to;
+    if (filters.from && filters.to && filters.from > filters.to) {
+        return { field: 'from', error: 'from must not be after to' };
+    }
+
+    if (params.userId) filters.userId = params.userId.trim();
+    if (params.emailId) filters.emailId = params.emailId.trim().toLowerCase();
+    if (params.assignee) filters.assignee = params.assignee.trim();
+    if (params.label) filters.label = params.label.trim().toLowerCase();
+
+    if (params.q && params.q.trim()) {
+        filters.terms = params.q.trim().toLowerCase().split(/\s+/).slice(0, 10);
+    }
+
+    if (params.hasPhotos !== undefined) {
+        filters.hasPhotos = params.hasPhotos;
+    }
+
+    if (params.status) {
+        const statuses = params.status.split(',').map(status => status.trim());
+        const invalid = statuses.find(status => !STATUSES.includes(status));
+        if (invalid) {
+            return { field: 'status', error: `Invalid status '${invalid}'. Use: ${STATUSES.join(', ')}` };
+        }
+        filters.statuses = statuses;
+    }
+
+    const sort = params.sort || DEFAULT_SORT;
+    query.sortField = sort.replace(/^-/, '');
+    query.descending = sort.startsWith('-');
+    query.sort = sort;
+
+    query.limit = params.limit || DEFAULT_LIMIT;
+
+    if (params.cursor) {
+        query.cursor = decodeCursor(params.cursor);
+        if (!query.cursor) {
+            return { field: 'cursor', error: 'cursor is invalid' };
+        }
+    } else {
+        query.page = params.page || 1;
+    }
+
+    return { query };
+}
+
+function matchesFilters(record, filters) {
+    if (filters.from && !(record.date >= filters.from)) return false;
+    if (filters.to && !(record.date <= filters.to)) return false;
+    if (filters.userId !== undefined && record.user_id !== filters.userId) return false;
+    if (filters.emailId !== undefined && record.email_id.toLowerCase() !== filters.emailId) return false;
+    if (filters.hasPhotos !== undefined && hasVisiblePhotos(record) !== filters.hasPhotos) return false;
+    if (filters.statuses && !filters.statuses.includes(record.status)) return false;
+    if (filters.assignee !== undefined && record.assignee !== (filters.assignee === 'none' ? '' : filters.assignee)) return false;
+    if (filters.label && !record.labels.includes(filters.label)) return false;
+
+    if (filters.terms) {
+        const text = `${record.title} ${record.description}`.toLowerCase();
+        if (!filters.terms.every(term => text.includes(term))) return false;
+    }
+    return true;
+}
+
+// Orders by the sort field, then by id so records with equal values keep a stable order for cursors
+function compareRecords(a, b, { sortField, descending }) {
+    const valueA = a[sortField] || '';
+    const valueB = b[sortField] || '';
+    let result = valueA < valueB ? -1 : valueA > valueB ? 1 : 0;
+    if (result === 0) {
+        result = a.id < b.id ? -1 : a.id > b.id ? 1 : 0;
+    }
+    return descending ? -result : result;
+}
+
+// Function to filter, sort and page records in memory, for stores that can't query natively.
+// Returns { records, total, hasMore }.
+function runQuery(allRecords, query) {
+    const matching = allRecords
+        .filter(record => matchesFilters(record, query.filters))
+        .sort((a, b) => compareRecords(a, b, query));
+
+    let start = (query.page - 1) * query.limit;
+    if (query.cursor) {
+        const position = { [query.sortField]: query.cursor.v, id: query.cursor.id };
+        start = matching.findIndex(record => compareRecords(record, position, query) > 0);
+        if (start === -1) start = matching.length;
+    }
+
+    return {
+        records: matching.slice(start, start + query.limit),
+        total: matching.length,
+        hasMore: start + query.limit < matching.length
+    };
+}
+
+// Function to run a parsed query against the active store. Stores with a query() method
+// (MongoDB) filter natively; the rest are read in full and filtered here.
+async function queryFeedback(query) {
+    const store = getFeedbackStore();
+    const result = store.query ? await store.query(query) : runQuery(await store.list(), query);
+
+    const lastRecord = result.records[result.records.length - 1];
+    return {
+        ...result,
+        nextCursor: result.hasMore && lastRecord ? encodeCursor(lastRecord, query.sortField) : null
+    };
+}
+
+// Function to walk every record matching a query in sort order, one batch (array) at a time.
+// Stores with query() are read a batch at a time by cursor; the rest are read once.
+async function* iterateFeedback(query, batchSize = 500) {
+    const store = getFeedbackStore();
+
+    if (!store.query) {
+        const { records } = runQuery(await store.list(), { ...query, page: 1, cursor: null, limit: Number.MAX_SAFE_INTEGER });
+        for (let i = 0; i < records.length; i += batchSize) {
+            yield records.slice(i, i + batchSize);
+        }
+        return;
+    }
+
+    let cursor = null;
+    do {
+        const batch = await queryFeedback({ ...query, page: 1, cursor, limit: batchSize });
+        if (batch.records.length > 0) {
+            yield batch.records;
+        }
+        cursor = batch.nextCursor && decodeCursor(batch.nextCursor);
+    } while (cursor);
+}
+
+module.exports = {
+    SORT_FIELDS,
+    MAX_LIMIT,
+    parseFeedbackQuery,
+    matchesFilters,
+    runQuery,
+    queryFeedback,
+    iterateFeedback
+};
@@ -0,0 +1,238 @@
+const crypto = require('crypto');
+const { getRateLimitStore } = require('./rateLimitStore');
+const { sendError } = require('./requestValidation');
+
+// Abuse checks for POST /api/feedback, configured by environment (a limit of 0 turns it off):
+//   FEEDBACK_RATE_LIMIT_PER_IP         submissions per IP per window (default 20)
+//   FEEDBACK_RATE_LIMIT_PER_USER       submissions per userId per window (default 10)
+//   FEEDBACK_RATE_LIMIT_WINDOW_MS      window length (default 1 hour)
+//   FEEDBACK_DUPLICATE_WINDOW_MS       identical submissions are refused for this long (default 10 minutes)
+//   FEEDBACK_HONEYPOT_FIELD            form field real clients leave empty (default 'website')
+//   FEEDBACK_REQUIRE_FORM_TOKEN=true   submissions need a token from GET /api/feedback/form-token
+
+function readNumber(name, defaultValue) {
+    const value = parseInt(process.env[name], 10);
+    return Number.isNaN(value) ? defaultValue : value;
+}
+
+const RATE_LIMIT_WINDOW_MS = readNumber('FEEDBACK_RATE_LIMIT_WINDOW_MS', 60 * 60 * 1000);
+const PER_IP_LIMIT = readNumber('FEEDBACK_RATE_LIMIT_PER_IP', 20);
+const PER_USER_LIMIT = readNumber('FEEDBACK_RATE_LIMIT_PER_USER', 10);
+const DUPLICATE_WINDOW_MS = readNumber('FEEDBACK_DUPLICATE_WINDOW_MS', 10 * 60 * 1000);
+const HONEYPOT_FIELD = process.env.FEEDBACK_HONEYPOT_FIELD || 'website';
+
+// Form tokens must be at least this old when used (people take longer than this to write feedback)
+// and are accepted once, for a day
+const FORM_TOKEN_MIN_AGE_MS = 3 * 1000;
+const FORM_TOKEN_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+
+function isFormTokenRequired() {
+    return process.env.FEEDBACK_REQUIRE_FORM_TOKEN === 'true';
+}
+
+function getFormTokenSecret() {
+    if (!process.env.JWT_SECRET) {
+        throw new Error('JWT_SECRET is not configured');
+    }
+    return process.env.JWT_SECRET;
+}
+
+function limitKey(bucket, id) {
+    return `ratelimit:${bucket}:${id}`;
+}
+
+// Function to count a hit against a fixed-window limit. Returns null when allowed, or the seconds
+// until the window resets. The store failing lets requests through rather than taking feedback down.
+async function hitLimit(bucket, id, limit) {
+    if (!limit || !id) {
+        return null;
+    }
+
+    const store = getRateLimitStore();
+    const key = limitKey(bucket, id);
+    try {
+        const count = await store.incr(key);
+        if (count === 1) {
+            await store.pexpire(key, RATE_LIMIT_WINDOW_MS);
+        }
+        if (count <= limit) {
+            return null;
+        }
+
+        let ttl = await store.pttl(key);
+        if (ttl < 0) {
+            // The expiry was lost (e.g. a crash between incr and pexpire); start a new window
+            await store.pexpire(key, RATE_LIMIT_WINDOW_MS);
+            ttl = RATE_LIMIT_WINDOW_MS;
+        }
+        return Math.ceil(ttl / 1000);
+    } catch (error) {
+        console.error(`⚠️  Rate limit store error (${bucket}), allowing request:`, error.message);
+        return null;
+    }
+}
+
+function sendTooManyRequests(res, retryAfter, message) {
+    res.set('Retry-After', String(retryAfter));
+    return sendError(res, 429, 'Too many requests', message, { retryAfter });
+}
+
+// Middleware factory: per-IP limit, checked before the upload is read so blocked clients don't
+// cost us the bandwidth. Each bucket counts separately.
+function limitByIp(bucket, limit = PER_IP_LIMIT) {
+    return async (req, res, next) => {
+        const retryAfter = await hitLimit(`${bucket}:ip`, req.ip, limit);
+        if (retryAfter !== null) {
+            console.log(`🚫 ${bucket} rate limit hit by ${req.ip}`);
+            return sendTooManyRequests(res, retryAfter, `Too many requests from this address, try again in ${retryAfter} seconds`);
+        }
+        next();
+    };
+}
+
+// Function to issue a single-use form token: issued-at time and nonce, signed
+function issueFormToken() {
+    const issuedAt = Date.now();
+    const payload = `${issuedAt}.${crypto.randomBytes(9).toString('base64url')}`;
+    const signature = crypto.createHmac('sha256', getFormTokenSecret()).update(payload).digest('base64url');
+    return {
+        token: `${payload}.${signature}`,
+        usableFrom: new Date(issuedAt + FORM_TOKEN_MIN_AGE_MS).toISOString(),
+        expiresAt: new Date(issuedAt + FORM_TOKEN_MAX_AGE_MS).toISOString()
+    };
+}
+
+// Returns { error } or, if the token is valid and hadn't been used, { key } marking it used
+// (null when the store couldn't record that)
+async function useFormToken(token) {
+    const [issuedAt, nonce, signature] = typeof token === 'string' ? token.split('.') : [];
+    if (!issuedAt || !nonce || !signature) {
+        return { error: 'A form token is required' };
+    }
+
+    const expected = crypto.createHmac('sha256', getFormTokenSecret()).update(`${issuedAt}.${nonce}`).digest('base64url');
+    if (signature.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) {
+        return { error: 'Invalid form token' };
+    }
+
+    const age = Date.now() - Number(issuedAt);
+    if (!(age >= FORM_TOKEN_MIN_AGE_MS)) {
+        return { error: 'Form submitted too quickly' };
+    }
+    if (age > FORM_TOKEN_MAX_AGE_MS) {
+        return { error: 'Form token expired, fetch a new one' };
+    }
+
+    // Like the rate limits, a store outage lets the (signed, unexpired) token through
+    const key = `formtoken:${nonce}`;
+    try {
+        const claimed = await getRateLimitStore().set(key, '1', 'PX', FORM_TOKEN_MAX_AGE_MS, 'NX');
+        return claimed ? { key } : { error: 'Form token already used' };
+    } catch (error) {
+        console.error('⚠️  Rate limit store error (form tokens), allowing request:', error.message);
+        return { key: null };
+    }
+}
+
+// Function to run the checks that need the parsed body: honeypot, form token and per-user limit.
+// Returns { trapped: reason } for a filled-in honeypot, { rejected: reason } for a bad form token,
+// { retryAfter, message } over the limit, or { claims } when the submission may go on. Reasons
+// are for the log, not for the client. The claims (the used form token and the count against the
+// user's limit) are for a submission that gets accepted; hand them to releaseClaims if it doesn't.
+async function checkSubmission(body) {
+    if (body[HONEYPOT_FIELD]) {
+        return { trapped: `Honeypot field '${HONEYPOT_FIELD}' filled in` };
+    }
+
+    const claims = { formTokenKey: null, userLimitKey: null };
+    if (isFormTokenRequired()) {
+        const { error, key } = await useFormToken(body.formToken);
+        if (error) {
+            return { rejected: error };
+        }
+        claims.formTokenKey = key;
+    }
+
+    const userId = typeof body.userId === 'string' ? body.userId.trim() : '';
+    const userLimitKey = userId && PER_USER_LIMIT ? limitKey('feedback:user', userId) : null;
+    const retryAfter = await hitLimit('feedback:user', userId, PER_USER_LIMIT);
+    if (retryAfter !== null) {
+        // The refused attempt doesn't count against the limit either
+        await releaseClaims({ ...claims, userLimitKey });
+        return { retryAfter, message: `Too many submissions for this user, try again in ${retryAfter} seconds` };
+    }
+    claims.userLimitKey = userLimitKey;
+    return { claims };
+}
+
+// Function to give back what checkSubmission claimed for a submission that was then refused or
+// failed: its form token can be used again and it stops counting against the user's limit.
+// Never throws.
+async function releaseClaims(claims) {
+    const store = getRateLimitStore();
+    try {
+        if (claims.formTokenKey) {
+            await store.del(claims.formTokenKey);
+        }
+        // A window that has since ended is left alone rather than restarted below zero
+        if (claims.userLimitKey && await store.pttl(claims.userLimitKey) !== -2) {
+            await store.decr(claims.userLimitKey);
+        }
+    } catch (error) {
+        console.error('⚠️  Rate limit store error (releasing a submission):', error.message);
+    }
+}
+
+// Function to fingerprint a submission from its text, submitter and photo contents. Case and
+// whitespace are ignored, so resubmitting the same report doesn't get through by a stray space.
+function submissionFingerprint({ title, description, userId, emailId, photos = [] }) {
+    const normalize = value => String(value || '').trim().toLowerCase().replace(/\s+/g, ' ');
+    const hash = crypto.createHash('sha256');
+    [title, description, userId, emailId].forEach(value => hash.update(normalize(value) + '\0'));
+    photos.forEach(photo => hash.update(Buffer.isBuffer(photo) ? crypto.createHash('sha256').update(photo).digest() : String(photo)));
+    return hash.digest('hex');
+}
+
+// Function to claim a fingerprint for the duplicate window. Returns null, or the seconds until an
+// identical submission is accepted again.
+async function claimSubmission(fingerprint) {
+    if (!DUPLICATE_WINDOW_MS) {
+        return null;
+    }
+
+    const store = getRateLimitStore();
+    const key = `duplicate:${fingerprint}`;
+    try {
+        if (await store.set(key, '1', 'PX', DUPLICATE_WINDOW_MS, 'NX')) {
+            return null;
+        }
+        const ttl = await store.pttl(key);
+        return Math.max(Math.ceil(ttl / 1000), 1);
+    } catch (error) {
+        console.error('⚠️  Rate limit store error (duplicates), allowing request:', error.message);
+        return null;
+    }
+}
+
+// Function to forget a fingerprint when the submission failed, so the client can retry it
+async function releaseSubmission(fingerprint) {
+    if (!DUPLICATE_WINDOW_MS) return;
+    try {
+        await getRateLimitStore().del(`duplicate:${fingerprint}`);
+    } catch (error) {
+        console.error('⚠️  Rate limit store error (duplicates):', error.message);
+    }
+}
+
+module.exports = {
+    HONEYPOT_FIELD,
+    isFormTokenRequired,
+    sendTooManyRequests,
+    limitByIp,
+    issueFormToken,
+    checkSubmission,
+    releaseClaims,
+    submissionFingerprint,
+    claimSubmission,
+    releaseSubmission
+};
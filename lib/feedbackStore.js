@@ -0,0 +1,64 @@
+// Feedback storage backend, picked by FEEDBACK_STORE:
+//   sheets (default) - Google Sheets, Sheet1!A:G
+//   mongo            - MongoDB Feedback collection
+//   file             - local JSON file (FEEDBACK_FILE_PATH, default data/feedback.json)
+//
+// Every backend implements:
+//   init()               prepare storage (headers, collection, file) and give older records an ID
+//   append(feedbackData) save { feedbackId, title, description, photoDetails, userId, emailId, date, timestamp }
+//   list()               every record, in the shape described in feedbackStores/records.js
+//   get(id)              one record by feedback ID, or null
+//   update(id, changes)  set triage or photo fields (feedbackStores/records.js UPDATABLE_FIELDS); the updated record, or null
+//   remove(id)           delete a record; true if it existed
+
+const STORE_NAMES = ['sheets', 'mongo', 'file'];
+
+let activeStore = null;
+
+function createFeedbackStore(name = process.env.FEEDBACK_STORE || 'sheets') {
+    switch (name) {
+        case 'sheets':
+            return require('./feedbackStores/googleSheets');
+        case 'mongo':
+            return require('./feedbackStores/mongo');
+        case 'file':
+            return require('./feedbackStores/jsonFile').createJsonFileStore();
+        default:
+            throw new Error(`Unknown FEEDBACK_STORE '${name}'. Use one of: ${STORE_NAMES.join(', ')}`);
+    }
+}
+
+function getFeedbackStore() {
+    if (!activeStore) {
+        activeStore = createFeedbackStore();
+    }
+    return activeStore;
+}
+
+// Function to run read-modify-write changes to one record one at a time, so two admins editing
+// the same item can't overwrite each other's changes
+const recordLocks = new Map();
+
+function withRecordLock(id, task) {
+    const previous = recordLocks.get(id) || Promise.resolve();
+    const run = previous.then(task);
+    const settled = run.catch(() => {});
+    recordLocks.set(id, settled);
+    settled.then(() => {
+        if (recordLocks.get(id) === settled) recordLocks.delete(id);
+    });
+    return run;
+}
+
+// Lets tests swap in any object implementing the interface above
+function setFeedbackStore(store) {
+    activeStore = store;
+}
+
+module.exports = {
+    STORE_NAMES,
+    createFeedbackStore,
+    getFeedbackStore,
+    setFeedbackStore,
+    withRecordLock
+};
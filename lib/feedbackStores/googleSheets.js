@@ -0,0 +1,282 @@
+const crypto = require('crypto');
+const { callSheets } = require('../googleSheetsClient');
+const { UPDATABLE_FIELDS, buildRecord, normalizePhotoDetails, normalizeTriage } = require('./records');
+
+// Feedback rows live in Sheet1, one column per field, with a header row written on startup.
+// New columns are only ever added on the right, so sheets created by older versions can be migrated.
+const COLUMNS = [
+    { header: 'Title', key: 'title' },
+    { header: 'Description', key: 'description' },
+    { header: 'Photos', key: 'photos' },
+    { header: 'User ID', key: 'user_id' },
+    { header: 'Email ID', key: 'email_id' },
+    { header: 'Date', key: 'date' },
+    { header: 'TimeStamp', key: 'timestamp' },
+    { header: 'ID', key: 'id' },
+    // JSON array of the Cloudinary upload results
+    { header: 'Photo Details', key: 'photo_details' },
+    { header: 'Status', key: 'status' },
+    { header: 'Assignee', key: 'assignee' },
+    // Comma-separated, so the team can still read and edit labels in the sheet
+    { header: 'Labels', key: 'labels' },
+    // JSON arrays, see lib/feedbackTriage.js
+    { header: 'Notes', key: 'notes' },
+    { header: 'Status History', key: 'status_history' },
+    { header: 'Updated At', key: 'updated_at' }
+];
+const HEADERS = COLUMNS.map(column => column.header);
+
+// Column letter for a 1-based column number (1 -> A, 27 -> AA)
+function columnLetter(number) {
+    let letter = '';
+    while (number > 0) {
+        const remainder = (number - 1) % 26;
+        letter = String.fromCharCode(65 + remainder) + letter;
+        number = Math.floor((number - 1) / 26);
+    }
+    return letter;
+}
+
+const LAST_COLUMN = columnLetter(COLUMNS.length);
+
+// Paging through GET /api/feedback would otherwise read the whole sheet for every page.
+// Writes through this store clear the cache; edits made by hand in the sheet show up after the TTL.
+const LIST_CACHE_TTL_MS = parseInt(process.env.SHEETS_CACHE_TTL_MS) || 15000;
+let listCache = null;
+const ID_COLUMN = columnLetter(COLUMNS.findIndex(column => column.key === 'id') + 1);
+
+// Rows are addressed by position, found on a fresh read. A delete shifts every row below it, so
+// an update or delete of another record that read the sheet before it would hit the wrong row.
+// Row writes therefore run one at a time, each reading the sheet only once it has the queue.
+let rowWriteQueue = Promise.resolve();
+
+function withRowWriteLock(task) {
+    const run = rowWriteQueue.then(task);
+    rowWriteQueue = run.catch(() => {});
+    return run;
+}
+
+// Function to turn a record into a sheet row, in COLUMNS order
+function toRow(record) {
+    return COLUMNS.map(column => {
+        const value = record[column.key];
+        if (column.key === 'labels') {
+            return (value || []).join(', ');
+        }
+        return Array.isArray(value) ? JSON.stringify(value) : (value || '');
+    });
+}
+
+// Function to give every existing row an ID, for rows written before the ID column existed
+async function backfillIds(spreadsheetId) {
+    const response = await callSheets(sheets => sheets.spreadsheets.values.get({
+        spreadsheetId,
+        range: `Sheet1!A2:${ID_COLUMN}`,
+    }));
+
+    const rows = response.data.values || [];
+    const idIndex = COLUMNS.findIndex(column => column.key === 'id');
+    let missing = 0;
+    const ids = rows.map(row => {
+        if (row[idIndex]) return [row[idIndex]];
+        missing++;
+        return [crypto.randomUUID()];
+    });
+
+    if (missing === 0) {
+        return;
+    }
+
+    await callSheets(sheets => sheets.spreadsheets.values.update({
+        spreadsheetId,
+        range: `Sheet1!${ID_COLUMN}2:${ID_COLUMN}${rows.length + 1}`,
+        valueInputOption: 'RAW',
+        resource: { values: ids },
+    }));
+    console.log(`✅ Assigned IDs to ${missing} existing feedback rows`);
+}
+
+// Function to initialize sheet headers, adding any columns missing from an older sheet
+async function init() {
+    try {
+        const spreadsheetId = process.env.GOOGLE_SHEET_ID;
+
+        const response = await callSheets(sheets => sheets.spreadsheets.values.get({
+            spreadsheetId,
+            range: `Sheet1!A1:${LAST_COLUMN}1`,
+        }));
+
+        const existingHeaders = (response.data.values && response.data.values[0]) || [];
+
+        if (existingHeaders.length === 0) {
+            await callSheets(sheets => sheets.spreadsheets.values.update({
+                spreadsheetId,
+                range: `Sheet1!A1:${LAST_COLUMN}1`,
+                valueInputOption: 'RAW',
+                resource: { values: [HEADERS] },
+            }));
+
+            console.log('✅ Sheet headers initialized');
+        } else if (existingHeaders.length < HEADERS.length) {
+            const firstNew = columnLetter(existingHeaders.length + 1);
+            const newHeaders = HEADERS.slice(existingHeaders.length);
+            await callSheets(sheets => sheets.spreadsheets.values.update({
+                spreadsheetId,
+                range: `Sheet1!${firstNew}1:${LAST_COLUMN}1`,
+                valueInputOption: 'RAW',
+                resource: { values: [newHeaders] },
+            }));
+
+            console.log(`✅ Sheet headers migrated: added ${newHeaders.join(', ')}`);
+            await withRowWriteLock(() => backfillIds(spreadsheetId));
+        } else {
+            console.log('✅ Sheet headers already exist');
+        }
+    } catch (error) {
+        console.error('❌ Error initializing sheet headers:', error);
+    }
+}
+
+// Function to append data to Google Sheets
+async function append(feedbackData) {
+    try {
+        const spreadsheetId = process.env.GOOGLE_SHEET_ID;
+        const record = buildRecord(feedbackData);
+
+        const values = [toRow(record)];
+
+        const resource = { values };
+
+        // Appends are not idempotent, so a failed one is never retried here
+        await callSheets(sheets => sheets.spreadsheets.values.append({
+            spreadsheetId,
+            range: `Sheet1!A:${LAST_COLUMN}`,
+            valueInputOption: 'RAW',
+            resource,
+        }), { retry: false });
+
+        listCache = null;
+        console.log('✅ Data successfully added to Google Sheets');
+        return record;
+    } catch (error) {
+        // The row may have landed even though the call failed (e.g. a timeout), so the next
+        // lookup has to read the sheet again
+        listCache = null;
+        console.error('❌ Error appending to sheet:', error);
+        throw error;
+    }
+}
+
+// Function to read every feedback row, keyed by the snake_cased header names
+async function list() {
+    if (listCache && listCache.expiresAt > Date.now()) {
+        return listCache.records;
+    }
+
+    const spreadsheetId = process.env.GOOGLE_SHEET_ID;
+
+    const response = await callSheets(sheets => sheets.spreadsheets.values.get({
+        spreadsheetId,
+        range: `Sheet1!A:${LAST_COLUMN}`,
+    }));
+
+    const rows = response.data.values || [];
+    const headers = rows[0] || [];
+    const records = rows.slice(1).map(row => {
+        const feedback = {};
+        headers.forEach((header, index) => {
+            feedback[header.toLowerCase().replace(/\s+/g, '_')] = row[index] || '';
+        });
+        feedback.photo_details = normalizePhotoDetails(feedback.photo_details, feedback.photos);
+        return normalizeTriage(feedback);
+    });
+
+    listCache = { records, expiresAt: Date.now() + LIST_CACHE_TTL_MS };
+    return records;
+}
+
+// The Sheets API can't query by value, so a lookup reads the whole sheet
+async function get(id) {
+    const records = await list();
+    return records.find(record => record.id === id) || null;
+}
+
+// Function to change a record's triage or photo fields, rewriting its whole row. Returns the updated record, or null.
+function update(id, changes) {
+    return withRowWriteLock(() => updateRow(id, changes));
+}
+
+async function updateRow(id, changes) {
+    const spreadsheetId = process.env.GOOGLE_SHEET_ID;
+    // Rows may have been moved by hand since the last read, so find the row on a fresh copy
+    listCache = null;
+    const records = await list();
+    const index = records.findIndex(record => record.id === id);
+    if (index === -1) {
+        return null;
+    }
+
+    const record = { ...records[index] };
+    UPDATABLE_FIELDS.forEach(field => {
+        if (changes[field] !== undefined) record[field] = changes[field];
+    });
+
+    // Row 1 is the header, so record i lives on row i + 2
+    const rowNumber = index + 2;
+    await callSheets(sheets => sheets.spreadsheets.values.update({
+        spreadsheetId,
+        range: `Sheet1!A${rowNumber}:${LAST_COLUMN}${rowNumber}`,
+        valueInputOption: 'RAW',
+        resource: { values: [toRow(record)] },
+    }));
+    listCache = null;
+
+    return record;
+}
+
+// Function to delete a record's row. Returns true if it existed.
+function remove(id) {
+    return withRowWriteLock(() => removeRow(id));
+}
+
+async function removeRow(id) {
+    const spreadsheetId = process.env.GOOGLE_SHEET_ID;
+    listCache = null;
+    const records = await list();
+    const index = records.findIndex(record => record.id === id);
+    if (index === -1) {
+        return false;
+    }
+
+    // Deleting rows needs the numeric sheet ID rather than the tab name
+    const spreadsheet = await callSheets(sheets => sheets.spreadsheets.get({
+        spreadsheetId,
+        fields: 'sheets.properties(sheetId,title)'
+    }));
+    const sheet = spreadsheet.data.sheets.find(item => item.properties.title === 'Sheet1');
+
+    // Row 1 is the header, so record i lives at zero-based row index i + 1
+    await callSheets(sheets => sheets.spreadsheets.batchUpdate({
+        spreadsheetId,
+        resource: {
+            requests: [{
+                deleteDimension: {
+                    range: { sheetId: sheet.properties.sheetId, dimension: 'ROWS', startIndex: index + 1, endIndex: index + 2 }
+                }
+            }]
+        }
+    }));
+    listCache = null;
+
+    return true;
+}
+
+module.exports = {
+    name: 'sheets',
+    init,
+    append,
+    list,
+    get,
+    update,
+    remove
+};
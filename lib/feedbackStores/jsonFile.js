@@ -0,0 +1,122 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { UPDATABLE_FIELDS, buildRecord, normalizePhotoDetails, normalizeTriage } = require('./records');
+
+// Local JSON file store for development and tests. Records keep the sheet's snake_cased keys.
+// Writes go through a queue and an atomic rename, so concurrent submissions can't corrupt the file.
+function createJsonFileStore(filePath = process.env.FEEDBACK_FILE_PATH || path.join(__dirname, '..', '..', 'data', 'feedback.json')) {
+    let writeQueue = Promise.resolve();
+
+    async function readAll() {
+        try {
+            return JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+    }
+
+    async function writeAll(records) {
+        const tempPath = `${filePath}.${process.pid}.tmp`;
+        await fs.promises.writeFile(tempPath, JSON.stringify(records, null, 2));
+        await fs.promises.rename(tempPath, filePath);
+    }
+
+    // Function to run a read-modify-write after every earlier one has finished
+    function updateAll(mutate) {
+        const run = writeQueue.then(async () => {
+            const records = await readAll();
+            const result = await mutate(records);
+            await writeAll(records);
+            return result;
+        });
+        writeQueue = run.catch(() => {});
+        return run;
+    }
+
+    async function init() {
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        if (!fs.existsSync(filePath)) {
+            await writeAll([]);
+        }
+
+        // Records written before feedback IDs existed get one, so every record can be fetched by ID
+        const assigned = await updateAll(records => {
+            let count = 0;
+            records.forEach(record => {
+                if (!record.id) {
+                    record.id = crypto.randomUUID();
+                    count++;
+                }
+            });
+            return count;
+        });
+        if (assigned > 0) {
+            console.log(`✅ Assigned IDs to ${assigned} existing feedback records`);
+        }
+        console.log(`✅ Feedback file store ready: ${filePath}`);
+    }
+
+    async function append(feedbackData) {
+        const record = buildRecord(feedbackData);
+
+        await updateAll(records => {
+            records.push(record);
+        });
+
+        console.log('✅ Feedback saved to file store');
+        return record;
+    }
+
+    async function list() {
+        await writeQueue;
+        const records = await readAll();
+        return records.map(record => normalizeTriage({
+            ...record,
+            photo_details: normalizePhotoDetails(record.photo_details, record.photos)
+        }));
+    }
+
+    async function get(id) {
+        const records = await list();
+        return records.find(record => record.id === id) || null;
+    }
+
+    // Function to change a record's triage or photo fields. Returns the updated record, or null.
+    async function update(id, changes) {
+        const updated = await updateAll(records => {
+            const record = records.find(item => item.id === id);
+            if (!record) return null;
+            UPDATABLE_FIELDS.forEach(field => {
+                if (changes[field] !== undefined) record[field] = changes[field];
+            });
+            return record;
+        });
+        return updated && normalizeTriage(updated);
+    }
+
+    async function remove(id) {
+        return updateAll(records => {
+            const index = records.findIndex(record => record.id === id);
+            if (index === -1) return false;
+            records.splice(index, 1);
+            return true;
+        });
+    }
+
+    return {
+        name: 'file',
+        filePath,
+        init,
+        append,
+        list,
+        get,
+        update,
+        remove
+    };
+}
+
+module.exports = {
+    createJsonFileStore
+};
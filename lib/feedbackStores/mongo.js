@@ -0,0 +1,180 @@
+const crypto = require('crypto');
+const Feedback = require('../../models/Feedback');
+const { buildRecord, normalizePhotoDetails } = require('./records');
+
+// Same record shape the Sheets store returns, so GET /api/feedback doesn't depend on the backend
+function toRecord(feedback) {
+    return {
+        id: feedback.feedbackId || '',
+        title: feedback.title || '',
+        description: feedback.description || '',
+        photos: feedback.photos || '',
+        photo_details: normalizePhotoDetails(feedback.photoDetails, feedback.photos),
+        user_id: feedback.userId || '',
+        email_id: feedback.emailId || '',
+        date: feedback.date || '',
+        timestamp: feedback.timestamp || '',
+        status: feedback.status || 'new',
+        assignee: feedback.assignee || '',
+        labels: feedback.labels || [],
+        notes: feedback.notes || [],
+        status_history: feedback.statusHistory || [],
+        updated_at: feedback.updatedAt ? feedback.updatedAt.toISOString() : ''
+    };
+}
+
+async function init() {
+    // Documents saved before feedback IDs existed get one, so every record can be fetched by ID
+    const legacy = await Feedback.find({ feedbackId: { $exists: false } }).select('_id').lean();
+    for (const feedback of legacy) {
+        await Feedback.updateOne({ _id: feedback._id }, { $set: { feedbackId: crypto.randomUUID() } });
+    }
+    if (legacy.length > 0) {
+        console.log(`✅ Assigned IDs to ${legacy.length} existing feedback documents`);
+    }
+
+    await Feedback.init();
+    console.log('✅ MongoDB feedback collection ready');
+}
+
+async function append(feedbackData) {
+    const record = buildRecord(feedbackData);
+    const feedback = await Feedback.create({
+        feedbackId: record.id,
+        title: record.title,
+        description: record.description,
+        photos: record.photos,
+        photoDetails: record.photo_details,
+        userId: record.user_id,
+        emailId: record.email_id,
+        date: record.date,
+        timestamp: record.timestamp
+    });
+
+    console.log('✅ Feedback saved to MongoDB');
+    return toRecord(feedback.toObject());
+}
+
+async function list() {
+    const feedback = await Feedback.find().sort({ createdAt: 1, _id: 1 }).lean();
+    return feedback.map(toRecord);
+}
+
+async function get(id) {
+    const feedback = await Feedback.findOne({ feedbackId: id }).lean();
+    return feedback ? toRecord(feedback) : null;
+}
+
+// Record keys used by lib/feedbackQuery.js, mapped to document fields
+const SORT_FIELDS = { timestamp: 'timestamp', date: 'date', title: 'title' };
+
+function escapeRegex(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Function to build a Mongo filter from lib/feedbackQuery.js filters
+function buildFilter(filters) {
+    const conditions = [];
+
+    if (filters.from || filters.to) {
+        const date = {};
+        if (filters.from) date.$gte = filters.from;
+        if (filters.to) date.$lte = filters.to;
+        conditions.push({ date });
+    }
+    if (filters.userId !== undefined) conditions.push({ userId: filters.userId });
+    if (filters.emailId !== undefined) conditions.push({ emailId: new RegExp(`^${escapeRegex(filters.emailId)}$`, 'i') });
+    if (filters.hasPhotos !== undefined) {
+        // records.hasVisiblePhotos: the Photos value lists exactly the photos that may be shown
+        conditions.push(filters.hasPhotos ? { photos: { $nin: ['', null] } } : { photos: { $in: ['', null] } });
+    }
+    if (filters.statuses) {
+        // Documents saved before triage existed have no status and count as new
+        conditions.push(filters.statuses.includes('new')
+            ? { $or: [{ status: { $in: filters.statuses } }, { status: { $exists: false } }] }
+            : { status: { $in: filters.statuses } });
+    }
+    if (filters.assignee !== undefined) {
+        conditions.push(filters.assignee === 'none'
+            ? { assignee: { $in: ['', null] } }
+            : { assignee: filters.assignee });
+    }
+    if (filters.label) conditions.push({ labels: filters.label });
+    (filters.terms || []).forEach(term => {
+        const pattern = new RegExp(escapeRegex(term), 'i');
+        conditions.push({ $or: [{ title: pattern }, { description: pattern }] });
+    });
+
+    return conditions.length > 0 ? { $and: conditions } : {};
+}
+
+// Function to filter, sort and page in the database. Same result shape as feedbackQuery.runQuery.
+async function query({ filters, sortField, descending, limit, page, cursor }) {
+    const field = SORT_FIELDS[sortField];
+    const direction = descending ? -1 : 1;
+    const filter = buildFilter(filters);
+
+    let pageFilter = filter;
+    if (cursor) {
+        const beyond = descending ? '$lt' : '$gt';
+        pageFilter = {
+            $and: [filter, {
+                $or: [
+                    { [field]: { [beyond]: cursor.v } },
+                    { [field]: cursor.v, feedbackId: { [beyond]: cursor.id } }
+                ]
+            }]
+        };
+    }
+
+    const [documents, total] = await Promise.all([
+        Feedback.find(pageFilter)
+            .sort({ [field]: direction, feedbackId: direction })
+            .skip(cursor ? 0 : (page - 1) * limit)
+            .limit(limit + 1)
+            .lean(),
+        Feedback.countDocuments(filter)
+    ]);
+
+    return {
+        records: documents.slice(0, limit).map(toRecord),
+        total,
+        hasMore: documents.length > limit
+    };
+}
+
+// Function to change a record's triage or photo fields. Returns the updated record, or null.
+async function update(id, changes) {
+    const fields = {
+        status: changes.status,
+        assignee: changes.assignee,
+        labels: changes.labels,
+        notes: changes.notes,
+        statusHistory: changes.status_history,
+        photos: changes.photos,
+        photoDetails: changes.photo_details,
+        userId: changes.user_id,
+        emailId: changes.email_id,
+        updatedAt: changes.updated_at ? new Date(changes.updated_at) : undefined
+    };
+    Object.keys(fields).forEach(key => fields[key] === undefined && delete fields[key]);
+
+    const feedback = await Feedback.findOneAndUpdate({ feedbackId: id }, { $set: fields }, { new: true }).lean();
+    return feedback ? toRecord(feedback) : null;
+}
+
+async function remove(id) {
+    const result = await Feedback.deleteOne({ feedbackId: id });
+    return result.deletedCount > 0;
+}
+
+module.exports = {
+    name: 'mongo',
+    init,
+    append,
+    list,
+    get,
+    update,
+    remove,
+    query
+};
@@ -0,0 +1,107 @@
+// Record shape every feedback store returns, keyed like the sheet's snake_cased headers:
+//   { id, title, description, photos, photo_details, user_id, email_id, date, timestamp,
+//     status, assignee, labels, notes, status_history, updated_at }
+// `photos` stays the comma-joined URL string; `photo_details` is the structured list.
+// The triage fields (status onwards) are described in lib/feedbackTriage.js.
+
+// Fields a store's update() may change: triage, photos for moderation, and the submitter's
+// IDs so a user's feedback can be anonymized
+const UPDATABLE_FIELDS = ['status', 'assignee', 'labels', 'notes', 'status_history', 'updated_at', 'photos', 'photo_details', 'user_id', 'email_id'];
+
+// Function to read structured photo details from a stored value (array or JSON string). Rows saved
+// before photo details were stored only have the URL string, so those get { url } entries.
+function normalizePhotoDetails(photoDetails, photos) {
+    if (typeof photoDetails === 'string' && photoDetails.trim()) {
+        try {
+            photoDetails = JSON.parse(photoDetails);
+        } catch (error) {
+            photoDetails = null;
+        }
+    }
+    if (Array.isArray(photoDetails)) {
+        return photoDetails;
+    }
+
+    return (photos || '')
+        .split(',')
+        .map(url => url.trim())
+        .filter(Boolean)
+        .map(url => ({ url }));
+}
+
+// Photos flagged by moderation stay out of the Photos column and API listings until approved
+function isPhotoVisible(photo) {
+    return !photo.moderation || photo.moderation.status === 'approved';
+}
+
+// What the hasPhotos filter means on every backend: the record has a photo that may be shown.
+// Photos held for review don't count, just as they're left out of the Photos value.
+function hasVisiblePhotos(record) {
+    return record.photo_details.some(isPhotoVisible);
+}
+
+// Function to build the comma-joined Photos value from the photos that may be shown
+function visiblePhotoUrls(photoDetails) {
+    return photoDetails.filter(isPhotoVisible).map(photo => photo.url).join(', ');
+}
+
+// Sheets cells hold lists as JSON text (or, for labels, comma-separated text)
+function parseList(value) {
+    if (Array.isArray(value)) {
+        return value;
+    }
+    if (typeof value !== 'string' || !value.trim()) {
+        return [];
+    }
+    try {
+        const parsed = JSON.parse(value);
+        return Array.isArray(parsed) ? parsed : [];
+    } catch (error) {
+        return value.split(',').map(item => item.trim()).filter(Boolean);
+    }
+}
+
+// Function to fill in triage defaults and parse list fields, for records saved before triage existed
+function normalizeTriage(record) {
+    return {
+        ...record,
+        status: record.status || 'new',
+        assignee: record.assignee || '',
+        labels: parseList(record.labels),
+        notes: parseList(record.notes),
+        status_history: parseList(record.status_history),
+        updated_at: record.updated_at || ''
+    };
+}
+
+// Function to turn the append() input ({ feedbackId, title, ..., userId, emailId, photoDetails }) into a record
+function buildRecord(feedbackData) {
+    const photoDetails = normalizePhotoDetails(feedbackData.photoDetails, feedbackData.photos);
+    return {
+        id: feedbackData.feedbackId || '',
+        title: feedbackData.title || '',
+        description: feedbackData.description || '',
+        photos: visiblePhotoUrls(photoDetails),
+        photo_details: photoDetails,
+        user_id: feedbackData.userId || '',
+        email_id: feedbackData.emailId || '',
+        date: feedbackData.date || '',
+        timestamp: feedbackData.timestamp || '',
+        status: 'new',
+        assignee: '',
+        labels: [],
+        notes: [],
+        status_history: [],
+        updated_at: ''
+    };
+}
+
+module.exports = {
+    UPDATABLE_FIELDS,
+    isPhotoVisible,
+    hasVisiblePhotos,
+    visiblePhotoUrls,
+    normalizePhotoDetails,
+    normalizeTriage,
+    buildRecord
+};
@@ -0,0 +1,124 @@
+const crypto = require('crypto');
+const { getFeedbackStore, withRecordLock } = require('./feedbackStore');
+
+// Triage fields on every feedback record:
+//   status          one of STATUSES, 'new' until someone looks at it
+//   assignee        admin username, or '' when unassigned
+//   labels          lowercase tags, e.g. ['crash', 'ios']
+//   notes           internal thread: [{ id, text, author, createdAt }]
+//   status_history  every status change: [{ from, to, changedBy, changedAt }]
+//   updated_at      last triage change (ISO string)
+
+const STATUSES = ['new', 'triaged', 'in_progress', 'resolved', 'wont_fix'];
+
+// Which statuses each status may move to. Closed items can be reopened, but not sent back to 'new'.
+const STATUS_TRANSITIONS = {
+    new: ['triaged', 'in_progress', 'resolved', 'wont_fix'],
+    triaged: ['in_progress', 'resolved', 'wont_fix'],
+    in_progress: ['triaged', 'resolved', 'wont_fix'],
+    resolved: ['in_progress'],
+    wont_fix: ['triaged']
+};
+
+const LABEL_PATTERN = /^[a-z0-9][a-z0-9 _-]{0,31}$/;
+const MAX_LABELS = 20;
+const MAX_ASSIGNEE_LENGTH = 100;
+const MAX_NOTE_LENGTH = 5000;
+
+function canTransition(from, to) {
+    return (STATUS_TRANSITIONS[from] || []).includes(to);
+}
+
+// Function to turn a PATCH body, checked by the feedbackTriage schema, into changes. Returns
+// { error } or { changes } with only the fields given.
+function validateTriageInput(body) {
+    const changes = {};
+    const { status, assignee, labels } = body;
+
+    if (status === undefined && assignee === undefined && labels === undefined) {
+        return { error: 'Provide at least one of: status, assignee, labels' };
+    }
+
+    if (status !== undefined) changes.status = status;
+    if (assignee !== undefined) changes.assignee = assignee || '';
+    if (labels !== undefined) changes.labels = [...new Set(labels)];
+
+    return { changes };
+}
+
+// Function to apply validated changes to a feedback record. Returns { record }, { notFound: true }
+// or { error } when the status change isn't allowed from the current status.
+function updateTriage(id, changes, actor) {
+    return withRecordLock(id, async () => {
+        const store = getFeedbackStore();
+        const record = await store.get(id);
+        if (!record) {
+            return { notFound: true };
+        }
+
+        const now = new Date().toISOString();
+        const update = { ...changes, updated_at: now };
+
+        if (changes.status !== undefined && changes.status !== record.status) {
+            if (!canTransition(record.status, changes.status)) {
+                const allowed = STATUS_TRANSITIONS[record.status] || [];
+                return { error: `Cannot move feedback from '${record.status}' to '${changes.status}'. Allowed: ${allowed.join(', ') || 'none'}` };
+            }
+            update.status_history = [
+                ...record.status_history,
+                { from: record.status, to: changes.status, changedBy: actor, changedAt: now }
+            ];
+        }
+
+        return { record: await store.update(id, update) };
+    });
+}
+
+// Function to add an internal note. Returns { note, record } or { notFound: true }.
+function addNote(id, text, actor) {
+    return withRecordLock(id, async () => {
+        const store = getFeedbackStore();
+        const record = await store.get(id);
+        if (!record) {
+            return { notFound: true };
+        }
+
+        const now = new Date().toISOString();
+        const note = { id: crypto.randomUUID(), text: text.trim(), author: actor, createdAt: now };
+        const updated = await store.update(id, { notes: [...record.notes, note], updated_at: now });
+        return { note, record: updated };
+    });
+}
+
+// Function to remove a note. Returns { record }, { notFound: true } or { noteNotFound: true }.
+function deleteNote(id, noteId) {
+    return withRecordLock(id, async () => {
+        const store = getFeedbackStore();
+        const record = await store.get(id);
+        if (!record) {
+            return { notFound: true };
+        }
+
+        const notes = record.notes.filter(note => note.id !== noteId);
+        if (notes.length === record.notes.length) {
+            return { noteNotFound: true };
+        }
+
+        const updated = await store.update(id, { notes, updated_at: new Date().toISOString() });
+        return { record: updated };
+    });
+}
+
+module.exports = {
+    STATUSES,
+    STATUS_TRANSITIONS,
+    LABEL_PATTERN,
+    MAX_LABELS,
+    MAX_ASSIGNEE_LENGTH,
+    MAX_NOTE_LENGTH,
+    canTransition,
+    validateTriageInput,
+    updateTriage,
+    addNote,
+    deleteNote
+};
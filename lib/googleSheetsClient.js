@@ -0,0 +1,182 @@
+const fs = require('fs');
+const path = require('path');
+const { GoogleAuth } = require('google-auth-library');
+const { google } = require('googleapis');
+
+const SCOPES = ['https://www.googleapis.com/auth/spreadsheets'];
+
+const MAX_RETRIES = parseInt(process.env.SHEETS_MAX_RETRIES, 10) || 3;
+const RETRY_BASE_DELAY_MS = parseInt(process.env.SHEETS_RETRY_BASE_DELAY_MS, 10) || 500;
+const RETRY_MAX_DELAY_MS = 8000;
+const BREAKER_THRESHOLD = parseInt(process.env.SHEETS_BREAKER_THRESHOLD, 10) || 5;
+const BREAKER_COOLDOWN_MS = parseInt(process.env.SHEETS_BREAKER_COOLDOWN_MS, 10) || 30000;
+
+// One Sheets client per process. The auth client caches its access token and refreshes it
+// shortly before expiry, so callers never authenticate themselves
+let sheetsClientPromise = null;
+
+// Circuit breaker: after BREAKER_THRESHOLD calls in a row fail, calls are refused for
+// BREAKER_COOLDOWN_MS, then one trial call is let through to decide whether to close again
+const breaker = {
+    failures: 0,
+    openedAt: null,
+    trialInFlight: false
+};
+
+// Function to load Google service account credentials from GOOGLE_SERVICE_ACCOUNT (base64 JSON)
+// or from the file named by GOOGLE_CREDENTIALS_PATH (default a.json in the project root)
+function loadGoogleCredentials() {
+    if (process.env.GOOGLE_SERVICE_ACCOUNT) {
+        return JSON.parse(Buffer.from(process.env.GOOGLE_SERVICE_ACCOUNT, 'base64').toString('utf8'));
+    }
+
+    const credentialsPath = process.env.GOOGLE_CREDENTIALS_PATH
+        ? path.resolve(process.env.GOOGLE_CREDENTIALS_PATH)
+        : path.join(__dirname, '..', 'a.json');
+    if (!fs.existsSync(credentialsPath)) {
+        throw new Error(`Google credentials not found: set GOOGLE_SERVICE_ACCOUNT or provide ${credentialsPath}`);
+    }
+
+    return JSON.parse(fs.readFileSync(credentialsPath, 'utf8'));
+}
+
+async function createSheetsClient() {
+    const auth = new GoogleAuth({
+        credentials: loadGoogleCredentials(),
+        scopes: SCOPES,
+    });
+
+    const authClient = await auth.getClient();
+    return google.sheets({ version: 'v4', auth: authClient });
+}
+
+// Lazily builds the Sheets client on first use; a failed setup is not cached so the next call retries it
+function getSheetsClient() {
+    if (!sheetsClientPromise) {
+        sheetsClientPromise = createSheetsClient().catch(error => {
+            sheetsClientPromise = null;
+            console.error('❌ Error setting up Google Sheets:', error.message);
+            throw error;
+        });
+    }
+    return sheetsClientPromise;
+}
+
+// Lets tests swap in a fake Sheets client (anything with spreadsheets.values.*), or reset with null
+function setSheetsClient(client) {
+    sheetsClientPromise = client ? Promise.resolve(client) : null;
+    resetBreaker();
+}
+
+function resetBreaker() {
+    breaker.failures = 0;
+    breaker.openedAt = null;
+    breaker.trialInFlight = false;
+}
+
+function getErrorStatus(error) {
+    return Number(error?.response?.status || error?.code) || null;
+}
+
+// Rate limits, server errors and dropped connections are worth another try; anything else
+// (bad range, missing permission, bad credentials) will fail the same way again
+function isRetryableError(error) {
+    const status = getErrorStatus(error);
+    if (status) {
+        return status === 429 || status >= 500;
+    }
+    return ['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EAI_AGAIN', 'ENOTFOUND'].includes(error?.code);
+}
+
+// Honours Retry-After from a 429 when present, otherwise backs off exponentially with jitter
+function getRetryDelay(error, attempt) {
+    const retryAfter = Number(error?.response?.headers?.['retry-after']);
+    if (retryAfter > 0) {
+        return Math.min(retryAfter * 1000, RETRY_MAX_DELAY_MS);
+    }
+    const delay = RETRY_BASE_DELAY_MS * 2 ** attempt;
+    return Math.min(delay / 2 + Math.random() * delay / 2, RETRY_MAX_DELAY_MS);
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function getBreakerState() {
+    if (breaker.openedAt === null) {
+        return 'closed';
+    }
+    return Date.now() - breaker.openedAt >= BREAKER_COOLDOWN_MS ? 'half-open' : 'open';
+}
+
+function createUnavailableError() {
+    const retryInMs = Math.max(BREAKER_COOLDOWN_MS - (Date.now() - breaker.openedAt), 0);
+    const error = new Error('Google Sheets is temporarily unavailable, please try again later');
+    error.code = 'FEEDBACK_STORE_UNAVAILABLE';
+    error.retryAfter = Math.ceil(retryInMs / 1000) || 1;
+    return error;
+}
+
+function recordSuccess() {
+    resetBreaker();
+}
+
+function recordFailure() {
+    breaker.trialInFlight = false;
+    breaker.failures += 1;
+    if (breaker.openedAt !== null || breaker.failures >= BREAKER_THRESHOLD) {
+        if (breaker.openedAt === null) {
+            console.error(`❌ Google Sheets circuit opened after ${breaker.failures} failed calls`);
+        }
+        breaker.openedAt = Date.now();
+    }
+}
+
+// Function to run a Sheets API call, e.g. callSheets(sheets => sheets.spreadsheets.values.get({...})),
+// with retries on transient errors and the circuit breaker around the whole attempt.
+// Pass { retry: false } for calls that are not safe to repeat: an append that timed out may
+// still have written its row, and retrying it would write a duplicate.
+async function callSheets(operation, { retry = true } = {}) {
+    const state = getBreakerState();
+    if (state === 'open' || (state === 'half-open' && breaker.trialInFlight)) {
+        throw createUnavailableError();
+    }
+    if (state === 'half-open') {
+        breaker.trialInFlight = true;
+    }
+
+    let attempt = 0;
+    while (true) {
+        try {
+            const sheets = await getSheetsClient();
+            const result = await operation(sheets);
+            recordSuccess();
+            return result;
+        } catch (error) {
+            if (retry && state === 'closed' && attempt < MAX_RETRIES && isRetryableError(error)) {
+                const delay = getRetryDelay(error, attempt);
+                attempt += 1;
+                console.log(`⚠️  Google Sheets call failed (${getErrorStatus(error) || error.code || error.message}), retry ${attempt}/${MAX_RETRIES} in ${Math.round(delay)}ms`);
+                await sleep(delay);
+                continue;
+            }
+
+            // Only outages count towards opening the circuit; a 400 is the caller's problem
+            if (isRetryableError(error)) {
+                recordFailure();
+            } else {
+                breaker.trialInFlight = false;
+            }
+            throw error;
+        }
+    }
+}
+
+module.exports = {
+    loadGoogleCredentials,
+    getSheetsClient,
+    setSheetsClient,
+    callSheets,
+    isRetryableError,
+    getBreakerState
+};
@@ -0,0 +1,116 @@
+const fs = require('fs');
+const path = require('path');
+const { getCloudinary } = require('./cloudinaryClient');
+const { getImageInfo } = require('./imageInfo');
+
+const ICON_FOLDER = process.env.CLOUDINARY_ICON_FOLDER || 'app-icons';
+const LOCAL_ICON_DIR = path.join(__dirname, '..', 'uploads', 'icons');
+const ALLOWED_ICON_FORMATS = ['png', 'webp'];
+const MIN_ICON_DIMENSION = parseInt(process.env.ICON_MIN_DIMENSION) || 192;
+const MAX_ICON_DIMENSION = parseInt(process.env.ICON_MAX_DIMENSION) || 4096;
+
+// Icon names end up in file names and Cloudinary public_ids
+function safeName(iconName) {
+    return iconName.replace(/[^A-Za-z0-9_-]/g, '_');
+}
+
+function isCloudinaryConfigured() {
+    return !!(process.env.CLOUDINARY_CLOUD_NAME && process.env.CLOUDINARY_API_KEY && process.env.CLOUDINARY_API_SECRET);
+}
+
+// Function to check an uploaded icon's real format and size. Returns an error message, or null if it is usable.
+function validateIconImage(buffer) {
+    const info = getImageInfo(buffer);
+
+    if (!info || !ALLOWED_ICON_FORMATS.includes(info.type)) {
+        return `Icon must be a ${ALLOWED_ICON_FORMATS.map(format => format.toUpperCase()).join(' or ')} image`;
+    }
+    if (!info.width || !info.height) {
+        return 'Could not read icon dimensions';
+    }
+    if (info.width !== info.height) {
+        return `Icon must be square (got ${info.width}x${info.height})`;
+    }
+    if (info.width < MIN_ICON_DIMENSION || info.width > MAX_ICON_DIMENSION) {
+        return `Icon must be between ${MIN_ICON_DIMENSION}px and ${MAX_ICON_DIMENSION}px wide (got ${info.width}px)`;
+    }
+    return null;
+}
+
+function uploadIconToCloudinary(buffer, iconName) {
+    return new Promise((resolve, reject) => {
+        const uploadOptions = {
+            resource_type: 'image',
+            folder: ICON_FOLDER,
+            public_id: `icon_${safeName(iconName)}_${Date.now()}`,
+            overwrite: false
+        };
+
+        getCloudinary().uploader.upload_stream(uploadOptions, (error, result) => {
+            if (error) {
+                console.error('Cloudinary icon upload error:', error);
+                reject(error);
+            } else {
+                console.log(`✅ Icon uploaded to Cloudinary: ${result.secure_url}`);
+                resolve(result);
+            }
+        }).end(buffer);
+    });
+}
+
+// Function to store an icon image in Cloudinary, or under uploads/icons when Cloudinary is not configured.
+// Returns the fields to save on the Icon document.
+async function saveIconImage(buffer, iconName) {
+    const info = getImageInfo(buffer);
+
+    if (isCloudinaryConfigured()) {
+        const result = await uploadIconToCloudinary(buffer, iconName);
+        return {
+            url: result.secure_url,
+            publicId: result.public_id,
+            storage: 'cloudinary',
+            format: info.type,
+            width: info.width,
+            height: info.height
+        };
+    }
+
+    await fs.promises.mkdir(LOCAL_ICON_DIR, { recursive: true });
+    const fileName = `${safeName(iconName)}_${Date.now()}.${info.type}`;
+    await fs.promises.writeFile(path.join(LOCAL_ICON_DIR, fileName), buffer);
+    console.log(`✅ Icon saved locally: uploads/icons/${fileName}`);
+
+    return {
+        url: `/uploads/icons/${fileName}`,
+        publicId: fileName,
+        storage: 'local',
+        format: info.type,
+        width: info.width,
+        height: info.height
+    };
+}
+
+// Function to remove an icon's stored image. Icons added by URL have nothing to delete.
+async function deleteIconImage(icon) {
+    if (!icon.publicId) return false;
+
+    if (icon.storage === 'cloudinary') {
+        await getCloudinary().uploader.destroy(icon.publicId, { resource_type: 'image' });
+        return true;
+    }
+
+    if (icon.storage === 'local') {
+        await fs.promises.unlink(path.join(LOCAL_ICON_DIR, path.basename(icon.publicId))).catch(() => {});
+        return true;
+    }
+
+    return false;
+}
+
+module.exports = {
+    ALLOWED_ICON_FORMATS,
+    isCloudinaryConfigured,
+    validateIconImage,
+    saveIconImage,
+    deleteIconImage
+};
@@ -0,0 +1,66 @@
+const IconActivation = require('../models/IconActivation');
+
+async function recordActivation({ previousIconId, previousIconName, iconId, iconName, actor, source, reason }) {
+    const event = await IconActivation.create({
+        previousIconId: previousIconId || null,
+        previousIconName: previousIconName || null,
+        iconId,
+        iconName,
+        actor: actor || 'system',
+        source: source || 'manual',
+        reason
+    });
+    return event.toObject();
+}
+
+// Pass iconId to follow one icon across renames, or iconName to match the name as it was recorded
+async function listActivations({ page = 1, limit = 20, iconId, iconName } = {}) {
+    const filter = {};
+    if (iconId) {
+        filter.$or = [{ iconId }, { previousIconId: iconId }];
+    } else if (iconName) {
+        filter.$or = [{ iconName: String(iconName) }, { previousIconName: String(iconName) }];
+    }
+
+    const [events, total] = await Promise.all([
+        IconActivation.find(filter)
+            .sort({ createdAt: -1, _id: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .lean(),
+        IconActivation.countDocuments(filter)
+    ]);
+
+    return { events, total };
+}
+
+// Latest change that can still be undone. Rollbacks themselves are skipped, so repeated
+// rollbacks keep stepping further back instead of toggling between two icons.
+async function findRollbackTarget() {
+    return IconActivation.findOne({
+        source: { $ne: 'rollback' },
+        rolledBackAt: null,
+        previousIconId: { $ne: null }
+    }).sort({ createdAt: -1, _id: -1 }).lean();
+}
+
+// Time of the newest activation, or null before the first one
+async function getLastActivationAt() {
+    const event = await IconActivation.findOne().sort({ createdAt: -1, _id: -1 }).lean();
+    return event ? event.createdAt : null;
+}
+
+async function markRolledBack(eventId, actor) {
+    await IconActivation.updateOne(
+        { _id: eventId },
+        { rolledBackAt: new Date(), rolledBackBy: actor }
+    );
+}
+
+module.exports = {
+    recordActivation,
+    listActivations,
+    findRollbackTarget,
+    getLastActivationAt,
+    markRolledBack
+};
@@ -0,0 +1,276 @@
+const moment = require('moment');
+const IconCampaign = require('../models/IconCampaign');
+const iconStore = require('./iconStore');
+
+const DEFAULT_INTERVAL_MS = parseInt(process.env.CAMPAIGN_CHECK_INTERVAL_MS) || 30 * 1000;
+
+let timer = null;
+let onIconChange = null;
+let synced = false;
+let nextBoundary = null;
+let syncInFlight = null;
+
+function isValidTimezone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// Offset of `timeZone` from UTC at the given instant, in milliseconds
+function getTimezoneOffsetMs(date, timeZone) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+    }).formatToParts(date);
+
+    const values = {};
+    parts.forEach(part => {
+        values[part.type] = parseInt(part.value, 10);
+    });
+
+    const asUtc = Date.UTC(values.year, values.month - 1, values.day, values.hour, values.minute, values.second);
+    return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+// Function to read an ISO date/time in the given zone. Values with their own offset or `Z`
+// are taken as-is. Returns null when the value isn't a valid ISO 8601 date.
+function parseInTimezone(value, timeZone) {
+    if (typeof value !== 'string') {
+        return null;
+    }
+
+    if (/(Z|[+-]\d{2}:?\d{2})$/i.test(value)) {
+        const parsed = moment(value, moment.ISO_8601, true);
+        return parsed.isValid() ? parsed.toDate() : null;
+    }
+
+    const local = moment.utc(value, moment.ISO_8601, true);
+    if (!local.isValid()) {
+        return null;
+    }
+
+    // Apply the zone offset, then re-check it in case the first guess crossed a DST change
+    const wallClock = local.valueOf();
+    const firstOffset = getTimezoneOffsetMs(new Date(wallClock), timeZone);
+    let utc = wallClock - firstOffset;
+    const secondOffset = getTimezoneOffsetMs(new Date(utc), timeZone);
+    if (secondOffset !== firstOffset) {
+        utc = wallClock - secondOffset;
+    }
+    return new Date(utc);
+}
+
+function getCampaignStatus(campaign, now = new Date()) {
+    if (campaign.cancelledAt) return 'cancelled';
+    if (now < campaign.startAt) return 'upcoming';
+    if (now >= campaign.endAt) return 'ended';
+    return 'active';
+}
+
+// Campaign that should be live at `now`: highest priority, then the most recently started
+async function findCurrentCampaign(now = new Date()) {
+    return IconCampaign.findOne({
+        cancelledAt: null,
+        startAt: { $lte: now },
+        endAt: { $gt: now }
+    }).sort({ priority: -1, startAt: -1 }).lean();
+}
+
+// Returns same-priority campaigns that would overlap the given window
+async function findConflictingCampaigns({ startAt, endAt, priority }, excludeId) {
+    const filter = {
+        cancelledAt: null,
+        priority,
+        startAt: { $lt: endAt },
+        endAt: { $gt: startAt }
+    };
+    if (excludeId) {
+        filter._id = { $ne: excludeId };
+    }
+    return IconCampaign.find(filter).lean();
+}
+
+// Upcoming or running campaigns that show or fall back to the given icon
+async function findCampaignsUsingIcon(iconName, now = new Date()) {
+    return IconCampaign.find({
+        cancelledAt: null,
+        endAt: { $gt: now },
+        $or: [{ iconName }, { fallbackIconName: iconName }]
+    }).lean();
+}
+
+// Function to point every campaign at an icon's new name after a rename
+async function renameIconInCampaigns(iconName, newIconName) {
+    await Promise.all([
+        IconCampaign.updateMany({ iconName }, { iconName: newIconName }),
+        IconCampaign.updateMany({ fallbackIconName: iconName }, { fallbackIconName: newIconName })
+    ]);
+}
+
+async function createCampaign(campaign) {
+    const created = await IconCampaign.create(campaign);
+    synced = false;
+    return created.toObject();
+}
+
+async function listCampaigns(status) {
+    const now = new Date();
+    const filter = {};
+    if (status === 'cancelled') filter.cancelledAt = { $ne: null };
+    if (status === 'upcoming') Object.assign(filter, { cancelledAt: null, startAt: { $gt: now } });
+    if (status === 'active') Object.assign(filter, { cancelledAt: null, startAt: { $lte: now }, endAt: { $gt: now } });
+    if (status === 'ended') Object.assign(filter, { cancelledAt: null, endAt: { $lte: now } });
+
+    const campaigns = await IconCampaign.find(filter).sort({ startAt: -1 }).lean();
+    return campaigns.map(campaign => ({ ...campaign, status: getCampaignStatus(campaign, now) }));
+}
+
+async function cancelCampaign(id) {
+    const campaign = await IconCampaign.findOneAndUpdate(
+        { _id: id, cancelledAt: null },
+        { cancelledAt: new Date() },
+        { new: true }
+    ).lean();
+    synced = false;
+    return campaign;
+}
+
+async function computeNextBoundary(now) {
+    const [nextStart, nextEnd] = await Promise.all([
+        IconCampaign.findOne({ cancelledAt: null, startAt: { $gt: now } }).sort({ startAt: 1 }).lean(),
+        IconCampaign.findOne({ cancelledAt: null, endAt: { $gt: now } }).sort({ endAt: 1 }).lean()
+    ]);
+
+    const candidates = [nextStart && nextStart.startAt, nextEnd && nextEnd.endAt].filter(Boolean);
+    return candidates.length > 0 ? new Date(Math.min(...candidates.map(date => date.getTime()))) : null;
+}
+
+async function activateFromSchedule(iconName, reason) {
+    const icon = await iconStore.activateIcon(iconName, { actor: 'scheduler', source: 'campaign', reason });
+    if (!icon) {
+        console.error(`❌ Scheduled icon '${iconName}' no longer exists`);
+        return null;
+    }
+
+    console.log(`🗓️  ${reason}: activated icon '${iconName}'`);
+    if (onIconChange) {
+        Promise.resolve(onIconChange(icon, { reason })).catch(error => {
+            console.error('❌ Scheduled icon change handler failed:', error);
+        });
+    }
+    return icon;
+}
+
+// Function to bring the active icon in line with the campaign calendar.
+// Activates the campaign that should be live, or reverts to the fallback icon once a
+// campaign ends or is cancelled. Safe to call repeatedly.
+// A campaign's icon is put in place once, when the campaign starts. An icon an admin activates
+// while it runs stays until the next campaign start or end; the campaign doesn't take it back.
+async function syncActiveIcon(now = new Date()) {
+    const [current, active, finished] = await Promise.all([
+        findCurrentCampaign(now),
+        iconStore.getActiveIcon(),
+        IconCampaign.find({
+            appliedAt: { $ne: null },
+            revertedAt: null,
+            $or: [{ endAt: { $lte: now } }, { cancelledAt: { $ne: null } }]
+        }).lean()
+    ]);
+
+    let changedIcon = null;
+
+    // Icon of a campaign that has just finished, still showing because nobody replaced it
+    const leftOver = active && finished.some(campaign => campaign.iconName === active.iconName);
+
+    if (current) {
+        const due = !current.appliedAt || !active || leftOver;
+        if (due && (!active || active.iconName !== current.iconName)) {
+            changedIcon = await activateFromSchedule(current.iconName, `Campaign '${current.name}' started`);
+        }
+        if (!current.appliedAt) {
+            await IconCampaign.updateOne({ _id: current._id }, { appliedAt: now });
+        }
+    } else if (leftOver) {
+        // Only revert if a campaign's icon is still showing; a manual activation since then wins
+        const latest = finished.reduce((a, b) => ((a.cancelledAt || a.endAt) > (b.cancelledAt || b.endAt) ? a : b));
+        changedIcon = await activateFromSchedule(latest.fallbackIconName || iconStore.FALLBACK_ICON_NAME, `Campaign '${latest.name}' finished`);
+    }
+
+    if (finished.length > 0) {
+        await IconCampaign.updateMany(
+            { _id: { $in: finished.map(campaign => campaign._id) } },
+            { revertedAt: now }
+        );
+    }
+
+    nextBoundary = await computeNextBoundary(now);
+    synced = true;
+    return changedIcon;
+}
+
+// Function to sync only when a campaign boundary has passed since the last sync.
+// Cheap enough to call on every GET /api/app/current-icon.
+async function ensureSynced() {
+    if (synced && (!nextBoundary || Date.now() < nextBoundary.getTime())) {
+        return;
+    }
+
+    if (!syncInFlight) {
+        syncInFlight = syncActiveIcon().finally(() => {
+            syncInFlight = null;
+        });
+    }
+    await syncInFlight;
+}
+
+// Next campaign start or end after the last sync, or null if none is scheduled
+function getNextBoundary() {
+    return synced ? nextBoundary : null;
+}
+
+// Function to start the background check. `onChange(icon, { reason })` runs after every scheduled activation.
+async function startScheduler({ intervalMs = DEFAULT_INTERVAL_MS, onChange } = {}) {
+    onIconChange = onChange || null;
+    await syncActiveIcon();
+
+    timer = setInterval(() => {
+        syncActiveIcon().catch(error => console.error('❌ Campaign sync error:', error));
+    }, intervalMs);
+    timer.unref();
+
+    console.log(`🗓️  Icon campaign scheduler running (every ${intervalMs / 1000}s)`);
+}
+
+function stopScheduler() {
+    if (timer) {
+        clearInterval(timer);
+        timer = null;
+    }
+}
+
+module.exports = {
+    isValidTimezone,
+    parseInTimezone,
+    getCampaignStatus,
+    findCurrentCampaign,
+    findConflictingCampaigns,
+    findCampaignsUsingIcon,
+    renameIconInCampaigns,
+    createCampaign,
+    listCampaigns,
+    cancelCampaign,
+    syncActiveIcon,
+    ensureSynced,
+    getNextBoundary,
+    startScheduler,
+    stopScheduler
+};
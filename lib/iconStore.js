@@ -0,0 +1,166 @@
+const Icon = require('../models/Icon');
+const iconHistory = require('./iconHistory');
+
+// The icon every campaign and deletion falls back to; it can be edited but never removed or renamed
+const FALLBACK_ICON_NAME = 'DEFAULT';
+
+const ICON_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_-]{0,63}$/;
+const RESERVED_ICON_NAMES = ['__proto__', 'constructor', 'prototype', 'hasOwnProperty', 'toString', 'valueOf'];
+
+// Function to check an icon key. Returns an error message, or null if the name is allowed.
+function validateIconName(iconName) {
+    if (typeof iconName !== 'string' || !ICON_NAME_PATTERN.test(iconName)) {
+        return 'iconName must be 1-64 letters, digits, "_" or "-", starting with a letter or digit';
+    }
+    if (RESERVED_ICON_NAMES.includes(iconName)) {
+        return `'${iconName}' is a reserved name`;
+    }
+    return null;
+}
+
+// Icons written to an empty catalog on first boot
+const DEFAULT_ICONS = [
+    {
+        iconName: FALLBACK_ICON_NAME,
+        name: 'Default',
+        url: '/uploads/icons/default.png',
+        isActive: true
+    },
+    {
+        iconName: 'navratri1',
+        name: 'Navratri 1',
+        url: '/uploads/icons/navratri1.png',
+        isActive: false
+    },
+    {
+        iconName: 'navratri3',
+        name: 'Navratri 3',
+        url: '/uploads/icons/navratri3.png',
+        isActive: false
+    }
+];
+
+// Function to seed the default icons when the catalog is empty
+async function seedDefaultIcons() {
+    const count = await Icon.countDocuments();
+    if (count > 0) {
+        console.log(`✅ Icon catalog already has ${count} icons`);
+        return false;
+    }
+
+    const now = new Date();
+    await Icon.insertMany(DEFAULT_ICONS.map(icon => ({ ...icon, lastUpdated: now })));
+    console.log(`✅ Seeded ${DEFAULT_ICONS.length} default icons`);
+    return true;
+}
+
+async function getAllIcons() {
+    return Icon.find().sort({ _id: 1 }).lean();
+}
+
+async function getIconsByName(iconNames) {
+    return Icon.find({ iconName: { $in: iconNames } }).lean();
+}
+
+async function countIcons() {
+    return Icon.countDocuments();
+}
+
+async function getIcon(iconName) {
+    return Icon.findOne({ iconName }).lean();
+}
+
+async function getIconById(iconId) {
+    return Icon.findById(iconId).lean();
+}
+
+// Most recently activated icon wins if a crash ever leaves two flagged active
+async function getActiveIcon() {
+    return Icon.findOne({ isActive: true }).sort({ lastUpdated: -1 }).lean();
+}
+
+// Function to make one icon active and record it in the activation history.
+// `activation` carries { actor, source, reason } for the history entry.
+// The new icon is flagged before the others are cleared so readers never see an empty catalog state in between.
+async function activateIcon(iconName, activation = {}) {
+    const previous = await getActiveIcon();
+    const icon = await Icon.findOneAndUpdate(
+        { iconName },
+        { isActive: true, lastUpdated: new Date() },
+        { new: true }
+    ).lean();
+
+    if (!icon) {
+        return null;
+    }
+
+    await Icon.updateMany(
+        { iconName: { $ne: iconName }, isActive: true },
+        { isActive: false }
+    );
+
+    try {
+        await iconHistory.recordActivation({
+            ...activation,
+            previousIconId: previous ? previous._id : null,
+            previousIconName: previous ? previous.iconName : null,
+            iconId: icon._id,
+            iconName
+        });
+    } catch (error) {
+        console.error('❌ Failed to record icon activation:', error);
+    }
+
+    return icon;
+}
+
+async function addIcon({ iconName, name, url, ...asset }) {
+    const icon = await Icon.create({
+        iconName,
+        name,
+        url,
+        ...asset,
+        isActive: false,
+        lastUpdated: new Date()
+    });
+    return icon.toObject();
+}
+
+// Function to change an icon's display name, image or variants. Returns the updated icon or null.
+async function updateIcon(iconName, changes) {
+    return Icon.findOneAndUpdate(
+        { iconName },
+        { ...changes, lastUpdated: new Date() },
+        { new: true, runValidators: true }
+    ).lean();
+}
+
+async function renameIcon(iconName, newIconName) {
+    return Icon.findOneAndUpdate(
+        { iconName },
+        { iconName: newIconName, lastUpdated: new Date() },
+        { new: true }
+    ).lean();
+}
+
+async function deleteIcon(iconName) {
+    return Icon.findOneAndDelete({ iconName }).lean();
+}
+
+module.exports = {
+    FALLBACK_ICON_NAME,
+    DEFAULT_ICONS,
+    validateIconName,
+    seedDefaultIcons,
+    getAllIcons,
+    countIcons,
+    getIcon,
+    getIconById,
+    getIconsByName,
+    getActiveIcon,
+    activateIcon,
+    addIcon,
+    updateIcon,
+    renameIcon,
+    deleteIcon
+};
@@ -0,0 +1,134 @@
+const { selectVariant } = require('./iconVariants');
+
+// Server-Sent Events hub for GET /api/app/icon-stream. One shared heartbeat timer serves every
+// connection, and recent events are buffered so a reconnecting client can resume from Last-Event-ID.
+
+const HEARTBEAT_INTERVAL_MS = parseInt(process.env.ICON_STREAM_HEARTBEAT_MS) || 25 * 1000;
+const MAX_CLIENTS = parseInt(process.env.ICON_STREAM_MAX_CLIENTS) || 1000;
+const BUFFER_SIZE = 50;
+// A client this far behind is not reading; drop it rather than buffer without limit
+const MAX_PENDING_BYTES = 64 * 1024;
+
+const clients = new Set();
+const recentEvents = [];
+let heartbeatTimer = null;
+
+// Seeded from the clock so ids keep increasing across restarts
+let lastEventId = Date.now();
+
+function resolveUrl(url, baseUrl) {
+    return /^https?:\/\//.test(url) ? url : `${baseUrl}${url}`;
+}
+
+// Events carry the icon's full variant list; each client gets only the variant for its platform/density.
+// `event.pick(context)` may swap in different data for clients a targeting rule applies to.
+function formatEvent(event, client) {
+    const picked = event.pick ? event.pick(client.context) : null;
+    const { variants, ...data } = picked || event.data;
+    if (data.url) {
+        data.url = resolveUrl(data.url, client.baseUrl);
+    }
+    if (variants) {
+        const variant = selectVariant(variants, client.platform, client.density);
+        data.variant = variant ? { ...variant, url: resolveUrl(variant.url, client.baseUrl) } : null;
+    }
+    return `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+function write(client, chunk) {
+    if (client.res.writableLength > MAX_PENDING_BYTES) {
+        console.log('⚠️  Dropping slow icon stream client');
+        client.res.end();
+        removeClient(client);
+        return;
+    }
+    client.res.write(chunk);
+}
+
+function startHeartbeat() {
+    if (heartbeatTimer) return;
+    heartbeatTimer = setInterval(() => {
+        clients.forEach(client => write(client, `: heartbeat ${Date.now()}\n\n`));
+    }, HEARTBEAT_INTERVAL_MS);
+    heartbeatTimer.unref();
+}
+
+function stopHeartbeatIfIdle() {
+    if (clients.size === 0 && heartbeatTimer) {
+        clearInterval(heartbeatTimer);
+        heartbeatTimer = null;
+    }
+}
+
+function removeClient(client) {
+    clients.delete(client);
+    stopHeartbeatIfIdle();
+}
+
+function getClientCount() {
+    return clients.size;
+}
+
+// Function to attach an SSE response. `snapshot` is the current icon event data, sent when the
+// client is new or asks to resume from an id that is no longer buffered. `context` is the client's
+// targeting context (platform, appVersion, ...). Returns false if full.
+function addClient(req, res, snapshot, context = {}) {
+    if (clients.size >= MAX_CLIENTS) {
+        return false;
+    }
+
+    req.socket.setTimeout(0);
+    req.socket.setNoDelay(true);
+    req.socket.setKeepAlive(true);
+
+    res.status(200).set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const client = {
+        res,
+        baseUrl: `${req.protocol}://${req.get('host')}`,
+        platform: req.query.platform || req.get('x-platform'),
+        density: req.query.density || req.get('x-density'),
+        context
+    };
+    clients.add(client);
+    startHeartbeat();
+
+    res.write(`retry: 5000\n\n`);
+
+    const resumeFrom = req.get('last-event-id') || req.query.lastEventId;
+    const resumeIndex = resumeFrom ? recentEvents.findIndex(event => String(event.id) === String(resumeFrom)) : -1;
+
+    if (resumeIndex !== -1) {
+        recentEvents.slice(resumeIndex + 1).forEach(event => write(client, formatEvent(event, client)));
+    } else if (snapshot) {
+        write(client, formatEvent({ id: lastEventId, type: 'icon', data: snapshot }, client));
+    }
+
+    req.on('close', () => removeClient(client));
+    return true;
+}
+
+// Function to send an event to every connected client and keep it for resumption.
+// Optional `pick(context)` returns per-client data, or null to send `data`.
+function broadcast(type, data, pick) {
+    const event = { id: ++lastEventId, type, data, pick };
+    recentEvents.push(event);
+    if (recentEvents.length > BUFFER_SIZE) {
+        recentEvents.shift();
+    }
+
+    clients.forEach(client => write(client, formatEvent(event, client)));
+    return event;
+}
+
+module.exports = {
+    addClient,
+    broadcast,
+    getClientCount
+};
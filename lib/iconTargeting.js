@@ -0,0 +1,219 @@
+const crypto = require('crypto');
+const IconRule = require('../models/IconRule');
+
+const PLATFORMS = ['android', 'ios'];
+const RULES_CACHE_TTL_MS = 30 * 1000;
+
+let cachedRules = null;
+let cachedAt = 0;
+
+// Compares dotted numeric versions ("2.10.1" > "2.9"). Non-numeric parts count as 0.
+function compareVersions(a, b) {
+    const left = String(a).split('.').map(part => parseInt(part, 10) || 0);
+    const right = String(b).split('.').map(part => parseInt(part, 10) || 0);
+    const length = Math.max(left.length, right.length);
+
+    for (let i = 0; i < length; i++) {
+        const diff = (left[i] || 0) - (right[i] || 0);
+        if (diff !== 0) return diff > 0 ? 1 : -1;
+    }
+    return 0;
+}
+
+// Stable 0-99 bucket for a user. Salting with the rule id keeps rollouts independent of each other.
+function getUserBucket(userId, salt) {
+    const hash = crypto.createHash('sha1').update(`${salt}:${userId}`).digest();
+    return hash.readUInt32BE(0) % 100;
+}
+
+function firstLanguageTag(acceptLanguage) {
+    if (!acceptLanguage) return null;
+    const tag = String(acceptLanguage).split(',')[0].split(';')[0].trim();
+    return tag && tag !== '*' ? tag : null;
+}
+
+// Function to collect targeting context from query parameters, falling back to headers
+function getRequestContext(req) {
+    const locale = req.query.locale || firstLanguageTag(req.get('accept-language'));
+    const localeRegion = locale && locale.split(/[-_]/)[1];
+    const country = req.query.country || req.get('x-country') || req.get('cf-ipcountry') || localeRegion;
+
+    return normalizeContext({
+        platform: req.query.platform || req.get('x-platform'),
+        appVersion: req.query.appVersion || req.get('x-app-version'),
+        country,
+        locale,
+        userId: req.query.userId || req.get('x-user-id')
+    });
+}
+
+function normalizeContext(context = {}) {
+    const asString = value => (value === undefined || value === null || value === '' ? null : String(value).trim());
+    const platform = asString(context.platform);
+    const country = asString(context.country);
+    const locale = asString(context.locale);
+
+    return {
+        platform: platform ? platform.toLowerCase() : null,
+        appVersion: asString(context.appVersion),
+        country: country ? country.toUpperCase() : null,
+        locale: locale ? locale.replace('_', '-').toLowerCase() : null,
+        userId: asString(context.userId)
+    };
+}
+
+// Function to test one rule against a context. Returns { matched, reasons, usedUserBucket }.
+function evaluateRule(rule, context) {
+    const conditions = rule.conditions || {};
+    const reasons = [];
+    let usedUserBucket = false;
+
+    if (conditions.platforms && conditions.platforms.length > 0 && !conditions.platforms.includes(context.platform)) {
+        reasons.push(`platform ${context.platform || '(none)'} not in ${conditions.platforms.join(', ')}`);
+    }
+
+    if (conditions.minAppVersion) {
+        if (!context.appVersion || compareVersions(context.appVersion, conditions.minAppVersion) < 0) {
+            reasons.push(`appVersion ${context.appVersion || '(none)'} below ${conditions.minAppVersion}`);
+        }
+    }
+
+    if (conditions.maxAppVersion) {
+        if (!context.appVersion || compareVersions(context.appVersion, conditions.maxAppVersion) > 0) {
+            reasons.push(`appVersion ${context.appVersion || '(none)'} above ${conditions.maxAppVersion}`);
+        }
+    }
+
+    if (conditions.countries && conditions.countries.length > 0 && !conditions.countries.includes(context.country)) {
+        reasons.push(`country ${context.country || '(none)'} not in ${conditions.countries.join(', ')}`);
+    }
+
+    if (conditions.locales && conditions.locales.length > 0) {
+        const matchesLocale = context.locale && conditions.locales.some(locale => {
+            const prefix = locale.toLowerCase();
+            return context.locale === prefix || context.locale.startsWith(`${prefix}-`);
+        });
+        if (!matchesLocale) {
+            reasons.push(`locale ${context.locale || '(none)'} not in ${conditions.locales.join(', ')}`);
+        }
+    }
+
+    let bucket;
+    const rollout = conditions.rolloutPercentage;
+    if (rollout !== undefined && rollout !== null && rollout < 100) {
+        if (!context.userId) {
+            reasons.push('userId required for percentage rollout');
+        } else {
+            usedUserBucket = true;
+            bucket = getUserBucket(context.userId, rule._id);
+            if (bucket >= rollout) {
+                reasons.push(`user bucket ${bucket} outside ${rollout}% rollout`);
+            }
+        }
+    }
+
+    return { matched: reasons.length === 0, reasons, bucket, usedUserBucket };
+}
+
+function sortRules(rules) {
+    return [...rules].sort((a, b) => (b.priority || 0) - (a.priority || 0) || new Date(a.createdAt) - new Date(b.createdAt));
+}
+
+// Function to find the first matching rule. Always returns { rule, usedUserBucket, evaluations };
+// rule is null when the global icon applies.
+function evaluateRules(rules, context) {
+    const evaluations = [];
+    let usedUserBucket = false;
+
+    for (const rule of sortRules(rules)) {
+        const result = evaluateRule(rule, context);
+        usedUserBucket = usedUserBucket || result.usedUserBucket;
+        evaluations.push({ ruleId: rule._id, name: rule.name, iconName: rule.iconName, ...result });
+        if (result.matched) {
+            return { rule, usedUserBucket, evaluations };
+        }
+    }
+    return { rule: null, usedUserBucket, evaluations };
+}
+
+// Enabled rules, cached briefly since they are read on every current-icon request
+async function getEnabledRules() {
+    if (cachedRules && Date.now() - cachedAt < RULES_CACHE_TTL_MS) {
+        return cachedRules;
+    }
+    cachedRules = await IconRule.find({ enabled: true }).lean();
+    cachedAt = Date.now();
+    return cachedRules;
+}
+
+function invalidateRulesCache() {
+    cachedRules = null;
+}
+
+// Function to finish a rule body checked by the iconRule schemas: locales are written with '-',
+// as normalizeContext does, so a rule for 'en_US' matches en-us requests
+function normalizeRuleInput(body) {
+    if (!body.conditions || !body.conditions.locales) {
+        return body;
+    }
+    return {
+        ...body,
+        conditions: {
+            ...body.conditions,
+            locales: body.conditions.locales.map(locale => locale.replace('_', '-'))
+        }
+    };
+}
+
+async function createRule(rule) {
+    const created = await IconRule.create(rule);
+    invalidateRulesCache();
+    return created.toObject();
+}
+
+async function listRules() {
+    return sortRules(await IconRule.find().lean());
+}
+
+async function updateRule(id, changes) {
+    const updated = await IconRule.findByIdAndUpdate(
+        id,
+        { ...changes, updatedAt: new Date() },
+        { new: true, runValidators: true }
+    ).lean();
+    invalidateRulesCache();
+    return updated;
+}
+
+async function deleteRule(id) {
+    const deleted = await IconRule.findByIdAndDelete(id).lean();
+    invalidateRulesCache();
+    return deleted;
+}
+
+async function findRulesUsingIcon(iconName) {
+    return IconRule.find({ iconName }).lean();
+}
+
+async function renameIconInRules(iconName, newIconName) {
+    await IconRule.updateMany({ iconName }, { iconName: newIconName });
+    invalidateRulesCache();
+}
+
+module.exports = {
+    PLATFORMS,
+    compareVersions,
+    getUserBucket,
+    getRequestContext,
+    normalizeContext,
+    evaluateRule,
+    evaluateRules,
+    getEnabledRules,
+    normalizeRuleInput,
+    createRule,
+    listRules,
+    updateRule,
+    deleteRule,
+    findRulesUsingIcon,
+    renameIconInRules
+};
@@ -0,0 +1,146 @@
+const { getCloudinary } = require('./cloudinaryClient');
+
+// Launcher icon sizes in pixels. Android adaptive layers are 108dp at xxxhdpi, with the
+// artwork kept inside the central 72dp safe zone.
+const VARIANT_SPECS = [
+    { key: 'android-mdpi', platform: 'android', density: 'mdpi', scale: 1, size: 48 },
+    { key: 'android-hdpi', platform: 'android', density: 'hdpi', scale: 1.5, size: 72 },
+    { key: 'android-xhdpi', platform: 'android', density: 'xhdpi', scale: 2, size: 96 },
+    { key: 'android-xxhdpi', platform: 'android', density: 'xxhdpi', scale: 3, size: 144 },
+    { key: 'android-xxxhdpi', platform: 'android', density: 'xxxhdpi', scale: 4, size: 192 },
+    { key: 'android-adaptive-foreground', platform: 'android', density: 'adaptive-foreground', scale: 4, size: 432, adaptive: true },
+    { key: 'android-adaptive-background', platform: 'android', density: 'adaptive-background', scale: 4, size: 432, adaptive: true },
+    { key: 'ios-1x', platform: 'ios', density: '1x', scale: 1, size: 60 },
+    { key: 'ios-2x', platform: 'ios', density: '2x', scale: 2, size: 120 },
+    { key: 'ios-3x', platform: 'ios', density: '3x', scale: 3, size: 180 }
+];
+
+const VARIANT_KEYS = VARIANT_SPECS.map(spec => spec.key);
+const PLATFORMS = ['android', 'ios'];
+
+function variantTransformation(spec) {
+    if (spec.density === 'adaptive-foreground') {
+        return [
+            { width: 288, height: 288, crop: 'fit' },
+            { width: spec.size, height: spec.size, crop: 'pad', background: 'transparent' }
+        ];
+    }
+    if (spec.density === 'adaptive-background') {
+        return [{ width: spec.size, height: spec.size, crop: 'fill', effect: 'blur:2000' }];
+    }
+    return [{ width: spec.size, height: spec.size, crop: 'fill' }];
+}
+
+// `source` is a Cloudinary public_id, or with type 'fetch' a public image URL Cloudinary
+// downloads and resizes on first request
+function cloudinaryVariantUrl(source, spec, type = 'upload') {
+    return getCloudinary().url(source, {
+        type,
+        secure: true,
+        format: 'png',
+        transformation: variantTransformation(spec)
+    });
+}
+
+// Public address of an icon stored elsewhere, for Cloudinary to fetch: absolute URLs as they are,
+// files under uploads/ through PUBLIC_BASE_URL. Null when Cloudinary couldn't reach the image.
+function fetchableIconUrl(icon) {
+    if (!icon.url || !getCloudinary().config().cloud_name) return null;
+    if (/^https?:\/\//.test(icon.url)) return icon.url;
+    const baseUrl = process.env.PUBLIC_BASE_URL;
+    return baseUrl && icon.url.startsWith('/') ? `${baseUrl.replace(/\/$/, '')}${icon.url}` : null;
+}
+
+// Function to build the variant list for an icon. Registered URLs win; Cloudinary icons get
+// resized derivatives and icons at a public URL resized copies through Cloudinary fetch. Sizes
+// none of these can produce are left out, and apps fall back to the icon's own url.
+function buildVariants(icon, registered = {}) {
+    const fetchUrl = icon.storage === 'cloudinary' && icon.publicId ? null : fetchableIconUrl(icon);
+
+    return VARIANT_SPECS.map(spec => {
+        let url = registered[spec.key];
+        let source = 'registered';
+
+        if (!url && icon.storage === 'cloudinary' && icon.publicId) {
+            url = cloudinaryVariantUrl(icon.publicId, spec);
+            source = 'generated';
+        } else if (!url && fetchUrl) {
+            url = cloudinaryVariantUrl(fetchUrl, spec, 'fetch');
+            source = 'generated';
+        }
+
+        return url && {
+            key: spec.key,
+            platform: spec.platform,
+            density: spec.density,
+            size: spec.size,
+            url,
+            source
+        };
+    }).filter(Boolean);
+}
+
+// Icons saved before variants existed have none stored, so build them on read
+function getIconVariants(icon) {
+    return icon.variants && icon.variants.length > 0 ? icon.variants : buildVariants(icon);
+}
+
+// Function to check admin-supplied variant URLs ({ "android-mdpi": "https://..." }).
+// Returns an error message, or null if the map is usable.
+function validateRegisteredVariants(variants) {
+    if (typeof variants !== 'object' || variants === null || Array.isArray(variants)) {
+        return 'variants must be an object of variant key to URL';
+    }
+
+    for (const [key, url] of Object.entries(variants)) {
+        if (!VARIANT_KEYS.includes(key)) {
+            return `Unknown variant '${key}'. Valid variants: ${VARIANT_KEYS.join(', ')}`;
+        }
+        if (typeof url !== 'string' || !(/^https?:\/\//.test(url) || url.startsWith('/'))) {
+            return `Variant '${key}' must be an absolute URL or a path starting with /`;
+        }
+    }
+    return null;
+}
+
+// Accepts density names (xxhdpi, 3x) or numeric scale factors (3, 2.625) and returns a scale
+function parseDensity(platform, density) {
+    if (density === undefined || density === null || density === '') return null;
+    const value = String(density).toLowerCase().trim();
+
+    const named = VARIANT_SPECS.find(spec => spec.platform === platform && spec.density === value);
+    if (named) return named;
+
+    const scale = parseFloat(value.replace(/x$/, ''));
+    return isNaN(scale) || scale <= 0 ? null : { scale };
+}
+
+// Function to pick the variant for a platform/density: an exact named match, else the smallest
+// standard size at or above the requested scale, else the largest. Without a density the largest is used.
+function selectVariant(variants, platform, density) {
+    const normalizedPlatform = platform ? String(platform).toLowerCase().trim() : null;
+    if (!PLATFORMS.includes(normalizedPlatform)) return null;
+
+    const standard = VARIANT_SPECS.filter(spec => spec.platform === normalizedPlatform && !spec.adaptive);
+    const requested = parseDensity(normalizedPlatform, density);
+
+    let spec;
+    if (requested && requested.key) {
+        spec = requested;
+    } else if (requested) {
+        spec = standard.find(candidate => candidate.scale >= requested.scale) || standard[standard.length - 1];
+    } else {
+        spec = standard[standard.length - 1];
+    }
+
+    return variants.find(variant => variant.key === spec.key) || null;
+}
+
+module.exports = {
+    VARIANT_SPECS,
+    VARIANT_KEYS,
+    buildVariants,
+    getIconVariants,
+    validateRegisteredVariants,
+    selectVariant
+};
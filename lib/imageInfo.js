@@ -0,0 +1,76 @@
+// Reads image type and pixel size straight from file headers, so a renamed file can't pass as an image
+
+function detectImageType(buffer) {
+    if (!buffer || buffer.length < 12) return null;
+
+    if (buffer.readUInt32BE(0) === 0x89504e47 && buffer.readUInt32BE(4) === 0x0d0a1a0a) return 'png';
+    if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'jpeg';
+    if (buffer.toString('ascii', 0, 6) === 'GIF87a' || buffer.toString('ascii', 0, 6) === 'GIF89a') return 'gif';
+    if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') return 'webp';
+
+    return null;
+}
+
+function getPngDimensions(buffer) {
+    if (buffer.length < 24 || buffer.toString('ascii', 12, 16) !== 'IHDR') return null;
+    return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+}
+
+function getGifDimensions(buffer) {
+    return { width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+}
+
+function getWebpDimensions(buffer) {
+    if (buffer.length < 30) return null;
+    const chunk = buffer.toString('ascii', 12, 16);
+
+    if (chunk === 'VP8 ') {
+        return { width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff };
+    }
+    if (chunk === 'VP8L') {
+        const bits = buffer.readUInt32LE(21);
+        return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+    }
+    if (chunk === 'VP8X') {
+        return { width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+    }
+    return null;
+}
+
+// Walks JPEG segments until a start-of-frame marker, which holds the size
+function getJpegDimensions(buffer) {
+    let offset = 2;
+    while (offset + 9 < buffer.length) {
+        if (buffer[offset] !== 0xff) return null;
+        const marker = buffer[offset + 1];
+        const length = buffer.readUInt16BE(offset + 2);
+
+        const isStartOfFrame = marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker);
+        if (isStartOfFrame) {
+            return { height: buffer.readUInt16BE(offset + 5), width: buffer.readUInt16BE(offset + 7) };
+        }
+        offset += 2 + length;
+    }
+    return null;
+}
+
+// Function to get { type, width, height } for a PNG, JPEG, GIF or WebP buffer, or null if unrecognised
+function getImageInfo(buffer) {
+    const type = detectImageType(buffer);
+    if (!type) return null;
+
+    const readers = {
+        png: getPngDimensions,
+        jpeg: getJpegDimensions,
+        gif: getGifDimensions,
+        webp: getWebpDimensions
+    };
+
+    const dimensions = readers[type](buffer);
+    return dimensions ? { type, ...dimensions } : { type, width: null, height: null };
+}
+
+module.exports = {
+    detectImageType,
+    getImageInfo
+};
@@ -0,0 +1,164 @@
+const { detectImageType } = require('./imageInfo');
+
+// Removes EXIF, XMP, IPTC and text metadata (camera, GPS location, timestamps) from uploaded
+// photos before they leave the server. Pixel data and ICC colour profiles are kept as they are.
+
+// JPEG segments holding metadata: APP1 (EXIF, XMP), APP13 (IPTC) and comments
+const JPEG_METADATA_MARKERS = [0xe1, 0xed, 0xfe];
+// PNG chunks holding metadata
+const PNG_METADATA_CHUNKS = ['eXIf', 'tEXt', 'zTXt', 'iTXt', 'tIME'];
+
+// Reads the EXIF Orientation tag (0x0112) from an APP1 segment body, or returns null
+function readExifOrientation(segment) {
+    if (segment.toString('ascii', 0, 6) !== 'Exif\0\0') return null;
+    const tiff = segment.subarray(6);
+    if (tiff.length < 8) return null;
+
+    const littleEndian = tiff.toString('ascii', 0, 2) === 'II';
+    const read16 = offset => littleEndian ? tiff.readUInt16LE(offset) : tiff.readUInt16BE(offset);
+    const read32 = offset => littleEndian ? tiff.readUInt32LE(offset) : tiff.readUInt32BE(offset);
+
+    const ifdOffset = read32(4);
+    if (ifdOffset + 2 > tiff.length) return null;
+    const entries = read16(ifdOffset);
+
+    for (let i = 0; i < entries; i++) {
+        const entry = ifdOffset + 2 + i * 12;
+        if (entry + 12 > tiff.length) return null;
+        if (read16(entry) === 0x0112) {
+            return read16(entry + 8);
+        }
+    }
+    return null;
+}
+
+// An APP1 segment carrying nothing but the orientation, so stripped photos still display upright
+function buildOrientationSegment(orientation) {
+    const body = Buffer.from([
+        0x45, 0x78, 0x69, 0x66, 0x00, 0x00, // "Exif\0\0"
+        0x4d, 0x4d, 0x00, 0x2a, 0x00, 0x00, 0x00, 0x08, // big-endian TIFF header, IFD0 at 8
+        0x00, 0x01, // one entry
+        0x01, 0x12, 0x00, 0x03, 0x00, 0x00, 0x00, 0x01, // Orientation, SHORT, count 1
+        0x00, orientation, 0x00, 0x00, // value
+        0x00, 0x00, 0x00, 0x00 // no next IFD
+    ]);
+    const header = Buffer.from([0xff, 0xe1, 0x00, 0x00]);
+    header.writeUInt16BE(body.length + 2, 2);
+    return Buffer.concat([header, body]);
+}
+
+function stripJpeg(buffer) {
+    const kept = [buffer.subarray(0, 2)];
+    let orientation = null;
+    // JFIF readers expect APP0 straight after SOI, so the orientation goes after any APP0 segments
+    let orientationAt = 1;
+    let offset = 2;
+
+    while (offset + 4 <= buffer.length) {
+        if (buffer[offset] !== 0xff) return null;
+        const marker = buffer[offset + 1];
+
+        // Start of scan: everything from here on is image data
+        if (marker === 0xda) {
+            break;
+        }
+        // Standalone markers carry no length
+        if (marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7)) {
+            kept.push(buffer.subarray(offset, offset + 2));
+            offset += 2;
+            continue;
+        }
+
+        const end = offset + 2 + buffer.readUInt16BE(offset + 2);
+        if (end > buffer.length) return null;
+
+        if (JPEG_METADATA_MARKERS.includes(marker)) {
+            if (marker === 0xe1 && orientation === null) {
+                orientation = readExifOrientation(buffer.subarray(offset + 4, end));
+            }
+        } else {
+            kept.push(buffer.subarray(offset, end));
+            if (marker === 0xe0 && orientationAt === kept.length - 1) {
+                orientationAt = kept.length;
+            }
+        }
+        offset = end;
+    }
+
+    if (orientation && orientation > 1 && orientation <= 8) {
+        kept.splice(orientationAt, 0, buildOrientationSegment(orientation));
+    }
+    kept.push(buffer.subarray(offset));
+    return Buffer.concat(kept);
+}
+
+function stripPng(buffer) {
+    const kept = [buffer.subarray(0, 8)];
+    let offset = 8;
+
+    while (offset + 12 <= buffer.length) {
+        const length = buffer.readUInt32BE(offset);
+        const type = buffer.toString('ascii', offset + 4, offset + 8);
+        const end = offset + 12 + length;
+        if (end > buffer.length) return null;
+
+        if (!PNG_METADATA_CHUNKS.includes(type)) {
+            kept.push(buffer.subarray(offset, end));
+        }
+        offset = end;
+        if (type === 'IEND') break;
+    }
+
+    return Buffer.concat(kept);
+}
+
+function stripWebp(buffer) {
+    const kept = [];
+    let offset = 12;
+
+    while (offset + 8 <= buffer.length) {
+        const type = buffer.toString('ascii', offset, offset + 4);
+        const size = buffer.readUInt32LE(offset + 4);
+        const end = offset + 8 + size + (size % 2);
+        if (offset + 8 + size > buffer.length) return null;
+
+        if (type === 'VP8X') {
+            // Clear the EXIF (0x08) and XMP (0x04) flags along with their chunks
+            const chunk = Buffer.from(buffer.subarray(offset, Math.min(end, buffer.length)));
+            chunk[8] &= ~(0x08 | 0x04);
+            kept.push(chunk);
+        } else if (type !== 'EXIF' && type !== 'XMP ') {
+            kept.push(buffer.subarray(offset, Math.min(end, buffer.length)));
+        }
+        offset = end;
+    }
+
+    const body = Buffer.concat(kept);
+    const header = Buffer.alloc(12);
+    header.write('RIFF', 0, 'ascii');
+    header.writeUInt32LE(body.length + 4, 4);
+    header.write('WEBP', 8, 'ascii');
+    return Buffer.concat([header, body]);
+}
+
+// Function to strip metadata from a PNG, JPEG or WebP image. GIFs have no EXIF block and are
+// returned unchanged. Returns null if the file is malformed.
+function stripImageMetadata(buffer) {
+    switch (detectImageType(buffer)) {
+        case 'jpeg':
+            return stripJpeg(buffer);
+        case 'png':
+            return stripPng(buffer);
+        case 'webp':
+            return stripWebp(buffer);
+        case 'gif':
+            return buffer;
+        default:
+            return null;
+    }
+}
+
+module.exports = {
+    readExifOrientation,
+    stripImageMetadata
+};
@@ -0,0 +1,96 @@
+const { getFeedbackStore, withRecordLock } = require('./feedbackStore');
+const {
+    DIRECT_UPLOAD_MAX_AGE_SECONDS,
+    destroyPhoto,
+    photoDeliveryType,
+    photoPublicId,
+    listFolderPhotos
+} = require('./feedbackPhotos');
+const { visiblePhotoUrls } = require('./feedbackStores/records');
+const feedbackOutbox = require('./feedbackOutbox');
+
+// Photos younger than this are never treated as orphans: direct uploads may still be attached to
+// a submission for DIRECT_UPLOAD_MAX_AGE_SECONDS, and server uploads may belong to a request in flight
+const ORPHAN_GRACE_SECONDS = DIRECT_UPLOAD_MAX_AGE_SECONDS * 2;
+
+// Function to delete one photo from a feedback record and from Cloudinary. Returns { record },
+// { notFound: true } or { photoNotFound: true }.
+function removePhoto(feedbackId, publicId) {
+    return withRecordLock(feedbackId, async () => {
+        const store = getFeedbackStore();
+        const record = await store.get(feedbackId);
+        if (!record) {
+            return { notFound: true };
+        }
+
+        const photo = record.photo_details.find(item => photoPublicId(item) === publicId);
+        if (!photo) {
+            return { photoNotFound: true };
+        }
+
+        // Rejected photos were deleted from Cloudinary when they were rejected
+        if (!photo.moderation || photo.moderation.status !== 'rejected') {
+            await destroyPhoto(publicId, photoDeliveryType(photo));
+        }
+
+        const photoDetails = record.photo_details.filter(item => item !== photo);
+        const updated = await store.update(feedbackId, {
+            photo_details: photoDetails,
+            photos: visiblePhotoUrls(photoDetails),
+            updated_at: new Date().toISOString()
+        });
+        return { record: updated };
+    });
+}
+
+// Function to compare the Cloudinary feedback folder with stored feedback and queued submissions.
+// Photos nobody references and older than the grace period are orphans; they are only deleted
+// when deleteOrphans is set. Returns a report:
+//   { scanned, referenced, orphans: [{ publicId, type, createdAt, bytes }], deleted, failed: [{ publicId, error }] }
+async function reconcilePhotos({ deleteOrphans = false, graceSeconds = ORPHAN_GRACE_SECONDS } = {}) {
+    // Read what's referenced before listing Cloudinary, so a photo attached meanwhile is either
+    // seen as referenced or too new to count
+    const [records, undeliveredIds] = await Promise.all([
+        getFeedbackStore().list(),
+        feedbackOutbox.listUndeliveredPhotoIds()
+    ]);
+    const referenced = new Set(undeliveredIds);
+    records.forEach(record => record.photo_details.forEach(photo => {
+        const publicId = photoPublicId(photo);
+        if (publicId) referenced.add(publicId);
+    }));
+
+    const folderPhotos = await listFolderPhotos();
+    const cutoff = Date.now() - graceSeconds * 1000;
+    const orphans = folderPhotos.filter(photo =>
+        !referenced.has(photo.publicId) && new Date(photo.createdAt).getTime() < cutoff
+    );
+
+    const report = {
+        scanned: folderPhotos.length,
+        referenced: referenced.size,
+        orphans,
+        deleted: 0,
+        failed: []
+    };
+
+    if (deleteOrphans) {
+        for (const orphan of orphans) {
+            try {
+                await destroyPhoto(orphan.publicId, orphan.type);
+                report.deleted++;
+            } catch (error) {
+                report.failed.push({ publicId: orphan.publicId, error: error.message });
+            }
+        }
+    }
+
+    console.log(`🧹 Photo reconciliation: ${folderPhotos.length} in Cloudinary, ${orphans.length} orphaned, ${report.deleted} deleted`);
+    return report;
+}
+
+module.exports = {
+    ORPHAN_GRACE_SECONDS,
+    removePhoto,
+    reconcilePhotos
+};
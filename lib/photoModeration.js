@@ -0,0 +1,126 @@
+const { getFeedbackStore, withRecordLock } = require('./feedbackStore');
+const { setPhotoDeliveryType, destroyPhoto, getReviewUrl } = require('./feedbackPhotos');
+const { visiblePhotoUrls } = require('./feedbackStores/records');
+
+// Every feedback photo is checked before its URL is exposed. The result is kept on the photo as
+//   moderation: { status, reason, checkedAt, reviewedBy, reviewedAt }
+// where status is 'approved', 'flagged' (quarantined until an admin reviews it) or 'rejected'.
+//
+// FEEDBACK_PHOTO_MODERATION picks the built-in check:
+//   off     approve everything (default)
+//   manual  hold every photo until an admin approves it
+// A custom check (e.g. an image moderation API) can be installed with setModerationHook().
+
+const MODERATION_MODES = ['off', 'manual'];
+
+let moderationHook = null;
+
+function getModerationMode() {
+    const mode = (process.env.FEEDBACK_PHOTO_MODERATION || 'off').toLowerCase();
+    return MODERATION_MODES.includes(mode) ? mode : 'off';
+}
+
+// Installs a check called as hook({ buffer, url, publicId, originalName }). `buffer` is set for
+// photos uploaded through the server and `url`, a signed link to the still-private copy, for
+// direct uploads. It should resolve to { flagged: boolean, reason }. Pass null to go back to
+// FEEDBACK_PHOTO_MODERATION.
+function setModerationHook(hook) {
+    moderationHook = hook;
+}
+
+// Function to check one photo. Returns the moderation result to store on it. A hook that throws
+// flags the photo, so a moderation outage can't let unchecked images through.
+async function moderatePhoto(photo) {
+    const checkedAt = new Date().toISOString();
+
+    if (moderationHook) {
+        try {
+            const verdict = await moderationHook(photo);
+            return verdict && verdict.flagged
+                ? { status: 'flagged', reason: verdict.reason || 'Flagged by moderation', checkedAt }
+                : { status: 'approved', checkedAt };
+        } catch (error) {
+            console.error(`Photo moderation failed for ${photo.originalName || photo.publicId}:`, error.message);
+            return { status: 'flagged', reason: `Moderation check failed: ${error.message}`, checkedAt };
+        }
+    }
+
+    return getModerationMode() === 'manual'
+        ? { status: 'flagged', reason: 'Waiting for manual review', checkedAt }
+        : { status: 'approved', checkedAt };
+}
+
+// Function to list photos waiting for review, longest-waiting first, with signed URLs admins can open
+async function listHeldPhotos() {
+    const records = await getFeedbackStore().list();
+    const held = [];
+
+    for (const record of records) {
+        for (const photo of record.photo_details) {
+            if (photo.moderation && photo.moderation.status === 'flagged') {
+                held.push({
+                    feedbackId: record.id,
+                    title: record.title,
+                    publicId: photo.public_id,
+                    originalName: photo.original_name || '',
+                    reason: photo.moderation.reason || '',
+                    flaggedAt: photo.moderation.checkedAt,
+                    reviewUrl: getReviewUrl(photo.public_id)
+                });
+            }
+        }
+    }
+
+    return held.sort((a, b) => (a.flaggedAt || '').localeCompare(b.flaggedAt || ''));
+}
+
+// Function to approve or reject a held photo. Approving makes it public again; rejecting deletes it
+// from Cloudinary and keeps only the moderation record. Returns { record }, { notFound: true },
+// { photoNotFound: true } or { error }.
+function reviewPhoto(feedbackId, publicId, decision, actor) {
+    return withRecordLock(feedbackId, async () => {
+        const store = getFeedbackStore();
+        const record = await store.get(feedbackId);
+        if (!record) {
+            return { notFound: true };
+        }
+
+        const index = record.photo_details.findIndex(photo => photo.public_id === publicId);
+        if (index === -1) {
+            return { photoNotFound: true };
+        }
+        const photo = record.photo_details[index];
+        if (!photo.moderation || photo.moderation.status !== 'flagged') {
+            return { error: `Photo is not waiting for review (status: ${photo.moderation ? photo.moderation.status : 'approved'})` };
+        }
+
+        const now = new Date().toISOString();
+        const reviewed = { ...photo, moderation: { ...photo.moderation, reviewedBy: actor, reviewedAt: now } };
+
+        if (decision === 'approve') {
+            reviewed.url = await setPhotoDeliveryType(publicId, 'authenticated', 'upload');
+            reviewed.moderation.status = 'approved';
+        } else {
+            await destroyPhoto(publicId, 'authenticated');
+            reviewed.url = '';
+            reviewed.moderation.status = 'rejected';
+        }
+
+        const photoDetails = record.photo_details.map((existing, i) => i === index ? reviewed : existing);
+        const updated = await store.update(feedbackId, {
+            photo_details: photoDetails,
+            photos: visiblePhotoUrls(photoDetails),
+            updated_at: now
+        });
+        return { record: updated };
+    });
+}
+
+module.exports = {
+    MODERATION_MODES,
+    getModerationMode,
+    setModerationHook,
+    moderatePhoto,
+    listHeldPhotos,
+    reviewPhoto
+};
@@ -0,0 +1,226 @@
+const fs = require('fs');
+const path = require('path');
+const NotificationDelivery = require('../models/NotificationDelivery');
+const deviceStore = require('./deviceStore');
+
+const ICON_TOPIC = process.env.FCM_ICON_TOPIC || 'icon-changes';
+
+// Anything shaped like firebase-admin's Messaging (send, sendEachForMulticast, subscribeToTopic,
+// unsubscribeFromTopic), or a fake in tests
+let messagingClient;
+
+function setMessagingClient(client) {
+    messagingClient = client;
+}
+
+// Function to load Firebase service account credentials from FIREBASE_SERVICE_ACCOUNT (base64 JSON)
+// or from the file named by FIREBASE_CREDENTIALS_PATH
+function loadFirebaseCredentials() {
+    if (process.env.FIREBASE_SERVICE_ACCOUNT) {
+        return JSON.parse(Buffer.from(process.env.FIREBASE_SERVICE_ACCOUNT, 'base64').toString('utf8'));
+    }
+
+    if (process.env.FIREBASE_CREDENTIALS_PATH) {
+        const credentialsPath = path.resolve(process.env.FIREBASE_CREDENTIALS_PATH);
+        return JSON.parse(fs.readFileSync(credentialsPath, 'utf8'));
+    }
+
+    return null;
+}
+
+// Lazily builds the firebase-admin client the first time a message is sent
+function getMessagingClient() {
+    if (messagingClient !== undefined) {
+        return messagingClient;
+    }
+
+    const credentials = loadFirebaseCredentials();
+    if (!credentials) {
+        console.log('⚠️  Firebase is not configured; push notifications are disabled');
+        messagingClient = null;
+        return messagingClient;
+    }
+
+    const admin = require('firebase-admin');
+    const firebaseApp = admin.initializeApp({
+        credential: admin.credential.cert(credentials)
+    }, 'push-notifications');
+    messagingClient = admin.messaging(firebaseApp);
+    return messagingClient;
+}
+
+// Function to build the icon-change push. It is only a signal to refetch GET /api/app/current-icon:
+// targeting rules can give each device a different icon, so the payload never names one.
+function buildIconChangeMessage(icon) {
+    // FCM data payloads only carry strings
+    return {
+        topic: ICON_TOPIC,
+        data: {
+            type: 'ICON_CHANGED',
+            changedAt: new Date(icon.lastUpdated || Date.now()).toISOString()
+        },
+        android: {
+            priority: 'high'
+        },
+        apns: {
+            headers: { 'apns-priority': '5' },
+            payload: { aps: { 'content-available': 1 } }
+        }
+    };
+}
+
+async function recordDelivery(delivery) {
+    try {
+        await NotificationDelivery.create(delivery);
+    } catch (error) {
+        console.error('❌ Failed to record notification delivery:', error);
+    }
+}
+
+// Function to push an icon change to every app subscribed to the icon topic.
+// Never throws: the outcome is logged and stored as a NotificationDelivery.
+async function sendIconChange(icon) {
+    const message = buildIconChangeMessage(icon);
+    const delivery = {
+        channel: 'fcm',
+        event: 'ICON_CHANGED',
+        target: `topic:${message.topic}`,
+        iconName: icon.iconName
+    };
+
+    let client;
+    try {
+        client = getMessagingClient();
+    } catch (error) {
+        console.error('❌ Failed to initialize Firebase messaging:', error);
+        await recordDelivery({ ...delivery, status: 'failed', error: error.message });
+        return { status: 'failed', error: error.message };
+    }
+
+    if (!client) {
+        await recordDelivery({ ...delivery, status: 'skipped', error: 'Firebase is not configured' });
+        return { status: 'skipped' };
+    }
+
+    try {
+        const messageId = await client.send(message);
+        console.log(`📲 Push sent to topic '${message.topic}': ${messageId}`);
+        await recordDelivery({ ...delivery, status: 'sent', messageId });
+        return { status: 'sent', messageId };
+    } catch (error) {
+        console.error('❌ Push notification failed:', error);
+        await recordDelivery({ ...delivery, status: 'failed', error: error.message });
+        return { status: 'failed', error: error.message };
+    }
+}
+
+// FCM error codes that mean the token will never work again
+const STALE_TOKEN_ERRORS = [
+    'messaging/registration-token-not-registered',
+    'messaging/invalid-registration-token'
+];
+
+// Function to push an icon change to a set of registered devices rather than the whole topic.
+// Tokens FCM reports as stale are removed from the device registry.
+async function sendIconChangeToDevices(icon, pushTokens) {
+    const { topic, ...message } = buildIconChangeMessage(icon);
+    const delivery = {
+        channel: 'fcm',
+        event: 'ICON_CHANGED',
+        target: `devices:${pushTokens.length}`,
+        iconName: icon.iconName
+    };
+
+    let client;
+    try {
+        client = getMessagingClient();
+    } catch (error) {
+        console.error('❌ Failed to initialize Firebase messaging:', error);
+        await recordDelivery({ ...delivery, status: 'failed', error: error.message });
+        return { status: 'failed', error: error.message };
+    }
+
+    if (!client || pushTokens.length === 0) {
+        const reason = client ? 'No matching devices' : 'Firebase is not configured';
+        await recordDelivery({ ...delivery, status: 'skipped', error: reason });
+        return { status: 'skipped' };
+    }
+
+    let successCount = 0;
+    const staleTokens = [];
+    const errors = [];
+
+    try {
+        // sendEachForMulticast accepts at most 500 tokens per call
+        for (let i = 0; i < pushTokens.length; i += 500) {
+            const tokens = pushTokens.slice(i, i + 500);
+            const response = await client.sendEachForMulticast({ ...message, tokens });
+            successCount += response.successCount;
+            response.responses.forEach((result, index) => {
+                if (result.success) return;
+                if (STALE_TOKEN_ERRORS.includes(result.error && result.error.code)) {
+                    staleTokens.push(tokens[index]);
+                } else if (result.error) {
+                    errors.push(result.error.message);
+                }
+            });
+        }
+    } catch (error) {
+        console.error('❌ Push notification failed:', error);
+        await recordDelivery({ ...delivery, status: 'failed', error: error.message });
+        return { status: 'failed', error: error.message };
+    }
+
+    const removed = await deviceStore.removePushTokens(staleTokens);
+    const failureCount = pushTokens.length - successCount;
+    console.log(`📲 Push sent to ${successCount}/${pushTokens.length} devices (${removed} stale tokens removed)`);
+
+    await recordDelivery({
+        ...delivery,
+        status: successCount > 0 ? 'sent' : 'failed',
+        successCount,
+        failureCount,
+        error: errors.length > 0 ? errors.slice(0, 5).join('; ') : undefined
+    });
+
+    return { status: successCount > 0 ? 'sent' : 'failed', successCount, failureCount, removedTokens: removed };
+}
+
+// Functions to keep the icon topic in sync with the device registry. Failures are logged, not thrown,
+// so a Firebase outage never blocks device registration.
+async function subscribeToIconTopic(pushToken) {
+    try {
+        const client = getMessagingClient();
+        if (client) {
+            await client.subscribeToTopic([pushToken], ICON_TOPIC);
+        }
+    } catch (error) {
+        console.error('❌ Failed to subscribe device to icon topic:', error);
+    }
+}
+
+async function unsubscribeFromIconTopic(pushToken) {
+    try {
+        const client = getMessagingClient();
+        if (client) {
+            await client.unsubscribeFromTopic([pushToken], ICON_TOPIC);
+        }
+    } catch (error) {
+        console.error('❌ Failed to unsubscribe device from icon topic:', error);
+    }
+}
+
+async function getRecentDeliveries(limit = 50) {
+    return NotificationDelivery.find().sort({ createdAt: -1 }).limit(limit).lean();
+}
+
+module.exports = {
+    ICON_TOPIC,
+    setMessagingClient,
+    buildIconChangeMessage,
+    sendIconChange,
+    sendIconChangeToDevices,
+    subscribeToIconTopic,
+    unsubscribeFromIconTopic,
+    getRecentDeliveries
+};
@@ -0,0 +1,100 @@
+// Counter store for rate limits and duplicate detection. The interface is the subset of Redis
+// commands used, with Redis semantics, so an ioredis or node-redis v4 client can be passed to
+// setRateLimitStore() as is when the API runs on several instances:
+//   incr(key)                          add 1 (starting from 0) and return the new value
+//   decr(key)                          subtract 1 (starting from 0) and return the new value
+//   pexpire(key, ms)                   expire the key after ms milliseconds
+//   pttl(key)                          milliseconds left, -1 without expiry, -2 if missing
+//   set(key, value, 'PX', ms, 'NX')    set only if missing; 'OK', or null if it already existed
+//   del(key)                           remove the key
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+// In-memory store for a single instance (the default). Expired keys are swept once a minute.
+function createMemoryStore() {
+    const entries = new Map();
+
+    function read(key) {
+        const entry = entries.get(key);
+        if (entry && entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+            entries.delete(key);
+            return null;
+        }
+        return entry || null;
+    }
+
+    const sweeper = setInterval(() => {
+        const now = Date.now();
+        entries.forEach((entry, key) => {
+            if (entry.expiresAt !== null && entry.expiresAt <= now) entries.delete(key);
+        });
+    }, SWEEP_INTERVAL_MS);
+    sweeper.unref();
+
+    return {
+        async incr(key) {
+            const entry = read(key);
+            if (entry) {
+                entry.value = Number(entry.value) + 1;
+                return entry.value;
+            }
+            entries.set(key, { value: 1, expiresAt: null });
+            return 1;
+        },
+
+        async decr(key) {
+            const entry = read(key);
+            if (entry) {
+                entry.value = Number(entry.value) - 1;
+                return entry.value;
+            }
+            entries.set(key, { value: -1, expiresAt: null });
+            return -1;
+        },
+
+        async pexpire(key, ms) {
+            const entry = read(key);
+            if (!entry) return 0;
+            entry.expiresAt = Date.now() + ms;
+            return 1;
+        },
+
+        async pttl(key) {
+            const entry = read(key);
+            if (!entry) return -2;
+            return entry.expiresAt === null ? -1 : entry.expiresAt - Date.now();
+        },
+
+        async set(key, value, mode, ms, condition) {
+            if (condition === 'NX' && read(key)) {
+                return null;
+            }
+            entries.set(key, { value, expiresAt: mode === 'PX' ? Date.now() + ms : null });
+            return 'OK';
+        },
+
+        async del(key) {
+            return entries.delete(key) ? 1 : 0;
+        }
+    };
+}
+
+let activeStore = null;
+
+function getRateLimitStore() {
+    if (!activeStore) {
+        activeStore = createMemoryStore();
+    }
+    return activeStore;
+}
+
+// Swap in a shared store (e.g. a Redis client) or a fresh one in tests
+function setRateLimitStore(store) {
+    activeStore = store;
+}
+
+module.exports = {
+    createMemoryStore,
+    getRateLimitStore,
+    setRateLimitStore
+};
@@ -0,0 +1,363 @@
+const { MAX_PHOTOS_PER_FEEDBACK } = require('./feedbackPhotos');
+const { HONEYPOT_FIELD } = require('./feedbackSpamGuard');
+const { SORT_FIELDS, MAX_LIMIT: MAX_FEEDBACK_LIMIT } = require('./feedbackQuery');
+const { STATUSES, LABEL_PATTERN, MAX_LABELS, MAX_ASSIGNEE_LENGTH, MAX_NOTE_LENGTH } = require('./feedbackTriage');
+const { EXPORT_FORMATS } = require('./feedbackExport');
+const { PLATFORMS } = require('./iconTargeting');
+const { FALLBACK_ICON_NAME } = require('./iconStore');
+const { ERASURE_MODES } = require('./userData');
+
+// Request schemas for every route that takes a body or query string, checked by
+// validateRequest() in lib/requestValidation.js (which documents the rule options).
+// Rules that need the database, like whether an icon exists, stay in the routes.
+
+const MAX_TITLE_LENGTH = 200;
+const MAX_DESCRIPTION_LENGTH = 5000;
+const MAX_NAME_LENGTH = 100;
+const MAX_ICON_NAME_LENGTH = 64;
+const MAX_USER_ID_LENGTH = 128;
+const MAX_EMAIL_LENGTH = 254;
+const MAX_REASON_LENGTH = 500;
+
+const CAMPAIGN_STATUSES = ['upcoming', 'active', 'ended', 'cancelled'];
+const OUTBOX_STATUSES = ['pending', 'delivered', 'dead'];
+
+const userId = { type: 'string', trim: true, maxLength: MAX_USER_ID_LENGTH };
+const emailId = { type: 'string', trim: true, maxLength: MAX_EMAIL_LENGTH, format: 'email' };
+const reason = { type: 'string', trim: true, maxLength: MAX_REASON_LENGTH };
+const iconName = { type: 'string', required: true, maxLength: MAX_ICON_NAME_LENGTH };
+const otherIconName = { type: 'string', minLength: 1, maxLength: MAX_ICON_NAME_LENGTH };
+const iconUrl = { type: 'string', minLength: 1, maxLength: 2048, format: 'url' };
+const page = { type: 'integer', min: 1, default: 1 };
+
+function limit(defaultLimit, maxLimit) {
+    return { type: 'integer', min: 1, max: maxLimit, default: defaultLimit };
+}
+
+// Targeting context, as sent by apps (query) or to the rules preview (body)
+const targetingContext = {
+    platform: { type: 'string', trim: true, maxLength: 20 },
+    appVersion: { type: 'string', trim: true, maxLength: 32 },
+    country: { type: 'string', trim: true, maxLength: 8 },
+    locale: { type: 'string', trim: true, maxLength: 35 },
+    userId
+};
+
+// ---- Feedback ----
+
+const feedbackListQuery = {
+    from: { type: 'string', format: 'date' },
+    to: { type: 'string', format: 'date' },
+    userId,
+    emailId: { type: 'string', trim: true, maxLength: MAX_EMAIL_LENGTH },
+    q: { type: 'string', maxLength: 200 },
+    hasPhotos: { type: 'boolean' },
+    status: { type: 'string', maxLength: 100 },
+    assignee: { type: 'string', maxLength: MAX_ASSIGNEE_LENGTH },
+    label: { type: 'string', maxLength: 32 },
+    sort: { type: 'string', enum: SORT_FIELDS.flatMap(field => [field, `-${field}`]) },
+    limit: { type: 'integer', min: 1, max: MAX_FEEDBACK_LIMIT },
+    page: { type: 'integer', min: 1 },
+    cursor: { type: 'string', maxLength: 500 }
+};
+
+const feedback = {
+    uploadSignature: {
+        body: {
+            count: { type: 'integer', min: 1, max: MAX_PHOTOS_PER_FEEDBACK, default: 1 }
+        }
+    },
+    // customDate and customTimestamp back-date a submission, e.g. one made offline
+    submit: {
+        body: {
+            title: { type: 'string', required: true, trim: true, maxLength: MAX_TITLE_LENGTH },
+            description: { type: 'string', required: true, trim: true, maxLength: MAX_DESCRIPTION_LENGTH },
+            userId,
+            emailId,
+            customDate: { type: 'string', format: 'date' },
+            customTimestamp: { type: 'string', format: 'date-time' },
+            uploadedPhotos: { type: 'array', maxItems: MAX_PHOTOS_PER_FEEDBACK },
+            formToken: { type: 'string', maxLength: 200 },
+            [HONEYPOT_FIELD]: { type: 'string' }
+        }
+    },
+    list: {
+        query: feedbackListQuery
+    },
+    export: {
+        query: {
+            ...feedbackListQuery,
+            format: { type: 'string', enum: Object.keys(EXPORT_FORMATS), default: 'csv' }
+        }
+    },
+    triage: {
+        body: {
+            status: { type: 'string', enum: STATUSES },
+            assignee: { type: 'string', nullable: true, trim: true, maxLength: MAX_ASSIGNEE_LENGTH },
+            labels: {
+                type: 'array',
+                maxItems: MAX_LABELS,
+                items: {
+                    type: 'string',
+                    trim: true,
+                    lowercase: true,
+                    minLength: 1,
+                    pattern: LABEL_PATTERN,
+                    patternMessage: "must be up to 32 letters, digits, spaces, '-' or '_'"
+                }
+            }
+        }
+    },
+    addNote: {
+        body: {
+            text: { type: 'string', required: true, trim: true, maxLength: MAX_NOTE_LENGTH }
+        }
+    }
+};
+
+// ---- Admin auth ----
+
+const adminAuth = {
+    login: {
+        body: {
+            username: { type: 'string', required: true, maxLength: MAX_NAME_LENGTH },
+            password: { type: 'string', required: true, maxLength: 200 }
+        }
+    },
+    refresh: {
+        body: {
+            refreshToken: { type: 'string', required: true, maxLength: 2048 }
+        }
+    },
+    createUser: {
+        body: {
+            username: { type: 'string', required: true, trim: true, maxLength: MAX_NAME_LENGTH },
+            password: { type: 'string', required: true, minLength: 8, maxLength: 200 }
+        }
+    }
+};
+
+// ---- Icons ----
+
+const iconContextQuery = {
+    ...targetingContext,
+    density: { type: 'string', trim: true, maxLength: 20 }
+};
+
+const icons = {
+    currentIcon: {
+        query: iconContextQuery
+    },
+    stream: {
+        query: {
+            ...iconContextQuery,
+            lastEventId: { type: 'string', maxLength: 100 }
+        }
+    },
+    // `target` limits the push notification to matching devices
+    activate: {
+        body: {
+            iconName,
+            reason,
+            target: {
+                type: 'object',
+                properties: {
+                    platform: { type: 'string', lowercase: true, enum: PLATFORMS },
+                    appVersion: targetingContext.appVersion,
+                    locale: targetingContext.locale,
+                    userId,
+                    seenSince: { type: 'string', format: 'date-time' }
+                }
+            }
+        }
+    },
+    history: {
+        query: {
+            page,
+            limit: limit(20, 100),
+            iconName: { type: 'string', maxLength: MAX_ICON_NAME_LENGTH }
+        }
+    },
+    rollback: {
+        body: {
+            reason
+        }
+    },
+    notifications: {
+        query: {
+            limit: limit(50, 200)
+        }
+    },
+    // Multipart requests send `variants` as a JSON string
+    add: {
+        body: {
+            iconName,
+            displayName: { type: 'string', required: true, trim: true, maxLength: MAX_NAME_LENGTH },
+            iconUrl,
+            variants: { type: 'object' }
+        }
+    },
+    update: {
+        body: {
+            displayName: { type: 'string', trim: true, minLength: 1, maxLength: MAX_NAME_LENGTH },
+            iconUrl,
+            variants: { type: 'object' },
+            newIconName: otherIconName,
+            replacementIconName: otherIconName
+        }
+    },
+    remove: {
+        body: {
+            replacementIconName: otherIconName
+        },
+        query: {
+            replacement: otherIconName
+        }
+    }
+};
+
+// ---- Campaigns ----
+
+const campaigns = {
+    // startAt and endAt without an offset are read in `timezone`
+    create: {
+        body: {
+            name: { type: 'string', required: true, trim: true, maxLength: MAX_NAME_LENGTH },
+            iconName,
+            startAt: { type: 'string', required: true, format: 'date-time' },
+            endAt: { type: 'string', required: true, format: 'date-time' },
+            timezone: { type: 'string', maxLength: 64, default: 'UTC' },
+            priority: { type: 'integer', default: 0 },
+            fallbackIconName: { ...otherIconName, default: FALLBACK_ICON_NAME }
+        }
+    },
+    list: {
+        query: {
+            status: { type: 'string', enum: CAMPAIGN_STATUSES }
+        }
+    }
+};
+
+// ---- Targeting rules ----
+
+const listOf = (item, maxItems = 50) => ({ type: 'array', maxItems, items: { type: 'string', trim: true, minLength: 1, ...item } });
+const version = { type: 'string', pattern: /^\d+(\.\d+)*$/, patternMessage: 'must be a dotted version such as 2.4.0' };
+
+const ruleConditions = {
+    type: 'object',
+    properties: {
+        platforms: listOf({ lowercase: true, enum: PLATFORMS }),
+        minAppVersion: version,
+        maxAppVersion: version,
+        countries: listOf({ uppercase: true, pattern: /^[A-Z]{2}$/, patternMessage: 'must be a two-letter country code' }, 300),
+        locales: listOf({ lowercase: true, pattern: /^[a-z]{2,3}([-_][a-z0-9]{2,8})*$/, patternMessage: 'must be a language tag such as en or pt-br' }),
+        rolloutPercentage: { type: 'number', min: 0, max: 100 }
+    }
+};
+
+function ruleBody({ partial }) {
+    return {
+        name: { type: 'string', required: !partial, trim: true, minLength: 1, maxLength: MAX_NAME_LENGTH },
+        iconName: partial ? otherIconName : iconName,
+        priority: { type: 'integer' },
+        enabled: { type: 'boolean' },
+        // A new conditions object replaces the old one; a new rule without it matches everyone
+        conditions: partial ? ruleConditions : { ...ruleConditions, default: {} }
+    };
+}
+
+const iconRules = {
+    create: {
+        body: ruleBody({ partial: false })
+    },
+    update: {
+        body: ruleBody({ partial: true })
+    },
+    preview: {
+        body: targetingContext
+    }
+};
+
+// ---- Devices ----
+
+const devices = {
+    register: {
+        body: {
+            pushToken: { type: 'string', required: true, maxLength: 4096 },
+            platform: { type: 'string', required: true, lowercase: true, enum: PLATFORMS },
+            appVersion: targetingContext.appVersion,
+            locale: targetingContext.locale,
+            userId
+        }
+    },
+    list: {
+        query: {
+            platform: { type: 'string', lowercase: true, enum: PLATFORMS },
+            appVersion: targetingContext.appVersion,
+            locale: targetingContext.locale,
+            userId,
+            seenSince: { type: 'string', format: 'date-time' },
+            page,
+            limit: limit(50, 200)
+        }
+    }
+};
+
+// ---- User data ----
+
+const userData = {
+    ownFeedback: {
+        query: {
+            sort: feedbackListQuery.sort,
+            limit: feedbackListQuery.limit,
+            page: feedbackListQuery.page,
+            cursor: feedbackListQuery.cursor
+        }
+    },
+    export: {
+        query: {
+            emailId
+        }
+    },
+    erase: {
+        body: {
+            mode: { type: 'string', required: true, enum: ERASURE_MODES },
+            emailId,
+            reason
+        }
+    },
+    receipts: {
+        query: {
+            userId,
+            limit: limit(50, 200)
+        }
+    }
+};
+
+// ---- Feedback outbox and photos ----
+
+const feedbackOutbox = {
+    list: {
+        query: {
+            status: { type: 'string', enum: OUTBOX_STATUSES },
+            limit: limit(50, 200)
+        }
+    },
+    // Orphaned photos are only reported unless `delete` is true
+    reconcilePhotos: {
+        body: {
+            delete: { type: 'boolean', default: false }
+        }
+    }
+};
+
+module.exports = {
+    feedback,
+    adminAuth,
+    icons,
+    campaigns,
+    iconRules,
+    devices,
+    userData,
+    feedbackOutbox
+};
@@ -0,0 +1,234 @@
+const moment = require('moment');
+
+// Declarative checks for request bodies and query strings (the schemas are in lib/requestSchemas.js).
+// A schema maps each accepted field to a rule:
+//   type                  'string' | 'integer' | 'number' | 'boolean' | 'array' | 'object'
+//   required              must be present, and for strings not blank
+//   nullable              null is accepted as is
+//   default               used when the field is missing
+//   trim, lowercase, uppercase   string normalization, applied before the checks below
+//   minLength, maxLength, enum, pattern (+ patternMessage), format
+//   min, max              number range
+//   items, maxItems       array elements (items is the rule for each element)
+//   properties            object fields (a nested schema); without it any object is accepted
+// Formats: 'email', 'date' (YYYY-MM-DD), 'date-time' (ISO 8601), 'url' (http(s) or a path from /).
+// Optional strings may be empty; enum, pattern and format only apply to non-empty values.
+//
+// Fields a schema doesn't list are dropped. Query strings and multipart form fields only carry
+// strings, so there numbers and booleans are parsed, and arrays and objects are read as JSON.
+
+const EMAIL_PATTERN = /^[^\s@<>(),;:"]+@[^\s@<>(),;:"]+\.[^\s@<>(),;:"]+$/;
+
+const FORMATS = {
+    email: {
+        test: value => EMAIL_PATTERN.test(value),
+        message: 'must be a valid email address'
+    },
+    date: {
+        test: value => moment(value, 'YYYY-MM-DD', true).isValid(),
+        message: 'must be a date in YYYY-MM-DD format'
+    },
+    'date-time': {
+        test: value => moment(value, moment.ISO_8601, true).isValid(),
+        message: 'must be an ISO 8601 date and time (e.g. 2025-09-22T10:30:00Z)'
+    },
+    url: {
+        test: value => /^https?:\/\/[^\s/]+\S*$/.test(value) || /^\/\S*$/.test(value),
+        message: 'must be an http(s) URL or a path starting with /'
+    }
+};
+
+function isPlainObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+// Function to read a form or query string as the type the rule expects. Values that don't
+// parse are returned unchanged, so the type check reports them.
+function coerceString(rule, value) {
+    if (typeof value !== 'string') {
+        return value;
+    }
+
+    switch (rule.type) {
+        case 'integer':
+        case 'number':
+            return value.trim() !== '' && !Number.isNaN(Number(value)) ? Number(value) : value;
+        case 'boolean':
+            return value === 'true' ? true : value === 'false' ? false : value;
+        case 'array':
+        case 'object':
+            try {
+                return JSON.parse(value);
+            } catch (parseError) {
+                return value;
+            }
+        default:
+            return value;
+    }
+}
+
+function checkString(rule, value, fail) {
+    if (typeof value !== 'string') return fail('must be a string');
+    if (rule.trim) value = value.trim();
+    if (rule.lowercase) value = value.toLowerCase();
+    if (rule.uppercase) value = value.toUpperCase();
+
+    if (value === '' && rule.required) return fail('is required');
+    if (rule.minLength !== undefined && value.length < rule.minLength) {
+        return fail(rule.minLength === 1 ? 'must not be empty' : `must be at least ${rule.minLength} characters`);
+    }
+    if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+        return fail(`must be at most ${rule.maxLength} characters`);
+    }
+    if (value === '') return value;
+
+    if (rule.enum && !rule.enum.includes(value)) return fail(`must be one of: ${rule.enum.join(', ')}`);
+    if (rule.pattern && !rule.pattern.test(value)) return fail(rule.patternMessage || 'has an invalid format');
+    if (rule.format && !FORMATS[rule.format].test(value)) return fail(FORMATS[rule.format].message);
+    return value;
+}
+
+function checkNumber(rule, value, fail) {
+    if (typeof value !== 'number' || !Number.isFinite(value) || (rule.type === 'integer' && !Number.isInteger(value))) {
+        return fail(rule.type === 'integer' ? 'must be a whole number' : 'must be a number');
+    }
+
+    const outOfRange = (rule.min !== undefined && value < rule.min) || (rule.max !== undefined && value > rule.max);
+    if (outOfRange) {
+        if (rule.min !== undefined && rule.max !== undefined) return fail(`must be from ${rule.min} to ${rule.max}`);
+        return fail(rule.min !== undefined ? `must be at least ${rule.min}` : `must be at most ${rule.max}`);
+    }
+    return value;
+}
+
+// Function to check one value against its rule. Returns the normalized value, or undefined
+// after adding an error.
+function checkValue(rule, value, field, coerce, errors) {
+    const fail = message => {
+        errors.push({ field, message: `${field} ${message}` });
+        return undefined;
+    };
+
+    if (value === null && rule.nullable) {
+        return null;
+    }
+    if (coerce) {
+        value = coerceString(rule, value);
+        if ((rule.type === 'array' || rule.type === 'object') && typeof value === 'string') {
+            return fail('must be valid JSON');
+        }
+    }
+
+    switch (rule.type) {
+        case 'string':
+            return checkString(rule, value, fail);
+        case 'integer':
+        case 'number':
+            return checkNumber(rule, value, fail);
+        case 'boolean':
+            return typeof value === 'boolean' ? value : fail('must be true or false');
+        case 'array': {
+            if (!Array.isArray(value)) return fail('must be an array');
+            if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+                return fail(`must have at most ${rule.maxItems} items`);
+            }
+            if (!rule.items) return value;
+            const errorCount = errors.length;
+            const items = value.map((item, index) => checkValue(rule.items, item, `${field}[${index}]`, false, errors));
+            return errors.length === errorCount ? items : undefined;
+        }
+        case 'object':
+            if (!isPlainObject(value)) return fail('must be an object');
+            return rule.properties ? checkFields(rule.properties, value, `${field}.`, false, errors) : value;
+        default:
+            throw new Error(`Unknown schema type '${rule.type}' for ${field}`);
+    }
+}
+
+function checkFields(schema, input, prefix, coerce, errors) {
+    const value = {};
+    for (const [name, rule] of Object.entries(schema)) {
+        const field = prefix + name;
+        let given = Object.prototype.hasOwnProperty.call(input, name) ? input[name] : undefined;
+        // An empty form or query field (?limit=) means "not given" unless a string is expected
+        if (coerce && given === '' && rule.type !== 'string') {
+            given = undefined;
+        }
+
+        if (given === undefined) {
+            if (rule.required) {
+                errors.push({ field, message: `${field} is required` });
+            } else if (rule.default !== undefined) {
+                value[name] = rule.default;
+            }
+            continue;
+        }
+
+        const checked = checkValue(rule, given, field, coerce, errors);
+        if (checked !== undefined) {
+            value[name] = checked;
+        }
+    }
+    return value;
+}
+
+// Function to check input against a schema. Returns { value, errors }, where value holds the
+// listed fields, normalized, and errors is [{ field, message }].
+function validate(schema, input, { coerce = false } = {}) {
+    const errors = [];
+    const value = checkFields(schema, isPlainObject(input) ? input : {}, '', coerce, errors);
+    return { value, errors };
+}
+
+// Every error response shares one envelope: { success: false, error, message, ...extra }, where
+// `error` is a short fixed summary clients can branch on (e.g. 'Icon not found') and `message`
+// explains this case. `extra` carries anything a client needs to resolve it, like the campaigns
+// blocking a deletion.
+function sendError(res, status, error, message, extra = {}) {
+    return res.status(status).json({
+        success: false,
+        error,
+        message,
+        ...extra
+    });
+}
+
+// The one 400 response for bad input, shared by the feedback and icon APIs. `details` lists every
+// failing field as { location: 'body' | 'query' | 'params', field, message }.
+function sendValidationError(res, details) {
+    return sendError(res, 400, 'Validation failed', details.map(detail => detail.message).join('; '), { details });
+}
+
+// Middleware factory checking req.body and/or req.query against schemas ({ body, query }).
+// On success the normalized values replace the originals; otherwise a 400 is sent.
+function validateRequest({ body, query }) {
+    return (req, res, next) => {
+        const details = [];
+
+        if (body) {
+            const result = validate(body, req.body, { coerce: Boolean(req.is('multipart/form-data')) });
+            result.errors.forEach(error => details.push({ location: 'body', ...error }));
+            req.body = result.value;
+        }
+
+        if (query) {
+            const result = validate(query, req.query, { coerce: true });
+            result.errors.forEach(error => details.push({ location: 'query', ...error }));
+            // Express 5 only has a getter for req.query, so the checked copy is set on the request itself
+            Object.defineProperty(req, 'query', { value: result.value, enumerable: true, configurable: true, writable: true });
+        }
+
+        if (details.length > 0) {
+            console.log(`❌ Invalid request to ${req.method} ${req.path}:`, details.map(detail => detail.message).join('; '));
+            return sendValidationError(res, details);
+        }
+        next();
+    };
+}
+
+module.exports = {
+    validate,
+    validateRequest,
+    sendError,
+    sendValidationError
+};
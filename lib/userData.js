@@ -0,0 +1,186 @@
+const crypto = require('crypto');
+const ErasureReceipt = require('../models/ErasureReceipt');
+const { getFeedbackStore, withRecordLock } = require('./feedbackStore');
+const { destroyPhoto, photoDeliveryType, photoPublicId, withoutHeldPhotos } = require('./feedbackPhotos');
+const feedbackOutbox = require('./feedbackOutbox');
+const deviceStore = require('./deviceStore');
+
+// Everything this API holds about an app user, found by userId and optionally by email:
+//   feedback rows in the feedback store, with their Cloudinary photos
+//   submissions still in the feedback outbox
+//   device registrations carrying the userId
+
+const ERASURE_MODES = ['delete', 'anonymize'];
+
+// Keyed hash of a user identifier for erasure receipts. ERASURE_HASH_SECRET has its own key so
+// rotating JWT_SECRET doesn't orphan receipts; it should stay fixed, otherwise old receipts can no
+// longer be matched to a user.
+function hashIdentifier(value) {
+    const secret = process.env.ERASURE_HASH_SECRET;
+    if (!secret) {
+        throw new Error('ERASURE_HASH_SECRET must be configured');
+    }
+    return crypto.createHmac('sha256', secret).update(value.trim().toLowerCase()).digest('hex');
+}
+
+function matchesUser(record, { userId, emailId }) {
+    return record.user_id === userId
+        || Boolean(emailId && record.email_id.toLowerCase() === emailId.toLowerCase());
+}
+
+async function findUserFeedback(user) {
+    const records = await getFeedbackStore().list();
+    return records.filter(record => matchesUser(record, user));
+}
+
+// What a user sees of their own feedback: no internal notes, assignee or labels, and only
+// photos that passed moderation
+function toUserFeedback(record) {
+    const visible = withoutHeldPhotos(record);
+    return {
+        id: record.id,
+        title: record.title,
+        description: record.description,
+        photos: visible.photo_details.map(photo => ({ url: photo.url, width: photo.width, height: photo.height })),
+        date: record.date,
+        timestamp: record.timestamp,
+        status: record.status,
+        updated_at: record.updated_at
+    };
+}
+
+// Function to gather everything held about a user, for a data access request
+async function exportUserData(user) {
+    const [feedback, outboxEntries, { devices }, receipts] = await Promise.all([
+        findUserFeedback(user),
+        feedbackOutbox.listUserEntries(user),
+        deviceStore.listDevices({ userId: user.userId }, { limit: 1000 }),
+        ErasureReceipt.find({ userIdHash: hashIdentifier(user.userId) }).sort({ completedAt: -1 }).lean()
+    ]);
+
+    return {
+        userId: user.userId,
+        emailId: user.emailId || null,
+        generatedAt: new Date().toISOString(),
+        feedback,
+        pendingSubmissions: outboxEntries
+            .filter(entry => entry.status !== 'delivered')
+            .map(entry => ({
+                feedbackId: entry.feedbackId,
+                deliveryStatus: entry.status,
+                ...entry.payload,
+                photos: entry.photoDetails,
+                createdAt: entry.createdAt
+            })),
+        devices: devices.map(device => ({
+            platform: device.platform,
+            appVersion: device.appVersion,
+            locale: device.locale,
+            pushToken: device.pushToken,
+            registeredAt: device.registeredAt,
+            lastSeenAt: device.lastSeenAt
+        })),
+        erasures: receipts.map(receipt => ({
+            receiptId: receipt.receiptId,
+            mode: receipt.mode,
+            status: receipt.status,
+            completedAt: receipt.completedAt
+        }))
+    };
+}
+
+// Deletes photos one by one; a failure stops before the record is changed, so erasing again
+// retries it. Photos already gone count as deleted.
+async function deletePhotos(photoDetails) {
+    let deleted = 0;
+    for (const photo of photoDetails) {
+        const publicId = photoPublicId(photo);
+        if (!publicId || (photo.moderation && photo.moderation.status === 'rejected')) continue;
+        const result = await destroyPhoto(publicId, photoDeliveryType(photo));
+        if (result && result.result === 'ok') deleted++;
+    }
+    return deleted;
+}
+
+// Function to erase a user's data. 'delete' removes their feedback rows; 'anonymize' keeps the
+// title and description but clears their IDs and photos. Either way their photos, queued
+// submissions and device links are removed. Returns the stored receipt.
+async function eraseUserData(user, { mode, actor, reason }) {
+    const startedAt = new Date();
+    const store = getFeedbackStore();
+    const receipt = {
+        receiptId: crypto.randomUUID(),
+        userIdHash: hashIdentifier(user.userId),
+        emailIdHash: user.emailId ? hashIdentifier(user.emailId) : undefined,
+        mode,
+        requestedBy: actor,
+        reason,
+        feedbackIds: [],
+        photosDeleted: 0,
+        outboxEntriesDeleted: 0,
+        devicesUnlinked: 0,
+        failures: [],
+        startedAt
+    };
+
+    // Queued submissions first, so the worker can't deliver one after its rows were erased. An
+    // entry the worker is delivering right now is waited for, and its row is then erased below.
+    for (const listed of await feedbackOutbox.listUserEntries(user)) {
+        try {
+            const entry = await feedbackOutbox.claimEntry(listed);
+            if (!entry) continue;
+            receipt.photosDeleted += await deletePhotos(entry.photoDetails);
+            await feedbackOutbox.deleteEntry(entry);
+            receipt.outboxEntriesDeleted++;
+        } catch (error) {
+            receipt.failures.push({ feedbackId: listed.feedbackId, error: error.message });
+        }
+    }
+
+    for (const { id } of await findUserFeedback(user)) {
+        try {
+            await withRecordLock(id, async () => {
+                const record = await store.get(id);
+                if (!record || !matchesUser(record, user)) return;
+
+                receipt.photosDeleted += await deletePhotos(record.photo_details);
+                if (mode === 'delete') {
+                    await store.remove(id);
+                } else {
+                    await store.update(id, {
+                        user_id: '',
+                        email_id: '',
+                        photos: '',
+                        photo_details: [],
+                        updated_at: new Date().toISOString()
+                    });
+                }
+                receipt.feedbackIds.push(id);
+            });
+        } catch (error) {
+            receipt.failures.push({ feedbackId: id, error: error.message });
+        }
+    }
+
+    receipt.devicesUnlinked = await deviceStore.unlinkUserDevices(user.userId);
+    receipt.status = receipt.failures.length > 0 ? 'partial' : 'completed';
+
+    const saved = await ErasureReceipt.create(receipt);
+    console.log(`🧽 User data ${mode === 'delete' ? 'deleted' : 'anonymized'} by ${actor}: ${receipt.feedbackIds.length} feedback, ${receipt.photosDeleted} photos (receipt ${receipt.receiptId}, ${receipt.status})`);
+    return saved.toObject();
+}
+
+// Function to list erasure receipts, newest first, optionally only those for one userId
+async function listErasureReceipts({ userId, limit = 50 } = {}) {
+    const filter = userId ? { userIdHash: hashIdentifier(userId) } : {};
+    return ErasureReceipt.find(filter).sort({ completedAt: -1 }).limit(limit).lean();
+}
+
+module.exports = {
+    ERASURE_MODES,
+    hashIdentifier,
+    toUserFeedback,
+    exportUserData,
+    eraseUserData,
+    listErasureReceipts
+};
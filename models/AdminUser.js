@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+const adminUserSchema = new mongoose.Schema({
+    username: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true,
+        lowercase: true
+    },
+    passwordHash: {
+        type: String,
+        required: true
+    },
+    role: {
+        type: String,
+        enum: ['admin'],
+        default: 'admin'
+    },
+    // Bumped on logout/password change so outstanding refresh tokens stop working
+    tokenVersion: {
+        type: Number,
+        default: 0
+    },
+    lastLoginAt: {
+        type: Date
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+module.exports = mongoose.model('AdminUser', adminUserSchema);
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+const PLATFORMS = ['android', 'ios'];
+
+// An app install that has registered for icon updates. The push token identifies the install.
+const deviceSchema = new mongoose.Schema({
+    pushToken: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    platform: {
+        type: String,
+        enum: PLATFORMS,
+        required: true,
+        index: true
+    },
+    appVersion: {
+        type: String,
+        trim: true
+    },
+    locale: {
+        type: String,
+        trim: true
+    },
+    userId: {
+        type: String,
+        trim: true,
+        index: true
+    },
+    registeredAt: {
+        type: Date,
+        default: Date.now
+    },
+    lastSeenAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+deviceSchema.statics.PLATFORMS = PLATFORMS;
+
+module.exports = mongoose.model('Device', deviceSchema);
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+// Audit record of a user data erasure. The user's IDs are stored only as keyed hashes, so the
+// receipt can later confirm "was this user erased?" without keeping the IDs themselves.
+const erasureReceiptSchema = new mongoose.Schema({
+    receiptId: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    userIdHash: {
+        type: String,
+        required: true,
+        index: true
+    },
+    emailIdHash: {
+        type: String
+    },
+    // 'delete' removes feedback rows; 'anonymize' keeps the text but clears IDs and photos
+    mode: {
+        type: String,
+        enum: ['delete', 'anonymize'],
+        required: true
+    },
+    requestedBy: {
+        type: String,
+        required: true
+    },
+    reason: {
+        type: String
+    },
+    // Feedback IDs are random, so listing them doesn't identify the user
+    feedbackIds: {
+        type: [String],
+        default: []
+    },
+    photosDeleted: {
+        type: Number,
+        default: 0
+    },
+    outboxEntriesDeleted: {
+        type: Number,
+        default: 0
+    },
+    devicesUnlinked: {
+        type: Number,
+        default: 0
+    },
+    // Records that couldn't be erased, e.g. because a photo deletion failed; erasing again retries them
+    failures: {
+        type: [{ feedbackId: String, error: String, _id: false }],
+        default: []
+    },
+    status: {
+        type: String,
+        enum: ['completed', 'partial'],
+        required: true
+    },
+    startedAt: {
+        type: Date,
+        required: true
+    },
+    completedAt: {
+        type: Date,
+        default: Date.now,
+        index: true
+    }
+});
+
+module.exports = mongoose.model('ErasureReceipt', erasureReceiptSchema);
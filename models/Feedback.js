@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+// Feedback submission, used when FEEDBACK_STORE=mongo
+const feedbackSchema = new mongoose.Schema({
+    feedbackId: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    title: {
+        type: String,
+        required: true
+    },
+    description: {
+        type: String,
+        required: true
+    },
+    // Comma-joined photo URLs, matching the Photos column of the sheet
+    photos: {
+        type: String,
+        default: ''
+    },
+    // Cloudinary upload results for each photo
+    photoDetails: {
+        type: [Object],
+        default: []
+    },
+    userId: {
+        type: String,
+        default: '',
+        index: true
+    },
+    emailId: {
+        type: String,
+        default: ''
+    },
+    date: {
+        type: String,
+        index: true
+    },
+    timestamp: {
+        type: String,
+        index: true
+    },
+    // Triage, see lib/feedbackTriage.js
+    status: {
+        type: String,
+        enum: ['new', 'triaged', 'in_progress', 'resolved', 'wont_fix'],
+        default: 'new',
+        index: true
+    },
+    assignee: {
+        type: String,
+        default: ''
+    },
+    labels: {
+        type: [String],
+        default: []
+    },
+    notes: {
+        type: [Object],
+        default: []
+    },
+    statusHistory: {
+        type: [Object],
+        default: []
+    },
+    updatedAt: {
+        type: Date
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now,
+        index: true
+    }
+});
+
+module.exports = mongoose.model('Feedback', feedbackSchema);
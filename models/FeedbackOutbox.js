@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+
+// A feedback submission waiting to reach the feedback store. Entries are written before the
+// client gets its response, so a Sheets or Cloudinary outage delays feedback instead of losing it.
+const pendingPhotoSchema = new mongoose.Schema({
+    // FeedbackOutboxPhoto holding a photo whose Cloudinary upload failed at submission time
+    photoId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    originalName: {
+        type: String
+    },
+    // Moderation result from before the upload failed; flagged photos upload into quarantine
+    moderation: {
+        type: Object
+    }
+}, { _id: false });
+
+const feedbackOutboxSchema = new mongoose.Schema({
+    feedbackId: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    // { title, description, userId, emailId, date, timestamp }; photos are filled in on delivery
+    payload: {
+        type: Object,
+        required: true
+    },
+    photoDetails: {
+        type: [Object],
+        default: []
+    },
+    pendingPhotos: {
+        type: [pendingPhotoSchema],
+        default: []
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'delivered', 'dead'],
+        default: 'pending',
+        index: true
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    // Also used as a lease: the worker pushes it forward while an entry is being delivered
+    nextAttemptAt: {
+        type: Date,
+        default: Date.now,
+        index: true
+    },
+    // Set while a worker (or an erasure) holds the entry, cleared when it lets go. A holder that
+    // crashed loses the claim once this passes.
+    claimedUntil: {
+        type: Date
+    },
+    lastError: {
+        type: String
+    },
+    // Delivered entries are kept for a week so admins can trace a submission, then expire
+    deliveredAt: {
+        type: Date,
+        expires: '7d'
+    },
+    deadAt: {
+        type: Date
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+module.exports = mongoose.model('FeedbackOutbox', feedbackOutboxSchema);
@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// A photo held for a queued feedback submission because its Cloudinary upload failed. Kept in
+// MongoDB rather than on local disk, which Render wipes on every deploy and restart.
+// One document per photo keeps each well under MongoDB's 16MB document limit.
+const feedbackOutboxPhotoSchema = new mongoose.Schema({
+    feedbackId: {
+        type: String,
+        required: true,
+        index: true
+    },
+    data: {
+        type: Buffer,
+        required: true
+    },
+    originalName: {
+        type: String
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+module.exports = mongoose.model('FeedbackOutboxPhoto', feedbackOutboxPhotoSchema);
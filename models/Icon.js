@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+// Icon catalog entry. `iconName` is the key apps and admins use (e.g. DEFAULT, navratri1)
+const iconSchema = new mongoose.Schema({
+    iconName: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true
+    },
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    url: {
+        type: String,
+        required: true
+    },
+    // Set for uploaded images so the asset can be removed later (Cloudinary public_id or local file name)
+    publicId: {
+        type: String
+    },
+    storage: {
+        type: String,
+        enum: ['url', 'cloudinary', 'local'],
+        default: 'url'
+    },
+    format: {
+        type: String
+    },
+    width: {
+        type: Number
+    },
+    height: {
+        type: Number
+    },
+    isActive: {
+        type: Boolean,
+        default: false,
+        index: true
+    },
+    // Per-platform launcher sizes (see lib/iconVariants.js)
+    variants: [{
+        _id: false,
+        key: String,
+        platform: String,
+        density: String,
+        size: Number,
+        url: String,
+        source: {
+            type: String,
+            enum: ['registered', 'generated']
+        }
+    }],
+    lastUpdated: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+module.exports = mongoose.model('Icon', iconSchema);
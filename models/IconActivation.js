@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// Audit record written every time the active icon changes
+// Names are kept as they were at the time; rollbacks follow the icon ids, which survive renames
+const iconActivationSchema = new mongoose.Schema({
+    previousIconId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Icon'
+    },
+    previousIconName: {
+        type: String
+    },
+    iconId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Icon',
+        index: true
+    },
+    iconName: {
+        type: String,
+        required: true
+    },
+    // Admin username, or 'scheduler' for campaign changes
+    actor: {
+        type: String,
+        default: 'system'
+    },
+    source: {
+        type: String,
+        enum: ['manual', 'campaign', 'replacement', 'rollback'],
+        default: 'manual'
+    },
+    reason: {
+        type: String,
+        trim: true
+    },
+    // Set on an event once POST /api/admin/icons/rollback has undone it
+    rolledBackAt: {
+        type: Date
+    },
+    rolledBackBy: {
+        type: String
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now,
+        index: true
+    }
+});
+
+module.exports = mongoose.model('IconActivation', iconActivationSchema);
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+// A scheduled window during which an icon should be live, e.g. a festival
+const iconCampaignSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    iconName: {
+        type: String,
+        required: true
+    },
+    // Icon to switch back to when the window closes
+    fallbackIconName: {
+        type: String,
+        default: 'DEFAULT'
+    },
+    startAt: {
+        type: Date,
+        required: true,
+        index: true
+    },
+    endAt: {
+        type: Date,
+        required: true,
+        index: true
+    },
+    // IANA zone the admin entered start/end in, kept for display
+    timezone: {
+        type: String,
+        default: 'UTC'
+    },
+    // Higher wins when campaigns overlap
+    priority: {
+        type: Number,
+        default: 0
+    },
+    createdBy: {
+        type: String
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    appliedAt: {
+        type: Date
+    },
+    revertedAt: {
+        type: Date
+    },
+    cancelledAt: {
+        type: Date
+    }
+});
+
+module.exports = mongoose.model('IconCampaign', iconCampaignSchema);
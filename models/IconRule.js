@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// Targeting rule: requests whose context matches every set condition get `iconName`
+// instead of the global active icon. Empty conditions match everyone.
+const iconRuleSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    iconName: {
+        type: String,
+        required: true
+    },
+    // Higher is evaluated first; ties go to the older rule
+    priority: {
+        type: Number,
+        default: 0
+    },
+    enabled: {
+        type: Boolean,
+        default: true
+    },
+    conditions: {
+        platforms: [String],
+        minAppVersion: String,
+        maxAppVersion: String,
+        // ISO 3166 alpha-2 codes, upper case
+        countries: [String],
+        // Language tags matched by prefix, so 'hi' covers 'hi-IN'
+        locales: [String],
+        // Share of users (by userId hash bucket 0-99) that get the icon
+        rolloutPercentage: {
+            type: Number,
+            min: 0,
+            max: 100
+        }
+    },
+    createdBy: {
+        type: String
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+module.exports = mongoose.model('IconRule', iconRuleSchema);
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// One record per push attempt, so admins can see whether an icon change reached the apps
+const notificationDeliverySchema = new mongoose.Schema({
+    channel: {
+        type: String,
+        enum: ['fcm'],
+        default: 'fcm'
+    },
+    event: {
+        type: String,
+        required: true
+    },
+    target: {
+        type: String,
+        required: true
+    },
+    iconName: {
+        type: String
+    },
+    status: {
+        type: String,
+        enum: ['sent', 'failed', 'skipped'],
+        required: true
+    },
+    messageId: {
+        type: String
+    },
+    // Per-device counts for multicast sends to registered devices
+    successCount: {
+        type: Number
+    },
+    failureCount: {
+        type: Number
+    },
+    error: {
+        type: String
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now,
+        index: true
+    }
+});
+
+module.exports = mongoose.model('NotificationDelivery', notificationDeliverySchema);
@@ -0,0 +1,42 @@
+const cloudinary = require('cloudinary').v2;
+require('dotenv').config();
+const { connectDatabase, disconnectDatabase } = require('./lib/database');
+const { reconcilePhotos } = require('./lib/photoCleanup');
+
+// Reports Cloudinary feedback photos that no feedback or queued submission refers to.
+// Run from cron with --delete to remove them:
+//   npm run reconcile-photos -- --delete
+
+cloudinary.config({
+    cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+    api_key: process.env.CLOUDINARY_API_KEY,
+    api_secret: process.env.CLOUDINARY_API_SECRET
+});
+
+async function main() {
+    const deleteOrphans = process.argv.includes('--delete');
+
+    // The outbox lives in MongoDB; without it queued photos would look orphaned
+    await connectDatabase();
+    try {
+        const report = await reconcilePhotos({ deleteOrphans });
+
+        report.orphans.forEach(orphan => {
+            console.log(`   ${orphan.type.padEnd(13)} ${orphan.publicId} (${orphan.createdAt}, ${orphan.bytes} bytes)`);
+        });
+        report.failed.forEach(failure => {
+            console.log(`❌ Could not delete ${failure.publicId}: ${failure.error}`);
+        });
+        if (!deleteOrphans && report.orphans.length > 0) {
+            console.log('\nRun again with --delete to remove these photos.');
+        }
+        process.exitCode = report.failed.length > 0 ? 1 : 0;
+    } finally {
+        await disconnectDatabase();
+    }
+}
+
+main().catch(error => {
+    console.error('❌ Photo reconciliation failed:', error.message);
+    process.exit(1);
+});
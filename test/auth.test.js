@@ -0,0 +1,70 @@
+const { test, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const { useMemoryModels, startApp } = require('./helpers/testApp');
+
+const models = useMemoryModels();
+const auth = require('../lib/auth');
+
+let api;
+
+before(async () => {
+    api = await startApp();
+});
+
+after(() => api.close());
+
+beforeEach(async () => {
+    Object.values(models).forEach(memory => memory.clear());
+    await auth.createAdminUser('Alice', 'correct horse');
+});
+
+function login(password = 'correct horse') {
+    return api.request('POST', '/api/admin/login', { token: null, body: { username: 'alice', password } });
+}
+
+test('admin routes and the feedback list need an admin access token', async () => {
+    for (const [method, path] of [['GET', '/api/admin/icons'], ['POST', '/api/admin/icons/activate'], ['GET', '/api/feedback']]) {
+        const response = await api.request(method, path, { token: null });
+        assert.equal(response.status, 401, `${method} ${path}`);
+        assert.equal(response.body.success, false);
+    }
+
+    const expired = jwt.sign({ role: 'admin', type: 'access' }, process.env.JWT_SECRET, { subject: '1', expiresIn: -10 });
+    const response = await api.request('GET', '/api/admin/icons', { token: expired });
+    assert.equal(response.status, 401);
+    assert.equal(response.body.message, 'Access token expired');
+});
+
+test('logging in returns tokens that open the admin routes', async () => {
+    assert.equal((await login('wrong password')).status, 401);
+
+    const response = await login();
+    assert.equal(response.status, 200);
+    assert.equal(response.body.data.user.username, 'alice');
+    assert.ok(models.AdminUser.docs[0].lastLoginAt);
+
+    const icons = await api.request('GET', '/api/admin/icons', { token: response.body.data.accessToken });
+    assert.equal(icons.status, 200);
+});
+
+test('a refresh token can\'t be used as an access token', async () => {
+    const { refreshToken } = (await login()).body.data;
+
+    const response = await api.request('GET', '/api/admin/icons', { token: refreshToken });
+    assert.equal(response.status, 401);
+});
+
+test('logging out revokes the refresh tokens issued so far', async () => {
+    const { accessToken, refreshToken } = (await login()).body.data;
+
+    const refreshed = await api.request('POST', '/api/admin/token/refresh', { token: null, body: { refreshToken } });
+    assert.equal(refreshed.status, 200);
+    assert.ok(refreshed.body.data.accessToken);
+
+    const logout = await api.request('POST', '/api/admin/logout', { token: accessToken });
+    assert.equal(logout.status, 200);
+
+    const afterLogout = await api.request('POST', '/api/admin/token/refresh', { token: null, body: { refreshToken } });
+    assert.equal(afterLogout.status, 401);
+});
@@ -0,0 +1,63 @@
+const { test, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { useMemoryModels, startApp } = require('./helpers/testApp');
+
+const models = useMemoryModels();
+const iconStore = require('../lib/iconStore');
+
+let api;
+
+// fetch() adds Cache-Control: no-cache to conditional requests, which makes Express skip the
+// freshness check; apps send revalidation headers without it
+function revalidate(headers) {
+    return { token: null, headers: { 'cache-control': 'max-age=0', ...headers } };
+}
+
+before(async () => {
+    api = await startApp();
+});
+
+after(() => api.close());
+
+beforeEach(async () => {
+    Object.values(models).forEach(memory => memory.clear());
+    await iconStore.seedDefaultIcons();
+});
+
+test('current-icon answers If-None-Match and If-Modified-Since with 304 until the icon changes', async () => {
+    const first = await api.request('GET', '/api/app/current-icon', { token: null });
+    assert.equal(first.status, 200);
+    const etag = first.headers.get('etag');
+    const lastModified = first.headers.get('last-modified');
+    assert.match(etag, /^"[\w-]+"$/);
+    assert.match(first.headers.get('cache-control'), /^public, max-age=\d+/);
+
+    const byEtag = await api.request('GET', '/api/app/current-icon', revalidate({ 'if-none-match': etag }));
+    assert.equal(byEtag.status, 304);
+    const byDate = await api.request('GET', '/api/app/current-icon', revalidate({ 'if-modified-since': lastModified }));
+    assert.equal(byDate.status, 304);
+
+    await iconStore.activateIcon('navratri1');
+    const changed = await api.request('GET', '/api/app/current-icon', revalidate({ 'if-none-match': etag }));
+    assert.equal(changed.status, 200);
+    assert.equal(changed.body.data.iconName, 'navratri1');
+});
+
+test('switching to an icon last edited long ago is newer than the client copy', async () => {
+    const seenAt = new Date(Date.now() - 60 * 60 * 1000).toUTCString();
+    await iconStore.activateIcon('navratri3');
+    models.Icon.docs.find(doc => doc.iconName === 'navratri3').lastUpdated = new Date('2020-01-01T00:00:00Z');
+
+    const response = await api.request('GET', '/api/app/current-icon', revalidate({ 'if-modified-since': seenAt }));
+    assert.equal(response.status, 200);
+    assert.equal(response.body.data.iconName, 'navratri3');
+    assert.ok(new Date(response.headers.get('last-modified')) > new Date(seenAt));
+});
+
+test('a missing active icon is never cached', async () => {
+    models.Icon.docs.forEach(doc => { doc.isActive = false; });
+
+    const response = await api.request('GET', '/api/app/current-icon', { token: null });
+    assert.equal(response.status, 404);
+    assert.equal(response.headers.get('cache-control'), 'no-store');
+});
@@ -0,0 +1,69 @@
+const { test, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const { useMemoryModels, startApp } = require('./helpers/testApp');
+
+process.env.APP_JWT_SECRET = 'test-app-secret-'.repeat(3);
+
+const models = useMemoryModels();
+const pushNotifications = require('../lib/pushNotifications');
+
+let api;
+
+before(async () => {
+    pushNotifications.setMessagingClient(null);
+    api = await startApp();
+});
+
+after(() => api.close());
+
+beforeEach(() => {
+    Object.values(models).forEach(memory => memory.clear());
+});
+
+function appUserToken(userId) {
+    return jwt.sign({}, process.env.APP_JWT_SECRET, { subject: userId, expiresIn: '5m' });
+}
+
+function register(body, token = null) {
+    return api.request('POST', '/api/app/devices', { token, body: { pushToken: 'token-1', platform: 'Android', ...body } });
+}
+
+test('registers a device anonymously and refreshes it on the next call', async () => {
+    const created = await register({ appVersion: '2.1.0', locale: 'en-IN' });
+    assert.equal(created.status, 201);
+    assert.equal(created.body.data.platform, 'android');
+
+    const refreshed = await register({ appVersion: '2.2.0' });
+    assert.equal(refreshed.status, 200);
+    assert.equal(models.Device.docs.length, 1);
+    assert.equal(models.Device.docs[0].appVersion, '2.2.0');
+    assert.equal(models.Device.docs[0].userId, undefined);
+});
+
+test('a device is only linked to the user whose app token comes with it', async () => {
+    assert.equal((await register({ userId: 'user-1' })).status, 401);
+    assert.equal((await register({ userId: 'user-1' }, appUserToken('user-2'))).status, 403);
+    assert.equal((await register({ userId: 'user-1' }, 'not-a-token')).status, 401);
+    assert.equal(models.Device.docs.length, 0);
+
+    const linked = await register({ userId: 'user-1' }, appUserToken('user-1'));
+    assert.equal(linked.status, 201);
+    assert.equal(models.Device.docs[0].userId, 'user-1');
+});
+
+test('signed-in registrations are linked without repeating the userId', async () => {
+    await register({}, appUserToken('user-3'));
+
+    const listed = await api.request('GET', '/api/admin/devices?userId=user-3');
+    assert.equal(listed.status, 200);
+    assert.equal(listed.body.total, 1);
+});
+
+test('unregistering removes the device', async () => {
+    await register({});
+
+    assert.equal((await api.request('DELETE', '/api/app/devices/token-1', { token: null })).status, 200);
+    assert.equal((await api.request('DELETE', '/api/app/devices/token-1', { token: null })).status, 404);
+    assert.equal(models.Device.docs.length, 0);
+});
@@ -0,0 +1,87 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { Writable } = require('stream');
+const { writeExport, csvField } = require('../lib/feedbackExport');
+
+function record(id) {
+    return {
+        id,
+        title: `Feedback ${id}`,
+        description: '=HYPERLINK("http://example.com")',
+        user_id: 'u1',
+        email_id: '',
+        date: '2025-10-01',
+        timestamp: '2025-10-01T10:00:00.000Z',
+        status: 'new',
+        assignee: '',
+        labels: [],
+        photo_details: []
+    };
+}
+
+// Batches of records that note how far the export read and whether it let go of them
+function trackedBatches(count) {
+    const progress = { read: 0, closed: false };
+    async function* batches() {
+        try {
+            for (let i = 0; i < count; i++) {
+                progress.read++;
+                yield [record(`fb-${i}`)];
+            }
+        } finally {
+            progress.closed = true;
+        }
+    }
+    return { progress, batches: batches() };
+}
+
+// A socket whose buffer is always full: writes are never acknowledged, so it never drains
+function stalledSocket() {
+    return new Writable({ highWaterMark: 1, write() {} });
+}
+
+test('writes a CSV with a header row and neutralized formulas', async () => {
+    const chunks = [];
+    const stream = new Writable({
+        write(chunk, encoding, callback) {
+            chunks.push(chunk.toString());
+            callback();
+        }
+    });
+    const { batches } = trackedBatches(2);
+
+    await writeExport('csv', batches, stream);
+
+    const lines = chunks.join('').replace(/^﻿/, '').trim().split('\r\n');
+    assert.equal(lines.length, 3);
+    assert.ok(lines[0].startsWith('ID,Title,Description'));
+    assert.ok(lines[1].startsWith(`fb-0,Feedback fb-0,${csvField('=HYPERLINK("http://example.com")')}`));
+    assert.equal(csvField('=1+1'), "'=1+1");
+});
+
+test('stops reading records when the client disconnects while the socket is full', async () => {
+    const stream = stalledSocket();
+    const { progress, batches } = trackedBatches(1000);
+
+    const exporting = writeExport('ndjson', batches, stream);
+    setImmediate(() => stream.destroy());
+
+    await assert.rejects(exporting, { code: 'EXPORT_ABORTED' });
+    assert.equal(progress.read, 1);
+    assert.equal(progress.closed, true);
+    assert.equal(stream.listenerCount('drain'), 0);
+});
+
+test('gives up on the export when the socket fails', async () => {
+    const stream = stalledSocket();
+    const { progress, batches } = trackedBatches(1000);
+
+    stream.on('error', () => {});
+
+    // The CSV header already fills the buffer, so no records are read at all
+    const exporting = writeExport('csv', batches, stream);
+    setImmediate(() => stream.destroy(new Error('socket hang up')));
+
+    await assert.rejects(exporting, /socket hang up/);
+    assert.equal(progress.read, 0);
+});
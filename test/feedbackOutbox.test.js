@@ -0,0 +1,141 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const cloudinary = require('cloudinary').v2;
+const { useMemoryModels } = require('./helpers/testApp');
+
+const models = useMemoryModels();
+const { setFeedbackStore } = require('../lib/feedbackStore');
+const feedbackOutbox = require('../lib/feedbackOutbox');
+
+console.error = () => {};
+
+// Feedback store that keeps records in an array; `failWith` makes append() reject
+function createMemoryStore() {
+    const store = {
+        name: 'memory',
+        records: [],
+        failWith: null,
+        async init() {},
+        async append(feedbackData) {
+            if (store.failWith) throw new Error(store.failWith);
+            store.records.push(feedbackData);
+        },
+        async list() {
+            return store.records;
+        },
+        async get(id) {
+            return store.records.find(record => record.feedbackId === id) || null;
+        }
+    };
+    return store;
+}
+
+// Answers Cloudinary uploads locally, recording the bytes each one received
+function fakeUploads(t) {
+    const uploaded = [];
+    t.mock.method(cloudinary.uploader, 'upload_stream', (options, callback) => ({
+        end(buffer) {
+            uploaded.push(Buffer.from(buffer).toString());
+            callback(null, { secure_url: `https://res.cloudinary.com/test/${options.public_id}.jpg`, public_id: options.public_id });
+        }
+    }));
+    return uploaded;
+}
+
+// Makes the entry due again, as if its retry delay had passed
+function makeDue(feedbackId) {
+    models.FeedbackOutbox.docs.find(doc => doc.feedbackId === feedbackId).nextAttemptAt = new Date();
+}
+
+const feedbackData = {
+    title: 'Map is blank',
+    description: 'Nothing loads after login',
+    userId: 'user-7',
+    date: '2025-10-01',
+    timestamp: '2025-10-01T10:00:00.000Z'
+};
+
+let store;
+
+beforeEach(() => {
+    Object.values(models).forEach(memory => memory.clear());
+    store = createMemoryStore();
+    setFeedbackStore(store);
+});
+
+test('photos that failed to upload are kept in MongoDB until delivery uploads them', async t => {
+    const entry = await feedbackOutbox.enqueue({
+        feedbackData,
+        failedFiles: [{ originalname: 'screen.jpg', buffer: Buffer.from('jpeg bytes') }]
+    });
+
+    assert.equal(models.FeedbackOutboxPhoto.docs.length, 1);
+    assert.equal(models.FeedbackOutboxPhoto.docs[0].feedbackId, entry.feedbackId);
+    assert.equal(String(entry.pendingPhotos[0].photoId), String(models.FeedbackOutboxPhoto.docs[0]._id));
+
+    const uploaded = fakeUploads(t);
+    assert.deepEqual(await feedbackOutbox.processOutbox(), { delivered: 1, failed: 0 });
+
+    assert.deepEqual(uploaded, ['jpeg bytes']);
+    assert.match(store.records[0].photoDetails[0].url, /^https:\/\/res\.cloudinary\.com\/test\//);
+    assert.equal(models.FeedbackOutboxPhoto.docs.length, 0);
+    assert.equal(models.FeedbackOutbox.docs[0].status, 'delivered');
+});
+
+test('a store outage keeps the entry and its photos for the next attempt', async t => {
+    const entry = await feedbackOutbox.enqueue({
+        feedbackData,
+        failedFiles: [{ originalname: 'screen.jpg', buffer: Buffer.from('jpeg bytes') }]
+    });
+    const uploaded = fakeUploads(t);
+    store.failWith = 'Google Sheets is temporarily unavailable';
+
+    assert.deepEqual(await feedbackOutbox.processOutbox(), { delivered: 0, failed: 1 });
+    const [queued] = models.FeedbackOutbox.docs;
+    assert.equal(queued.status, 'pending');
+    assert.equal(queued.attempts, 1);
+    assert.ok(queued.nextAttemptAt > new Date());
+    assert.equal(queued.photoDetails.length, 1);
+    assert.equal(queued.pendingPhotos.length, 0);
+
+    store.failWith = null;
+    makeDue(entry.feedbackId);
+    assert.deepEqual(await feedbackOutbox.processOutbox(), { delivered: 1, failed: 0 });
+    assert.equal(uploaded.length, 1);
+    assert.equal(store.records.length, 1);
+});
+
+test('entries that keep failing are dead-lettered and can be replayed', async () => {
+    const entry = await feedbackOutbox.enqueue({ feedbackData });
+    store.failWith = 'Sheet not found';
+
+    for (let attempt = 0; attempt < feedbackOutbox.MAX_ATTEMPTS; attempt++) {
+        makeDue(entry.feedbackId);
+        await feedbackOutbox.processOutbox();
+    }
+    assert.equal(models.FeedbackOutbox.docs[0].status, 'dead');
+    assert.deepEqual(await feedbackOutbox.countOutbox(), { pending: 0, delivered: 0, dead: 1 });
+
+    store.failWith = null;
+    assert.equal(await feedbackOutbox.replayDeadEntries(entry.feedbackId), 1);
+    await feedbackOutbox.processOutbox();
+    assert.equal(models.FeedbackOutbox.docs[0].status, 'delivered');
+    assert.equal(store.records.length, 1);
+});
+
+test('a retry after an append that landed but reported failure does not add a second record', async t => {
+    const entry = await feedbackOutbox.enqueue({ feedbackData });
+    const append = store.append;
+    t.mock.method(store, 'append', async data => {
+        await append(data);
+        throw new Error('The operation was aborted due to timeout');
+    });
+
+    assert.deepEqual(await feedbackOutbox.processOutbox(), { delivered: 0, failed: 1 });
+    makeDue(entry.feedbackId);
+    assert.deepEqual(await feedbackOutbox.processOutbox(), { delivered: 1, failed: 0 });
+
+    assert.equal(store.records.length, 1);
+    assert.equal(store.append.mock.callCount(), 1);
+    assert.equal(models.FeedbackOutbox.docs[0].attempts, 2);
+});
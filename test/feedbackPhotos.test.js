@@ -0,0 +1,317 @@
+const { test, mock, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { useMemoryModels, startApp, waitFor } = require('./helpers/testApp');
+const { createFakeCloudinary, createPng } = require('./helpers/fakeCloudinary');
+
+// Upload signatures are only handed out when Cloudinary is configured
+process.env.CLOUDINARY_CLOUD_NAME = 'test-cloud';
+process.env.CLOUDINARY_API_KEY = 'test-key';
+process.env.CLOUDINARY_API_SECRET = 'test-secret';
+
+const models = useMemoryModels();
+const FeedbackOutbox = require('../models/FeedbackOutbox');
+const { setCloudinaryClient } = require('../lib/cloudinaryClient');
+const { getFeedbackStore } = require('../lib/feedbackStore');
+const photoModeration = require('../lib/photoModeration');
+const photoCleanup = require('../lib/photoCleanup');
+const { setRateLimitStore, createMemoryStore } = require('../lib/rateLimitStore');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+console.error = () => {};
+
+let api;
+let cloudinary;
+let submissionCount = 0;
+
+before(async () => {
+    await getFeedbackStore().init();
+    api = await startApp();
+    // Downloads of direct uploads go to the fake; everything else (the test requests) is untouched
+    const realFetch = globalThis.fetch;
+    mock.method(globalThis, 'fetch', (url, init) => (String(url).startsWith('https://res.cloudinary.com/')
+        ? cloudinary.fetch(url)
+        : realFetch(url, init)));
+});
+
+after(() => {
+    mock.restoreAll();
+    setCloudinaryClient(null);
+    return api.close();
+});
+
+beforeEach(() => {
+    Object.values(models).forEach(memory => memory.clear());
+    cloudinary = createFakeCloudinary();
+    setCloudinaryClient(cloudinary);
+    setRateLimitStore(createMemoryStore());
+    photoModeration.setModerationHook(null);
+});
+
+// A distinct title per submission, so duplicate detection never gets in the way
+function submission(fields = {}) {
+    submissionCount++;
+    return { title: `Broken button ${submissionCount}`, description: 'The save button does nothing', ...fields };
+}
+
+function photoForm(fields, photos) {
+    const form = new FormData();
+    Object.entries(fields).forEach(([name, value]) => form.append(name, value));
+    photos.forEach((photo, index) => form.append('photos', new Blob([photo], { type: 'image/png' }), `photo${index}.png`));
+    return form;
+}
+
+test('upload signatures are for private uploads in the feedback folder', async () => {
+    const response = await api.request('POST', '/api/feedback/upload-signature', { token: null, body: { count: 2 } });
+
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('cache-control'), 'no-store');
+    const { uploads } = response.body.data;
+    assert.equal(uploads.length, 2);
+    assert.notEqual(uploads[0].publicId, uploads[1].publicId);
+    for (const { publicId, fields } of uploads) {
+        assert.match(publicId, /^feedback-photos\/feedback_/);
+        assert.equal(fields.public_id, publicId);
+        assert.equal(fields.type, 'authenticated');
+        // The delivery type is part of what is signed, so the app can't make the upload public
+        assert.ok(fields.signature.split(',').includes('type'));
+    }
+});
+
+test('a direct upload is only made public once its submission is accepted', async () => {
+    const upload = cloudinary.directUpload('feedback-photos/feedback_direct_1');
+
+    const rejected = await api.request('POST', '/api/feedback', {
+        token: null,
+        body: submission({ description: '', uploadedPhotos: [upload] })
+    });
+    assert.equal(rejected.status, 400);
+    assert.equal(cloudinary.renames.length, 0);
+    assert.ok(cloudinary.has(upload.public_id, 'authenticated'));
+
+    const accepted = await api.request('POST', '/api/feedback', {
+        token: null,
+        body: submission({ uploadedPhotos: [upload] })
+    });
+    assert.equal(accepted.status, 201);
+    assert.deepEqual(cloudinary.renames.map(rename => [rename.type, rename.toType]), [['authenticated', 'upload']]);
+    assert.ok(cloudinary.has(upload.public_id, 'upload'));
+    assert.deepEqual(accepted.body.data.photoUrls, [`https://res.cloudinary.com/test-cloud/image/upload/${upload.public_id}`]);
+    assert.equal(models.FeedbackOutbox.docs[0].photoDetails[0].url, accepted.body.data.photoUrls[0]);
+});
+
+test('direct uploads without a valid Cloudinary signature are refused', async () => {
+    const upload = cloudinary.directUpload('feedback-photos/feedback_direct_2');
+
+    const forged = await api.request('POST', '/api/feedback', {
+        token: null,
+        body: submission({ uploadedPhotos: [{ ...upload, signature: 'made-up' }] })
+    });
+    assert.equal(forged.status, 400);
+
+    const elsewhere = await api.request('POST', '/api/feedback', {
+        token: null,
+        body: submission({ uploadedPhotos: [{ ...upload, public_id: 'app-icons/icon_diwali', signature: 'sig-app-icons/icon_diwali' }] })
+    });
+    assert.equal(elsewhere.status, 400);
+
+    assert.equal(cloudinary.renames.length, 0);
+    assert.equal(models.FeedbackOutbox.docs.length, 0);
+});
+
+test('direct uploads are made private again when the submission fails after publishing them', async t => {
+    const first = cloudinary.directUpload('feedback-photos/feedback_direct_3');
+    const second = cloudinary.directUpload('feedback-photos/feedback_direct_4');
+    t.mock.method(FeedbackOutbox, 'create', async () => {
+        throw new Error('Outbox unavailable');
+    });
+
+    const response = await api.request('POST', '/api/feedback', {
+        token: null,
+        body: submission({ uploadedPhotos: [first, second] })
+    });
+
+    assert.equal(response.status, 500);
+    assert.ok(cloudinary.has(first.public_id, 'authenticated'));
+    assert.ok(cloudinary.has(second.public_id, 'authenticated'));
+    assert.ok(!cloudinary.has(first.public_id, 'upload'));
+});
+
+test('if one direct upload cannot be published, the others are made private again', async () => {
+    const first = cloudinary.directUpload('feedback-photos/feedback_direct_5');
+    const missing = cloudinary.directUpload('feedback-photos/feedback_direct_6');
+    cloudinary.resources.delete(`authenticated:${missing.public_id}`);
+
+    const response = await api.request('POST', '/api/feedback', {
+        token: null,
+        body: submission({ uploadedPhotos: [first, missing] })
+    });
+
+    assert.equal(response.status, 500);
+    assert.ok(cloudinary.has(first.public_id, 'authenticated'));
+    assert.equal(models.FeedbackOutbox.docs.length, 0);
+});
+
+test('metadata left in a direct upload is stripped by uploading a clean copy over its private original', async () => {
+    const tagged = createPng({ chunks: [['tEXt', 'GPS\x0052.5200N 13.4050E']] });
+    const upload = cloudinary.directUpload('feedback-photos/feedback_direct_7', tagged);
+
+    const response = await api.request('POST', '/api/feedback', {
+        token: null,
+        body: submission({ uploadedPhotos: [upload] })
+    });
+
+    assert.equal(response.status, 201);
+    assert.equal(cloudinary.uploads.length, 1);
+    assert.equal(cloudinary.uploads[0].publicId, upload.public_id);
+    assert.equal(cloudinary.uploads[0].options.type, 'authenticated');
+    assert.equal(cloudinary.uploads[0].options.overwrite, true);
+    assert.ok(cloudinary.uploads[0].buffer.equals(createPng()));
+    // Only the cleaned copy was ever made public
+    assert.ok(cloudinary.resources.get(`upload:${upload.public_id}`).buffer.equals(createPng()));
+});
+
+test('a clean direct upload is published as it is', async () => {
+    const upload = cloudinary.directUpload('feedback-photos/feedback_direct_8');
+
+    const response = await api.request('POST', '/api/feedback', {
+        token: null,
+        body: submission({ uploadedPhotos: [upload] })
+    });
+
+    assert.equal(response.status, 201);
+    assert.equal(cloudinary.uploads.length, 0);
+    assert.ok(cloudinary.has(upload.public_id, 'upload'));
+});
+
+test('a direct upload that is not really an image is refused and deleted', async () => {
+    const upload = cloudinary.directUpload('feedback-photos/feedback_direct_9', Buffer.from('<?php system($_GET["c"]); ?>'));
+
+    const response = await api.request('POST', '/api/feedback', {
+        token: null,
+        body: submission({ uploadedPhotos: [upload] })
+    });
+
+    assert.equal(response.status, 400);
+    assert.equal(response.body.error, 'Validation failed');
+    assert.equal(response.body.details[0].field, 'uploadedPhotos[0]');
+    assert.ok(!cloudinary.has(upload.public_id, 'authenticated'));
+    assert.ok(!cloudinary.has(upload.public_id, 'upload'));
+    assert.equal(cloudinary.renames.length, 0);
+    assert.equal(models.FeedbackOutbox.docs.length, 0);
+});
+
+test('a flagged direct upload is never made public until an admin approves it', async () => {
+    const upload = cloudinary.directUpload('feedback-photos/feedback_direct_10');
+    const checked = [];
+    photoModeration.setModerationHook(async photo => {
+        checked.push(photo);
+        return { flagged: true, reason: 'Looks like a screenshot of a card' };
+    });
+
+    const response = await api.request('POST', '/api/feedback', {
+        token: null,
+        body: submission({ uploadedPhotos: [upload] })
+    });
+
+    assert.equal(response.status, 201);
+    assert.equal(response.body.data.photosHeldForReview, 1);
+    assert.deepEqual(response.body.data.photoUrls, []);
+    // The hook gets a signed link to the private copy
+    assert.equal(checked[0].url, `https://res.cloudinary.com/test-cloud/image/authenticated/${upload.public_id}`);
+    assert.equal(cloudinary.renames.length, 0);
+    assert.ok(cloudinary.has(upload.public_id, 'authenticated'));
+
+    const id = response.body.data.id;
+    await waitFor(async () => Boolean(await getFeedbackStore().get(id)));
+    const approved = await api.request('POST', `/api/feedback/${id}/photos/${encodeURIComponent(upload.public_id)}/approve`);
+
+    assert.equal(approved.status, 200);
+    assert.ok(cloudinary.has(upload.public_id, 'upload'));
+    assert.deepEqual(approved.body.data.photos.map(photo => photo.url), [`https://res.cloudinary.com/test-cloud/image/upload/${upload.public_id}`]);
+});
+
+test('photos uploaded through the server are deleted when the submission fails', async t => {
+    t.mock.method(FeedbackOutbox, 'create', async () => {
+        throw new Error('Outbox unavailable');
+    });
+
+    const response = await api.request('POST', '/api/feedback', {
+        token: null,
+        form: photoForm(submission(), [createPng(), createPng({ width: 8 })])
+    });
+
+    assert.equal(response.status, 500);
+    assert.equal(cloudinary.uploads.length, 2);
+    assert.deepEqual(cloudinary.destroyed.map(photo => photo.publicId).sort(), cloudinary.uploads.map(photo => photo.publicId).sort());
+    assert.equal(cloudinary.resources.size, 0);
+});
+
+test('a successful submission keeps its photos and reaches the store', async () => {
+    const response = await api.request('POST', '/api/feedback', {
+        token: null,
+        form: photoForm(submission(), [createPng()])
+    });
+
+    assert.equal(response.status, 201);
+    assert.equal(cloudinary.destroyed.length, 0);
+    await waitFor(async () => Boolean(await getFeedbackStore().get(response.body.data.id)));
+    const record = await getFeedbackStore().get(response.body.data.id);
+    assert.equal(record.photo_details[0].public_id, cloudinary.uploads[0].publicId);
+});
+
+test('an admin can delete one photo from a feedback record', async () => {
+    cloudinary.add('feedback-photos/feedback_keep');
+    cloudinary.add('feedback-photos/feedback_remove');
+    const approved = { status: 'approved', checkedAt: new Date().toISOString() };
+    await getFeedbackStore().append({
+        feedbackId: 'fb-photos',
+        title: 'Two photos',
+        description: 'One of them shows a card number',
+        photoDetails: [
+            { url: cloudinary.url('feedback-photos/feedback_keep'), public_id: 'feedback-photos/feedback_keep', moderation: approved },
+            { url: cloudinary.url('feedback-photos/feedback_remove'), public_id: 'feedback-photos/feedback_remove', moderation: approved }
+        ],
+        date: '2025-10-01',
+        timestamp: '2025-10-01T10:00:00.000Z'
+    });
+
+    const response = await api.request('DELETE', `/api/feedback/fb-photos/photos/${encodeURIComponent('feedback-photos/feedback_remove')}`);
+
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body.data.photos.map(photo => photo.public_id), ['feedback-photos/feedback_keep']);
+    assert.ok(!cloudinary.has('feedback-photos/feedback_remove'));
+    assert.ok(cloudinary.has('feedback-photos/feedback_keep'));
+
+    const missing = await api.request('DELETE', `/api/feedback/fb-photos/photos/${encodeURIComponent('feedback-photos/feedback_remove')}`);
+    assert.equal(missing.status, 404);
+});
+
+test('reconciliation reports old unreferenced photos and only deletes them when asked', async () => {
+    const old = new Date(Date.now() - 3 * DAY_MS);
+    cloudinary.add('feedback-photos/feedback_orphan', { createdAt: old });
+    // A direct upload that was never attached to a submission stays private
+    cloudinary.add('feedback-photos/feedback_abandoned', { type: 'authenticated', createdAt: old });
+    cloudinary.add('feedback-photos/feedback_recent', { type: 'authenticated' });
+    cloudinary.add('feedback-photos/feedback_stored', { createdAt: old });
+    await getFeedbackStore().append({
+        feedbackId: 'fb-reconcile',
+        title: 'Stored',
+        description: 'Has a photo',
+        photoDetails: [{ url: cloudinary.url('feedback-photos/feedback_stored'), public_id: 'feedback-photos/feedback_stored' }],
+        date: '2025-10-01',
+        timestamp: '2025-10-01T10:00:00.000Z'
+    });
+
+    const report = await photoCleanup.reconcilePhotos();
+    assert.deepEqual(report.orphans.map(photo => photo.publicId).sort(), ['feedback-photos/feedback_abandoned', 'feedback-photos/feedback_orphan']);
+    assert.equal(report.deleted, 0);
+    assert.equal(cloudinary.resources.size, 4);
+
+    const response = await api.request('POST', '/api/admin/feedback-photos/reconcile', { body: { delete: true } });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.data.deleted, 2);
+    assert.ok(cloudinary.has('feedback-photos/feedback_stored'));
+    assert.ok(cloudinary.has('feedback-photos/feedback_recent', 'authenticated'));
+    assert.ok(!cloudinary.has('feedback-photos/feedback_abandoned', 'authenticated'));
+});
@@ -0,0 +1,60 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { useMemoryModels } = require('./helpers/testApp');
+
+const models = useMemoryModels();
+const { createFeedbackStore, getFeedbackStore, setFeedbackStore } = require('../lib/feedbackStore');
+const { parseFeedbackQuery, queryFeedback } = require('../lib/feedbackQuery');
+
+const fileStore = getFeedbackStore();
+const mongoStore = createFeedbackStore('mongo');
+
+function photo(name, status) {
+    return {
+        url: `https://res.cloudinary.com/test-cloud/image/upload/feedback-photos/${name}`,
+        public_id: `feedback-photos/${name}`,
+        moderation: status ? { status } : undefined
+    };
+}
+
+const submissions = [
+    { feedbackId: 'approved', photoDetails: [photo('feedback_a', 'approved')] },
+    { feedbackId: 'unmoderated', photoDetails: [photo('feedback_b')] },
+    { feedbackId: 'held', photoDetails: [photo('feedback_c', 'flagged')] },
+    { feedbackId: 'mixed', photoDetails: [photo('feedback_d', 'flagged'), photo('feedback_e', 'approved')] },
+    { feedbackId: 'none', photoDetails: [] }
+];
+
+async function idsWithPhotos(store, hasPhotos) {
+    setFeedbackStore(store);
+    const { query } = parseFeedbackQuery({ hasPhotos, sort: 'title' });
+    const { records } = await queryFeedback(query);
+    return records.map(record => record.id);
+}
+
+before(async () => {
+    await fileStore.init();
+    for (const store of [fileStore, mongoStore]) {
+        for (const [index, submission] of submissions.entries()) {
+            await store.append({
+                ...submission,
+                title: `${index} ${submission.feedbackId}`,
+                description: 'Photo filter',
+                date: '2025-10-01',
+                timestamp: '2025-10-01T10:00:00.000Z'
+            });
+        }
+    }
+});
+
+after(() => {
+    models.Feedback.clear();
+    setFeedbackStore(fileStore);
+});
+
+test('hasPhotos only counts photos that may be shown, on every backend', async () => {
+    for (const store of [fileStore, mongoStore]) {
+        assert.deepEqual(await idsWithPhotos(store, true), ['approved', 'unmoderated', 'mixed'], store.name);
+        assert.deepEqual(await idsWithPhotos(store, false), ['held', 'none'], store.name);
+    }
+});
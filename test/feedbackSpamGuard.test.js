@@ -0,0 +1,149 @@
+const { test, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { useMemoryModels, startApp } = require('./helpers/testApp');
+
+const models = useMemoryModels();
+const FeedbackOutbox = require('../models/FeedbackOutbox');
+const feedbackSpamGuard = require('../lib/feedbackSpamGuard');
+const { setRateLimitStore, createMemoryStore } = require('../lib/rateLimitStore');
+
+let api;
+let submissionCount = 0;
+
+function submission(fields = {}) {
+    submissionCount++;
+    return { title: `Crash on launch ${submissionCount}`, description: 'The app closes right away', ...fields };
+}
+
+// A form token issued `ageMs` ago, signed the way GET /api/feedback/form-token signs them
+function formToken(ageMs = 60 * 1000) {
+    const payload = `${Date.now() - ageMs}.${crypto.randomBytes(9).toString('base64url')}`;
+    const signature = crypto.createHmac('sha256', process.env.JWT_SECRET).update(payload).digest('base64url');
+    return `${payload}.${signature}`;
+}
+
+function failingStore() {
+    const fail = async () => {
+        throw new Error('Redis connection refused');
+    };
+    return { incr: fail, pexpire: fail, pttl: fail, set: fail, del: fail };
+}
+
+before(async () => {
+    api = await startApp();
+});
+
+after(() => {
+    delete process.env.FEEDBACK_REQUIRE_FORM_TOKEN;
+    return api.close();
+});
+
+beforeEach(() => {
+    Object.values(models).forEach(memory => memory.clear());
+    setRateLimitStore(createMemoryStore());
+    delete process.env.FEEDBACK_REQUIRE_FORM_TOKEN;
+});
+
+test('a filled-in honeypot gets the normal answer but nothing is stored', async () => {
+    const response = await api.request('POST', '/api/feedback', {
+        token: null,
+        body: submission({ [feedbackSpamGuard.HONEYPOT_FIELD]: 'https://spam.example.com' })
+    });
+
+    assert.equal(response.status, 201);
+    assert.equal(response.body.success, true);
+    assert.equal(response.body.message, 'Feedback submitted successfully');
+    assert.equal(typeof response.body.data.id, 'string');
+    assert.equal(models.FeedbackOutbox.docs.length, 0);
+    assert.doesNotMatch(JSON.stringify(response.body), /honeypot|website/i);
+});
+
+test('form token failures get one generic answer', async () => {
+    process.env.FEEDBACK_REQUIRE_FORM_TOKEN = 'true';
+
+    const missing = await api.request('POST', '/api/feedback', { token: null, body: submission() });
+    const tooFast = await api.request('POST', '/api/feedback', { token: null, body: submission({ formToken: formToken(0) }) });
+    const forged = await api.request('POST', '/api/feedback', { token: null, body: submission({ formToken: `${Date.now() - 60000}.abc.forged` }) });
+
+    for (const response of [missing, tooFast, forged]) {
+        assert.equal(response.status, 400);
+        assert.equal(response.body.error, 'Validation failed');
+        assert.deepEqual(response.body.details.map(detail => detail.field), ['formToken']);
+    }
+    assert.equal(new Set([missing, tooFast, forged].map(response => response.body.message)).size, 1);
+    assert.equal(models.FeedbackOutbox.docs.length, 0);
+});
+
+test('a form token is accepted once', async () => {
+    process.env.FEEDBACK_REQUIRE_FORM_TOKEN = 'true';
+    const token = formToken();
+
+    const first = await api.request('POST', '/api/feedback', { token: null, body: submission({ formToken: token }) });
+    const second = await api.request('POST', '/api/feedback', { token: null, body: submission({ formToken: token }) });
+
+    assert.equal(first.status, 201);
+    assert.equal(second.status, 400);
+    assert.equal(models.FeedbackOutbox.docs.length, 1);
+});
+
+test('submissions still go through when the rate limit store is down', async () => {
+    process.env.FEEDBACK_REQUIRE_FORM_TOKEN = 'true';
+    setRateLimitStore(failingStore());
+
+    const response = await api.request('POST', '/api/feedback', { token: null, body: submission({ formToken: formToken() }) });
+
+    assert.equal(response.status, 201);
+    assert.equal(models.FeedbackOutbox.docs.length, 1);
+});
+
+test('a refused or failed submission gives its form token back', async t => {
+    process.env.FEEDBACK_REQUIRE_FORM_TOKEN = 'true';
+    const token = formToken();
+
+    const refused = await api.request('POST', '/api/feedback', { token: null, body: submission({ formToken: token, uploadedPhotos: 'not a list' }) });
+    assert.equal(refused.status, 400);
+
+    const outboxCreate = t.mock.method(FeedbackOutbox, 'create', async () => {
+        throw new Error('Outbox unavailable');
+    });
+    const failed = await api.request('POST', '/api/feedback', { token: null, body: submission({ formToken: token }) });
+    assert.equal(failed.status, 500);
+    outboxCreate.mock.restore();
+
+    const accepted = await api.request('POST', '/api/feedback', { token: null, body: submission({ formToken: token }) });
+    assert.equal(accepted.status, 201);
+
+    const reused = await api.request('POST', '/api/feedback', { token: null, body: submission({ formToken: token }) });
+    assert.equal(reused.status, 400);
+});
+
+test('only accepted submissions count against the per-user limit', async () => {
+    // As many refused submissions as the default per-user limit allows, then that many accepted
+    // ones (20 requests in all, the per-IP limit)
+    for (let attempt = 0; attempt < 10; attempt++) {
+        const refused = await api.request('POST', '/api/feedback', { token: null, body: submission({ userId: 'user-9', uploadedPhotos: 'not a list' }) });
+        assert.equal(refused.status, 400);
+    }
+
+    for (let attempt = 0; attempt < 10; attempt++) {
+        const accepted = await api.request('POST', '/api/feedback', { token: null, body: submission({ userId: 'user-9' }) });
+        assert.equal(accepted.status, 201);
+    }
+});
+
+test('the per-user limit refuses the submission after the limit until a claim is released', async () => {
+    const checks = [];
+    for (let attempt = 0; attempt < 10; attempt++) {
+        checks.push(await feedbackSpamGuard.checkSubmission({ userId: 'user-10' }));
+    }
+    assert.ok(checks.every(check => check.claims && check.claims.userLimitKey));
+
+    const limited = await feedbackSpamGuard.checkSubmission({ userId: 'user-10' });
+    assert.ok(limited.retryAfter > 0);
+
+    // The refused check isn't counted either, so releasing one claim makes room for exactly one more
+    await feedbackSpamGuard.releaseClaims(checks[0].claims);
+    assert.ok((await feedbackSpamGuard.checkSubmission({ userId: 'user-10' })).claims);
+    assert.ok((await feedbackSpamGuard.checkSubmission({ userId: 'user-10' })).retryAfter > 0);
+});
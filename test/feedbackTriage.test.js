@@ -0,0 +1,84 @@
+const { test, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { useMemoryModels, startApp, adminToken } = require('./helpers/testApp');
+
+const models = useMemoryModels();
+const { createFeedbackStore, setFeedbackStore } = require('../lib/feedbackStore');
+
+let api;
+let store;
+
+before(async () => {
+    store = createFeedbackStore('mongo');
+    setFeedbackStore(store);
+    api = await startApp();
+});
+
+after(() => api.close());
+
+beforeEach(() => {
+    Object.values(models).forEach(memory => memory.clear());
+});
+
+function addFeedback(feedbackId = 'fb-1') {
+    return store.append({ feedbackId, title: 'Crash on launch', description: 'Crashes on iOS 18', userId: 'user-7' });
+}
+
+test('status moves along the workflow and every change is recorded', async () => {
+    await addFeedback();
+
+    const triaged = await api.request('PATCH', '/api/feedback/fb-1', { body: { status: 'triaged' } });
+    assert.equal(triaged.status, 200);
+    const resolved = await api.request('PATCH', '/api/feedback/fb-1', { body: { status: 'resolved' } });
+    assert.equal(resolved.status, 200);
+
+    const backToNew = await api.request('PATCH', '/api/feedback/fb-1', { body: { status: 'new' } });
+    assert.equal(backToNew.status, 409);
+    assert.match(backToNew.body.message, /Allowed: in_progress/);
+
+    const record = await store.get('fb-1');
+    assert.equal(record.status, 'resolved');
+    assert.deepEqual(record.status_history.map(change => [change.from, change.to, change.changedBy]), [
+        ['new', 'triaged', 'alice'],
+        ['triaged', 'resolved', 'alice']
+    ]);
+});
+
+test('assignee and labels are validated and normalized', async () => {
+    await addFeedback();
+
+    const invalid = await api.request('PATCH', '/api/feedback/fb-1', { body: { labels: ['ok', 'no/slashes'] } });
+    assert.equal(invalid.status, 400);
+    const empty = await api.request('PATCH', '/api/feedback/fb-1', { body: {} });
+    assert.equal(empty.status, 400);
+
+    const updated = await api.request('PATCH', '/api/feedback/fb-1', { body: { assignee: ' priya ', labels: ['Crash', 'iOS', 'crash'] } });
+    assert.equal(updated.status, 200);
+    const record = await store.get('fb-1');
+    assert.equal(record.assignee, 'priya');
+    assert.deepEqual(record.labels, ['crash', 'ios']);
+
+    const missing = await api.request('PATCH', '/api/feedback/nope', { body: { status: 'triaged' } });
+    assert.equal(missing.status, 404);
+});
+
+test('notes from two admins at once are both kept, and can be removed', async () => {
+    await addFeedback();
+
+    const [first, second] = await Promise.all([
+        api.request('POST', '/api/feedback/fb-1/notes', { body: { text: 'Reproduced on iPhone 15' }, token: adminToken('priya') }),
+        api.request('POST', '/api/feedback/fb-1/notes', { body: { text: 'Likely the new splash screen' }, token: adminToken('sam') })
+    ]);
+    assert.equal(first.status, 201);
+    assert.equal(second.status, 201);
+
+    const notes = await api.request('GET', '/api/feedback/fb-1/notes');
+    assert.equal(notes.body.count, 2);
+    assert.deepEqual(notes.body.data.map(note => note.author).sort(), ['priya', 'sam']);
+
+    const removed = await api.request('DELETE', `/api/feedback/fb-1/notes/${first.body.data.id}`);
+    assert.equal(removed.status, 200);
+    const again = await api.request('DELETE', `/api/feedback/fb-1/notes/${first.body.data.id}`);
+    assert.equal(again.status, 404);
+    assert.equal((await store.get('fb-1')).notes.length, 1);
+});
@@ -0,0 +1,90 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.GOOGLE_SHEET_ID = 'test-sheet';
+process.env.SHEETS_RETRY_BASE_DELAY_MS = '1';
+process.env.SHEETS_BREAKER_THRESHOLD = '2';
+console.log = () => {};
+console.error = () => {};
+
+const sheetsClient = require('../lib/googleSheetsClient');
+const sheetsStore = require('../lib/feedbackStores/googleSheets');
+
+function serviceUnavailable() {
+    const error = new Error('Service Unavailable');
+    error.response = { status: 503, headers: {} };
+    return error;
+}
+
+// Offline stand-in for the Sheets API. `failures` lists errors thrown by the next calls, in order.
+function createFakeSheets(failures = []) {
+    const fake = {
+        calls: [],
+        rows: [['Title', 'Description', 'Photos', 'User ID', 'Email ID', 'Date', 'TimeStamp']],
+        spreadsheets: {
+            values: {
+                async get() {
+                    fake.calls.push('get');
+                    if (failures.length > 0) throw failures.shift();
+                    return { data: { values: fake.rows } };
+                },
+                async append({ resource }) {
+                    fake.calls.push('append');
+                    if (failures.length > 0) throw failures.shift();
+                    fake.rows.push(...resource.values);
+                    return { data: {} };
+                }
+            }
+        }
+    };
+    return fake;
+}
+
+let sheets;
+
+beforeEach(() => {
+    sheets = createFakeSheets();
+    sheetsClient.setSheetsClient(sheets);
+});
+
+test('reads are retried after a transient error', async () => {
+    sheets = createFakeSheets([serviceUnavailable()]);
+    sheetsClient.setSheetsClient(sheets);
+
+    const feedback = await sheetsStore.list();
+
+    assert.deepEqual(feedback, []);
+    assert.deepEqual(sheets.calls, ['get', 'get']);
+    assert.equal(sheetsClient.getBreakerState(), 'closed');
+});
+
+test('a failed append is not retried, so a row that did land is never written twice', async () => {
+    sheets = createFakeSheets([serviceUnavailable()]);
+    sheetsClient.setSheetsClient(sheets);
+
+    await assert.rejects(sheetsStore.append({ title: 'Broken button' }), /Service Unavailable/);
+    assert.deepEqual(sheets.calls, ['append']);
+});
+
+test('the circuit opens after repeated outages and refuses calls until the cooldown', async () => {
+    sheets = createFakeSheets([serviceUnavailable(), serviceUnavailable()]);
+    sheetsClient.setSheetsClient(sheets);
+
+    await assert.rejects(sheetsStore.append({ title: 'One' }));
+    await assert.rejects(sheetsStore.append({ title: 'Two' }));
+    assert.equal(sheetsClient.getBreakerState(), 'open');
+
+    await assert.rejects(sheetsStore.list(), error => error.code === 'FEEDBACK_STORE_UNAVAILABLE' && error.retryAfter > 0);
+    assert.deepEqual(sheets.calls, ['append', 'append']);
+});
+
+test('errors that will not go away are neither retried nor counted as an outage', async () => {
+    const badRange = new Error('Unable to parse range');
+    badRange.response = { status: 400, headers: {} };
+    sheets = createFakeSheets([badRange]);
+    sheetsClient.setSheetsClient(sheets);
+
+    await assert.rejects(sheetsStore.list(), /Unable to parse range/);
+    assert.deepEqual(sheets.calls, ['get']);
+    assert.equal(sheetsClient.getBreakerState(), 'closed');
+});
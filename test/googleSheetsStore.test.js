@@ -0,0 +1,79 @@
+const { test, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.GOOGLE_SHEET_ID = 'test-sheet';
+console.log = () => {};
+
+const { setSheetsClient } = require('../lib/googleSheetsClient');
+const sheetsStore = require('../lib/feedbackStores/googleSheets');
+
+// Offline stand-in for the Sheets API holding Sheet1 as an array of rows. Calls answer a few ticks
+// later, the way a network round trip would, with row updates the slowest, so concurrent writes
+// interleave.
+function createFakeSheets(rows) {
+    const later = async (value, ticks = 1) => {
+        for (let i = 0; i < ticks; i++) {
+            await new Promise(resolve => setImmediate(resolve));
+        }
+        return value;
+    };
+    const fake = {
+        rows,
+        spreadsheets: {
+            values: {
+                get: () => later({ data: { values: fake.rows.map(row => [...row]) } }),
+                async update({ range, resource }) {
+                    await later(null, 3);
+                    const rowNumber = parseInt(range.match(/!A(\d+):/)[1], 10);
+                    fake.rows[rowNumber - 1] = resource.values[0];
+                    return { data: {} };
+                },
+                async append({ resource }) {
+                    await later();
+                    fake.rows.push(...resource.values);
+                    return { data: {} };
+                }
+            },
+            get: () => later({ data: { sheets: [{ properties: { sheetId: 0, title: 'Sheet1' } }] } }),
+            async batchUpdate({ resource }) {
+                await later();
+                const { startIndex, endIndex } = resource.requests[0].deleteDimension.range;
+                fake.rows.splice(startIndex, endIndex - startIndex);
+                return { data: {} };
+            }
+        }
+    };
+    return fake;
+}
+
+const HEADERS = ['Title', 'Description', 'Photos', 'User ID', 'Email ID', 'Date', 'TimeStamp', 'ID', 'Photo Details', 'Status'];
+
+function row(id, status = 'new') {
+    return [`Feedback ${id}`, 'Details', '', 'u1', '', '2025-10-01', '2025-10-01T10:00:00.000Z', id, '[]', status];
+}
+
+let sheets;
+
+beforeEach(() => {
+    sheets = createFakeSheets([HEADERS, row('a'), row('b'), row('c')]);
+    setSheetsClient(sheets);
+});
+
+after(() => setSheetsClient(null));
+
+test('a delete running alongside an update of another record leaves the right rows', async () => {
+    const [removed, updated] = await Promise.all([
+        sheetsStore.remove('a'),
+        sheetsStore.update('b', { status: 'resolved' })
+    ]);
+
+    assert.equal(removed, true);
+    assert.equal(updated.status, 'resolved');
+    assert.deepEqual(sheets.rows.slice(1).map(values => [values[7], values[9]]), [['b', 'resolved'], ['c', 'new']]);
+});
+
+test('back-to-back deletes each remove their own row', async () => {
+    await Promise.all([sheetsStore.remove('a'), sheetsStore.remove('b')]);
+
+    assert.deepEqual(sheets.rows.slice(1).map(values => values[7]), ['c']);
+});
@@ -0,0 +1,169 @@
+// Offline stand-in for the Cloudinary SDK, installed with setCloudinaryClient(). It keeps the
+// uploaded resources in a map and records every upload, rename and destroy call.
+// Direct-upload response signatures are `sig-<public_id>`; anything else fails verification.
+// Its fetch() serves the stored files from its own URLs; mock the global fetch with it.
+
+const TRANSFORMATION_KEYS = { width: 'w', height: 'h', crop: 'c', background: 'b', effect: 'e' };
+
+// { width: 48, crop: 'fill' } -> 'w_48,c_fill', the way the SDK writes a transformation step
+function renderStep(step) {
+    return Object.entries(step).map(([key, value]) => `${TRANSFORMATION_KEYS[key] || key}_${value}`).join(',');
+}
+
+function createFakeCloudinary() {
+    let uploadCount = 0;
+
+    const fake = {
+        // `${type}:${publicId}` -> { public_id, type, created_at, bytes, buffer }
+        resources: new Map(),
+        uploads: [],
+        renames: [],
+        destroyed: [],
+        // Set to an Error to make the next uploads (or renames) fail
+        uploadError: null,
+        renameError: null,
+
+        has(publicId, type = 'upload') {
+            return fake.resources.has(`${type}:${publicId}`);
+        },
+
+        add(publicId, { type = 'upload', createdAt = new Date(), buffer = createPng() } = {}) {
+            fake.resources.set(`${type}:${publicId}`, {
+                public_id: publicId,
+                type,
+                created_at: createdAt.toISOString(),
+                bytes: buffer.length,
+                buffer
+            });
+        },
+
+        // Function to put a photo in the folder the way an app's signed upload would (as an
+        // 'authenticated' resource), returning the upload response the app then posts as uploadedPhotos
+        directUpload(publicId, buffer = createPng()) {
+            fake.add(publicId, { type: 'authenticated', buffer });
+            return {
+                public_id: publicId,
+                version: Math.floor(Date.now() / 1000),
+                signature: `sig-${publicId}`,
+                format: 'png',
+                width: 800,
+                height: 600,
+                bytes: buffer.length,
+                original_filename: 'photo'
+            };
+        },
+
+        // Downloads from url() addresses, with or without a version or format
+        async fetch(url) {
+            const [, type, rest] = new URL(url).pathname.match(/^\/test-cloud\/image\/([a-z]+)\/(.+)$/) || [];
+            const publicId = (rest || '').replace(/^v\d+\//, '').replace(/\.[a-z]+$/, '');
+            const resource = fake.resources.get(`${type}:${publicId}`);
+            return resource ? new Response(resource.buffer) : new Response('Not found', { status: 404 });
+        },
+
+        config() {
+            return { cloud_name: 'test-cloud', api_key: 'test-key', api_secret: 'test-secret' };
+        },
+
+        url(publicId, { type = 'upload', version, format, transformation } = {}) {
+            const steps = Array.isArray(transformation) ? transformation.map(renderStep).join('/') : transformation;
+            // Fetched URLs keep their own name, so the format goes in as f_<format>, as in the SDK
+            if (type === 'fetch') {
+                return `https://res.cloudinary.com/test-cloud/image/fetch/${[steps, format && `f_${format}`, publicId].filter(Boolean).join('/')}`;
+            }
+            const parts = [steps, version && `v${version}`, format ? `${publicId}.${format}` : publicId].filter(Boolean);
+            return `https://res.cloudinary.com/test-cloud/image/${type}/${parts.join('/')}`;
+        },
+
+        utils: {
+            api_sign_request: params => `signed-${Object.keys(params).sort().join(',')}`,
+            verify_api_response_signature: (publicId, version, signature) => signature === `sig-${publicId}`
+        },
+
+        uploader: {
+            upload_stream(options, callback) {
+                return {
+                    end(buffer) {
+                        setImmediate(() => {
+                            if (fake.uploadError) {
+                                return callback(fake.uploadError);
+                            }
+                            uploadCount++;
+                            const publicId = options.folder ? `${options.folder}/${options.public_id}` : options.public_id;
+                            const type = options.type || 'upload';
+                            fake.add(publicId, { type, buffer });
+                            fake.uploads.push({ publicId, options, buffer });
+                            callback(null, {
+                                public_id: publicId,
+                                secure_url: fake.url(publicId, { type, version: uploadCount }),
+                                width: 800,
+                                height: 600,
+                                bytes: buffer.length
+                            });
+                        });
+                    }
+                };
+            },
+
+            async rename(fromId, toId, { type = 'upload', to_type: toType = type } = {}) {
+                if (fake.renameError) {
+                    throw fake.renameError;
+                }
+                const resource = fake.resources.get(`${type}:${fromId}`);
+                if (!resource) {
+                    throw new Error(`Resource not found - ${fromId}`);
+                }
+                fake.resources.delete(`${type}:${fromId}`);
+                fake.add(toId, { type: toType, createdAt: new Date(resource.created_at), buffer: resource.buffer });
+                fake.renames.push({ fromId, toId, type, toType });
+                return { public_id: toId, secure_url: fake.url(toId, { type: toType }) };
+            },
+
+            async destroy(publicId, { type = 'upload' } = {}) {
+                const existed = fake.resources.delete(`${type}:${publicId}`);
+                fake.destroyed.push({ publicId, type });
+                return { result: existed ? 'ok' : 'not found' };
+            }
+        },
+
+        api: {
+            async resources({ type = 'upload', prefix = '' } = {}) {
+                const resources = [...fake.resources.values()]
+                    .filter(resource => resource.type === type && resource.public_id.startsWith(prefix));
+                return { resources };
+            }
+        }
+    };
+
+    return fake;
+}
+
+// A minimal PNG (header, IHDR, empty IDAT, IEND) with optional extra chunks before IDAT, e.g.
+// [['tEXt', 'Author\0someone']]. Checksums are left at zero; nothing here reads them.
+function createPng({ width = 4, height = 4, chunks = [] } = {}) {
+    const chunk = (type, data = Buffer.alloc(0)) => {
+        const header = Buffer.alloc(8);
+        header.writeUInt32BE(data.length, 0);
+        header.write(type, 4, 'ascii');
+        return Buffer.concat([header, Buffer.from(data), Buffer.alloc(4)]);
+    };
+
+    const ihdr = Buffer.alloc(13);
+    ihdr.writeUInt32BE(width, 0);
+    ihdr.writeUInt32BE(height, 4);
+    ihdr[8] = 8;
+    ihdr[9] = 6;
+
+    return Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+        chunk('IHDR', ihdr),
+        ...chunks.map(([type, data]) => chunk(type, data)),
+        chunk('IDAT'),
+        chunk('IEND')
+    ]);
+}
+
+module.exports = {
+    createFakeCloudinary,
+    createPng
+};
@@ -0,0 +1,348 @@
+// In-memory stand-in for a Mongoose model, so the stores can be tested without a MongoDB server.
+// useMemoryModel(Model) swaps the model's query methods for ones that work on an array; the real
+// schema still applies defaults, casting and validation. It covers the queries lib/ makes:
+//   filters   equality (dotted paths, array fields, null for missing), RegExp, $in, $ne, $exists,
+//             $gt, $gte, $lt, $lte, $or
+//   updates   plain fields, $set, $unset, $inc, $push, $pull, $setOnInsert
+//   queries   sort, skip, limit, lean, select, collation (strength 2 compares strings case-insensitively)
+// Unique indexes on single paths are enforced with Mongo's 11000 duplicate key error.
+
+const METHODS = [
+    'find', 'findOne', 'findById', 'exists', 'countDocuments', 'create', 'insertMany',
+    'findOneAndUpdate', 'findByIdAndUpdate', 'updateOne', 'updateMany',
+    'findOneAndDelete', 'findByIdAndDelete', 'deleteOne', 'deleteMany', 'aggregate'
+];
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && [Object.prototype, null].includes(Object.getPrototypeOf(value));
+}
+
+function clone(value) {
+    if (Array.isArray(value)) return value.map(clone);
+    if (value instanceof Date) return new Date(value.getTime());
+    if (isPlainObject(value)) {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, clone(item)]));
+    }
+    return value;
+}
+
+function getPath(doc, path) {
+    return path.split('.').reduce((value, key) => {
+        if (value === undefined || value === null) return undefined;
+        // { 'photoDetails.public_id': x } looks inside every array element
+        if (Array.isArray(value) && !/^\d+$/.test(key)) return value.map(item => item && item[key]);
+        return value[key];
+    }, doc);
+}
+
+function setPath(doc, path, value) {
+    const keys = path.split('.');
+    const last = keys.pop();
+    const parent = keys.reduce((target, key) => {
+        if (!isPlainObject(target[key]) && !Array.isArray(target[key])) target[key] = {};
+        return target[key];
+    }, doc);
+    parent[last] = value;
+}
+
+function unsetPath(doc, path) {
+    const keys = path.split('.');
+    const last = keys.pop();
+    const parent = keys.reduce((target, key) => (target ? target[key] : undefined), doc);
+    if (parent) delete parent[last];
+}
+
+function comparable(value) {
+    if (value instanceof Date) return value.getTime();
+    if (value && value._bsontype === 'ObjectId') return String(value);
+    return value;
+}
+
+function equals(a, b, caseInsensitive) {
+    if (b instanceof RegExp) return typeof a === 'string' && b.test(a);
+    if ((a === undefined || a === null) && (b === undefined || b === null)) return true;
+    if (caseInsensitive && typeof a === 'string' && typeof b === 'string') {
+        return a.toLowerCase() === b.toLowerCase();
+    }
+    if (isPlainObject(a) && isPlainObject(b)) return JSON.stringify(a) === JSON.stringify(b);
+    return comparable(a) === comparable(b);
+}
+
+// A field that holds an array matches when any element does
+function matchesValue(actual, expected, caseInsensitive) {
+    if (Array.isArray(actual) && !Array.isArray(expected)) {
+        return actual.some(item => matchesValue(item, expected, caseInsensitive));
+    }
+    return equals(actual, expected, caseInsensitive);
+}
+
+function compare(a, b) {
+    const left = comparable(a);
+    const right = comparable(b);
+    if (left === right) return 0;
+    if (left === undefined || left === null) return -1;
+    if (right === undefined || right === null) return 1;
+    return left < right ? -1 : 1;
+}
+
+const OPERATORS = {
+    $in: (actual, list, ci) => list.some(item => matchesValue(actual, item, ci)),
+    $nin: (actual, list, ci) => !list.some(item => matchesValue(actual, item, ci)),
+    $ne: (actual, value, ci) => !matchesValue(actual, value, ci),
+    $exists: (actual, wanted) => (actual !== undefined) === Boolean(wanted),
+    $gt: (actual, value) => actual !== undefined && actual !== null && compare(actual, value) > 0,
+    $gte: (actual, value) => actual !== undefined && actual !== null && compare(actual, value) >= 0,
+    $lt: (actual, value) => actual !== undefined && actual !== null && compare(actual, value) < 0,
+    $lte: (actual, value) => actual !== undefined && actual !== null && compare(actual, value) <= 0
+};
+
+function matches(doc, filter = {}, caseInsensitive = false) {
+    return Object.entries(filter).every(([key, condition]) => {
+        if (key === '$or') return condition.some(part => matches(doc, part, caseInsensitive));
+        if (key === '$and') return condition.every(part => matches(doc, part, caseInsensitive));
+
+        const actual = getPath(doc, key);
+        const operators = isPlainObject(condition) && Object.keys(condition).some(name => name.startsWith('$'));
+        if (!operators) return matchesValue(actual, condition, caseInsensitive);
+
+        return Object.entries(condition).every(([name, value]) => {
+            if (!OPERATORS[name]) throw new Error(`memoryModel does not support ${name}`);
+            return OPERATORS[name](actual, value, caseInsensitive);
+        });
+    });
+}
+
+function sortDocs(docs, sort) {
+    const keys = Object.entries(sort);
+    return docs.sort((a, b) => {
+        for (const [key, direction] of keys) {
+            const result = compare(getPath(a, key), getPath(b, key));
+            if (result !== 0) return direction < 0 || direction === 'desc' ? -result : result;
+        }
+        return 0;
+    });
+}
+
+function applyUpdate(doc, update, { inserting = false } = {}) {
+    const operators = Object.keys(update).some(key => key.startsWith('$'));
+    const changes = operators ? update : { $set: update };
+
+    Object.entries(changes.$set || {}).forEach(([path, value]) => setPath(doc, path, clone(value)));
+    if (inserting) {
+        Object.entries(changes.$setOnInsert || {}).forEach(([path, value]) => setPath(doc, path, clone(value)));
+    }
+    Object.keys(changes.$unset || {}).forEach(path => unsetPath(doc, path));
+    Object.entries(changes.$inc || {}).forEach(([path, value]) => setPath(doc, path, (getPath(doc, path) || 0) + value));
+    Object.entries(changes.$push || {}).forEach(([path, value]) => {
+        const list = getPath(doc, path) || [];
+        const items = isPlainObject(value) && value.$each ? value.$each : [value];
+        setPath(doc, path, list.concat(items.map(clone)));
+    });
+    Object.entries(changes.$pull || {}).forEach(([path, condition]) => {
+        const list = getPath(doc, path) || [];
+        setPath(doc, path, list.filter(item => (isPlainObject(condition) ? !matches(item, condition) : !equals(item, condition))));
+    });
+}
+
+// Chainable, awaitable query over a snapshot of matching documents
+class MemoryQuery {
+    constructor(model, run, { single = false } = {}) {
+        this.model = model;
+        this.run = run;
+        this.single = single;
+        this.options = { lean: false };
+    }
+
+    sort(sort) { this.options.sort = sort; return this; }
+    skip(count) { this.options.skip = count; return this; }
+    limit(count) { this.options.limit = count; return this; }
+    lean() { this.options.lean = true; return this; }
+    select() { return this; }
+    collation(collation) { this.options.collation = collation; return this; }
+    exec() { return Promise.resolve().then(() => this.resolve()); }
+    then(resolve, reject) { return this.exec().then(resolve, reject); }
+    catch(reject) { return this.exec().catch(reject); }
+
+    resolve() {
+        const caseInsensitive = Boolean(this.options.collation && this.options.collation.strength <= 2);
+        let docs = this.run({ caseInsensitive, sort: this.options.sort });
+        if (!Array.isArray(docs)) {
+            return docs ? this.model.output(docs, this.options.lean) : docs;
+        }
+
+        if (this.options.sort) docs = sortDocs(docs.slice(), this.options.sort);
+        if (this.options.skip) docs = docs.slice(this.options.skip);
+        if (this.options.limit) docs = docs.slice(0, this.options.limit);
+        const results = docs.map(doc => this.model.output(doc, this.options.lean));
+        return this.single ? (results[0] || null) : results;
+    }
+}
+
+function useMemoryModel(Model) {
+    const originals = Object.fromEntries(METHODS.map(name => [name, Object.getOwnPropertyDescriptor(Model, name)]));
+    const docs = [];
+    const uniquePaths = Object.keys(Model.schema.paths).filter(path => Model.schema.paths[path].options.unique);
+    const timestamps = Boolean(Model.schema.options.timestamps);
+
+    const memory = {
+        docs,
+        output(doc, lean) {
+            return lean ? clone(doc) : Model.hydrate(clone(doc));
+        },
+        build(data) {
+            const document = new Model(data);
+            const error = document.validateSync();
+            if (error) throw error;
+            const doc = document.toObject();
+            if (timestamps) {
+                doc.createdAt = doc.createdAt || new Date();
+                doc.updatedAt = new Date();
+            }
+            return doc;
+        },
+        checkUnique(doc) {
+            uniquePaths.forEach(path => {
+                const value = getPath(doc, path);
+                if (value !== undefined && docs.some(other => other !== doc && equals(getPath(other, path), value))) {
+                    const error = new Error(`E11000 duplicate key error collection: ${Model.collection.name} index: ${path}_1 dup key: { ${path}: "${value}" }`);
+                    error.code = 11000;
+                    error.keyValue = { [path]: value };
+                    throw error;
+                }
+            });
+        },
+        insert(data) {
+            const doc = memory.build(data);
+            memory.checkUnique(doc);
+            docs.push(doc);
+            return doc;
+        },
+        // Applies an update in place, restoring the document if it breaks a unique index
+        update(doc, update) {
+            const before = clone(doc);
+            applyUpdate(doc, update);
+            if (timestamps) doc.updatedAt = new Date();
+            try {
+                memory.checkUnique(doc);
+            } catch (error) {
+                Object.keys(doc).forEach(key => delete doc[key]);
+                Object.assign(doc, before);
+                throw error;
+            }
+            return before;
+        },
+        findMatching(filter, { caseInsensitive, sort } = {}) {
+            const found = docs.filter(doc => matches(doc, filter, caseInsensitive));
+            return sort ? sortDocs(found, sort) : found;
+        },
+        restore() {
+            METHODS.forEach(name => {
+                if (originals[name]) {
+                    Object.defineProperty(Model, name, originals[name]);
+                } else {
+                    delete Model[name];
+                }
+            });
+        },
+        clear() {
+            docs.length = 0;
+        }
+    };
+
+    const idFilter = id => ({ _id: id });
+    const findOneAndUpdate = (filter, update, options = {}) => new MemoryQuery(memory, ({ caseInsensitive }) => {
+        let doc = memory.findMatching(filter, { caseInsensitive, sort: options.sort })[0];
+        let before = null;
+        if (!doc && options.upsert) {
+            const seed = Object.fromEntries(Object.entries(filter).filter(([key, value]) => !key.startsWith('$') && !isPlainObject(value)));
+            doc = {};
+            applyUpdate(doc, update, { inserting: true });
+            doc = memory.insert({ ...seed, ...doc });
+        } else if (doc) {
+            before = memory.update(doc, update);
+        }
+        const returnAfter = options.new || options.returnDocument === 'after';
+        return returnAfter ? doc || null : before;
+    });
+    const findOneAndDelete = filter => new MemoryQuery(memory, ({ caseInsensitive }) => {
+        const doc = memory.findMatching(filter, { caseInsensitive })[0];
+        if (doc) docs.splice(docs.indexOf(doc), 1);
+        return doc || null;
+    });
+
+    const statics = {
+        find: filter => new MemoryQuery(memory, ({ caseInsensitive }) => memory.findMatching(filter, { caseInsensitive })),
+        findOne: filter => new MemoryQuery(memory, ({ caseInsensitive }) => memory.findMatching(filter, { caseInsensitive }), { single: true }),
+        findById: id => statics.findOne(idFilter(id)),
+        exists: filter => new MemoryQuery(memory, () => {
+            const doc = memory.findMatching(filter)[0];
+            return doc ? { _id: doc._id } : null;
+        }).lean(),
+        countDocuments: (filter = {}) => new MemoryQuery(memory, () => memory.findMatching(filter)).then(found => found.length),
+        create: async data => {
+            if (Array.isArray(data)) return data.map(item => Model.hydrate(clone(memory.insert(item))));
+            return Model.hydrate(clone(memory.insert(data)));
+        },
+        insertMany: async list => list.map(item => Model.hydrate(clone(memory.insert(item)))),
+        findOneAndUpdate,
+        findByIdAndUpdate: (id, update, options) => findOneAndUpdate(idFilter(id), update, options),
+        updateOne: async (filter, update, options = {}) => {
+            const doc = memory.findMatching(filter)[0];
+            if (!doc) {
+                if (options.upsert) {
+                    await findOneAndUpdate(filter, update, options);
+                    return { matchedCount: 0, modifiedCount: 0, upsertedCount: 1 };
+                }
+                return { matchedCount: 0, modifiedCount: 0 };
+            }
+            memory.update(doc, update);
+            return { matchedCount: 1, modifiedCount: 1 };
+        },
+        updateMany: async (filter, update) => {
+            const found = memory.findMatching(filter);
+            found.forEach(doc => memory.update(doc, update));
+            return { matchedCount: found.length, modifiedCount: found.length };
+        },
+        findOneAndDelete,
+        findByIdAndDelete: id => findOneAndDelete(idFilter(id)),
+        deleteOne: async filter => {
+            const doc = memory.findMatching(filter)[0];
+            if (doc) docs.splice(docs.indexOf(doc), 1);
+            return { deletedCount: doc ? 1 : 0 };
+        },
+        deleteMany: async (filter = {}) => {
+            const found = memory.findMatching(filter);
+            found.forEach(doc => docs.splice(docs.indexOf(doc), 1));
+            return { deletedCount: found.length };
+        },
+        // Only $match and $group with $sum (the outbox status counts)
+        aggregate: async pipeline => pipeline.reduce((rows, stage) => {
+            if (stage.$match) return rows.filter(row => matches(row, stage.$match));
+            if (stage.$group) {
+                const groups = new Map();
+                rows.forEach(row => {
+                    const key = getPath(row, stage.$group._id.replace(/^\$/, ''));
+                    const group = groups.get(key) || { _id: key };
+                    Object.entries(stage.$group).forEach(([field, accumulator]) => {
+                        if (field === '_id') return;
+                        const amount = typeof accumulator.$sum === 'number' ? accumulator.$sum : getPath(row, accumulator.$sum.replace(/^\$/, ''));
+                        group[field] = (group[field] || 0) + amount;
+                    });
+                    groups.set(key, group);
+                });
+                return [...groups.values()];
+            }
+            throw new Error(`memoryModel does not support aggregate stage ${Object.keys(stage)[0]}`);
+        }, clone(docs))
+    };
+
+    Object.entries(statics).forEach(([name, method]) => {
+        Object.defineProperty(Model, name, { value: method, configurable: true, writable: true });
+    });
+
+    return memory;
+}
+
+module.exports = {
+    useMemoryModel
+};
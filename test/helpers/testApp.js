@@ -0,0 +1,87 @@
+// Boots app.js on a random port with every Mongoose model kept in memory (see memoryModel.js).
+// Require this before anything from lib/ so the environment below is in place first.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret-'.repeat(4);
+process.env.ERASURE_HASH_SECRET = process.env.ERASURE_HASH_SECRET || 'test-erasure-secret';
+// Feedback goes to a throwaway JSON file, never to Google Sheets
+process.env.FEEDBACK_STORE = process.env.FEEDBACK_STORE || 'file';
+process.env.FEEDBACK_FILE_PATH = process.env.FEEDBACK_FILE_PATH ||
+    path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'feedback-test-')), 'feedback.json');
+
+// The app's progress lines go to stdout, which node --test also uses to report results; errors
+// still reach stderr
+console.log = () => {};
+
+const jwt = require('jsonwebtoken');
+const { useMemoryModel } = require('./memoryModel');
+
+const MODELS_DIR = path.join(__dirname, '..', '..', 'models');
+
+// Function to put every model in memory. Returns { [modelName]: memory } for seeding and assertions.
+function useMemoryModels() {
+    return Object.fromEntries(fs.readdirSync(MODELS_DIR)
+        .filter(file => file.endsWith('.js'))
+        .map(file => [path.basename(file, '.js'), useMemoryModel(require(path.join(MODELS_DIR, file)))]));
+}
+
+function adminToken(username = 'alice') {
+    return jwt.sign({ role: 'admin', type: 'access', username }, process.env.JWT_SECRET, { subject: '1', expiresIn: '5m' });
+}
+
+// Function to start the app. Returns { baseUrl, request, close }, where
+// request(method, path, { body, form, token, headers }) resolves to { status, headers, body }.
+async function startApp() {
+    const app = require('../../app');
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, () => resolve(listening));
+    });
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    async function request(method, urlPath, { body, form, token = adminToken(), headers = {} } = {}) {
+        const init = { method, headers: { ...headers } };
+        if (token) init.headers.authorization = `Bearer ${token}`;
+        if (form) {
+            init.body = form;
+        } else if (body !== undefined) {
+            init.headers['content-type'] = 'application/json';
+            init.body = JSON.stringify(body);
+        }
+
+        const response = await fetch(baseUrl + urlPath, init);
+        const text = await response.text();
+        let parsed = text;
+        try {
+            parsed = JSON.parse(text);
+        } catch (parseError) {
+            // Not JSON (CSV export, plain text); keep the text
+        }
+        return { status: response.status, headers: response.headers, body: parsed };
+    }
+
+    function close() {
+        return new Promise(resolve => server.close(resolve));
+    }
+
+    return { baseUrl, request, close };
+}
+
+// Function to wait for work a route finishes after responding (pushes, outbox delivery)
+async function waitFor(condition, { timeoutMs = 2000 } = {}) {
+    const deadline = Date.now() + timeoutMs;
+    while (!(await condition())) {
+        if (Date.now() > deadline) {
+            throw new Error('Timed out waiting for condition');
+        }
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+}
+
+module.exports = {
+    useMemoryModels,
+    adminToken,
+    startApp,
+    waitFor
+};
@@ -0,0 +1,77 @@
+const { test, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { useMemoryModels, startApp } = require('./helpers/testApp');
+const { createFakeCloudinary, createPng } = require('./helpers/fakeCloudinary');
+
+// Icon uploads go to Cloudinary only when it is configured
+process.env.CLOUDINARY_CLOUD_NAME = 'test-cloud';
+process.env.CLOUDINARY_API_KEY = 'test-key';
+process.env.CLOUDINARY_API_SECRET = 'test-secret';
+
+const models = useMemoryModels();
+const { setCloudinaryClient } = require('../lib/cloudinaryClient');
+const iconAssets = require('../lib/iconAssets');
+const pushNotifications = require('../lib/pushNotifications');
+
+let api;
+let cloudinary;
+
+before(async () => {
+    pushNotifications.setMessagingClient(null);
+    api = await startApp();
+});
+
+after(() => {
+    setCloudinaryClient(null);
+    return api.close();
+});
+
+beforeEach(() => {
+    Object.values(models).forEach(memory => memory.clear());
+    cloudinary = createFakeCloudinary();
+    setCloudinaryClient(cloudinary);
+});
+
+function addIcon(image, iconName = 'diwali') {
+    const form = new FormData();
+    form.append('iconName', iconName);
+    form.append('displayName', 'Diwali');
+    form.append('icon', new Blob([image], { type: 'image/png' }), 'diwali.png');
+    return api.request('POST', '/api/admin/icons/add', { form });
+}
+
+test('an icon file uploaded through the admin API is stored on Cloudinary', async () => {
+    const response = await addIcon(createPng({ width: 192, height: 192 }));
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.data.storage, 'cloudinary');
+    assert.equal(response.body.data.width, 192);
+    assert.equal(cloudinary.uploads.length, 1);
+    assert.equal(response.body.data.publicId, cloudinary.uploads[0].publicId);
+    assert.ok(response.body.data.publicId.startsWith('app-icons/icon_diwali_'));
+    assert.equal(models.Icon.docs[0].url, response.body.data.url);
+});
+
+test('icon files are checked by their content before anything is stored', async () => {
+    const notSquare = await addIcon(createPng({ width: 192, height: 128 }));
+    assert.equal(notSquare.status, 400);
+    assert.match(notSquare.body.message, /must be square/);
+
+    const tooSmall = await addIcon(createPng({ width: 64, height: 64 }));
+    assert.equal(tooSmall.status, 400);
+
+    const renamed = await addIcon(Buffer.from('GIF89a not really a png'));
+    assert.equal(renamed.status, 400);
+
+    assert.equal(cloudinary.uploads.length, 0);
+    assert.equal(models.Icon.docs.length, 0);
+});
+
+test('deleting a Cloudinary icon image destroys the stored file', async () => {
+    const asset = await iconAssets.saveIconImage(createPng({ width: 256, height: 256 }), 'diwali');
+
+    assert.equal(await iconAssets.deleteIconImage(asset), true);
+    assert.deepEqual(cloudinary.destroyed.map(item => item.publicId), [asset.publicId]);
+    assert.equal(cloudinary.has(asset.publicId), false);
+    assert.equal(await iconAssets.deleteIconImage({ storage: 'url', url: 'https://cdn.example.com/x.png' }), false);
+});
@@ -0,0 +1,89 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { useMemoryModels } = require('./helpers/testApp');
+
+const models = useMemoryModels();
+const iconStore = require('../lib/iconStore');
+const iconScheduler = require('../lib/iconScheduler');
+
+const at = value => new Date(value);
+
+beforeEach(async () => {
+    Object.values(models).forEach(memory => memory.clear());
+    await iconStore.seedDefaultIcons();
+});
+
+async function activeIconName() {
+    return (await iconStore.getActiveIcon()).iconName;
+}
+
+function schedule(campaign) {
+    return iconScheduler.createCampaign({
+        name: campaign.iconName,
+        startAt: at('2025-10-01T00:00:00Z'),
+        endAt: at('2025-10-10T00:00:00Z'),
+        ...campaign
+    });
+}
+
+test('local times are read with the offset in force on that date, either side of a DST change', () => {
+    const { parseInTimezone } = iconScheduler;
+
+    // New York moves from UTC-5 to UTC-4 on 9 March 2025 and back on 2 November
+    assert.equal(parseInTimezone('2025-03-09T01:30:00', 'America/New_York').toISOString(), '2025-03-09T06:30:00.000Z');
+    assert.equal(parseInTimezone('2025-03-09T03:30:00', 'America/New_York').toISOString(), '2025-03-09T07:30:00.000Z');
+    assert.equal(parseInTimezone('2025-11-02T12:00:00', 'America/New_York').toISOString(), '2025-11-02T17:00:00.000Z');
+    assert.equal(parseInTimezone('2025-03-30T12:00:00', 'Europe/London').toISOString(), '2025-03-30T11:00:00.000Z');
+    assert.equal(parseInTimezone('2025-10-20T18:00:00', 'Asia/Kolkata').toISOString(), '2025-10-20T12:30:00.000Z');
+
+    // An explicit offset wins over the zone
+    assert.equal(parseInTimezone('2025-03-09T01:30:00+01:00', 'America/New_York').toISOString(), '2025-03-09T00:30:00.000Z');
+    assert.equal(parseInTimezone('9 March', 'America/New_York'), null);
+});
+
+test('a campaign\'s icon goes live when it starts and the fallback comes back when it ends', async () => {
+    await schedule({ iconName: 'navratri1', fallbackIconName: 'navratri3' });
+
+    assert.equal(await iconScheduler.syncActiveIcon(at('2025-09-30T00:00:00Z')), null);
+    assert.equal(await activeIconName(), 'DEFAULT');
+
+    assert.equal((await iconScheduler.syncActiveIcon(at('2025-10-01T00:00:00Z'))).iconName, 'navratri1');
+    assert.equal(await activeIconName(), 'navratri1');
+
+    assert.equal((await iconScheduler.syncActiveIcon(at('2025-10-10T00:00:00Z'))).iconName, 'navratri3');
+    assert.equal(await activeIconName(), 'navratri3');
+    assert.ok(models.IconCampaign.docs[0].revertedAt);
+});
+
+test('an icon activated by hand during a campaign is left alone by later syncs and by the revert', async () => {
+    await schedule({ iconName: 'navratri1' });
+    await iconScheduler.syncActiveIcon(at('2025-10-01T00:00:00Z'));
+
+    await iconStore.activateIcon('navratri3');
+    assert.equal(await iconScheduler.syncActiveIcon(at('2025-10-01T00:00:30Z')), null);
+    assert.equal(await iconScheduler.syncActiveIcon(at('2025-10-05T00:00:00Z')), null);
+    assert.equal(await activeIconName(), 'navratri3');
+
+    assert.equal(await iconScheduler.syncActiveIcon(at('2025-10-10T00:00:00Z')), null);
+    assert.equal(await activeIconName(), 'navratri3');
+});
+
+test('when an overlapping campaign ends, the one still running takes over again', async () => {
+    await schedule({ iconName: 'navratri1' });
+    await schedule({
+        iconName: 'navratri3',
+        priority: 1,
+        startAt: at('2025-10-03T00:00:00Z'),
+        endAt: at('2025-10-05T00:00:00Z')
+    });
+
+    await iconScheduler.syncActiveIcon(at('2025-10-01T00:00:00Z'));
+    await iconScheduler.syncActiveIcon(at('2025-10-03T00:00:00Z'));
+    assert.equal(await activeIconName(), 'navratri3');
+
+    await iconScheduler.syncActiveIcon(at('2025-10-05T00:00:00Z'));
+    assert.equal(await activeIconName(), 'navratri1');
+
+    await iconScheduler.syncActiveIcon(at('2025-10-10T00:00:00Z'));
+    assert.equal(await activeIconName(), 'DEFAULT');
+});
@@ -0,0 +1,126 @@
+const { test, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { useMemoryModels, startApp } = require('./helpers/testApp');
+
+const models = useMemoryModels();
+const iconStore = require('../lib/iconStore');
+
+let api;
+
+before(async () => {
+    api = await startApp();
+});
+
+after(() => api.close());
+
+beforeEach(async () => {
+    Object.values(models).forEach(memory => memory.clear());
+    await iconStore.seedDefaultIcons();
+});
+
+test('seeds the default icons only into an empty catalog', async () => {
+    assert.deepEqual(models.Icon.docs.map(icon => icon.iconName), ['DEFAULT', 'navratri1', 'navratri3']);
+    assert.equal(await iconStore.seedDefaultIcons(), false);
+    assert.equal(await iconStore.countIcons(), 3);
+    assert.equal((await iconStore.getActiveIcon()).iconName, 'DEFAULT');
+});
+
+test('activating an icon clears the previous one', async () => {
+    const icon = await iconStore.activateIcon('navratri1');
+
+    assert.equal(icon.iconName, 'navratri1');
+    assert.deepEqual(models.Icon.docs.filter(doc => doc.isActive).map(doc => doc.iconName), ['navratri1']);
+    assert.equal(await iconStore.activateIcon('missing'), null);
+});
+
+test('icons added and activated through the admin API are what apps are served', async () => {
+    const added = await api.request('POST', '/api/admin/icons/add', {
+        body: { iconName: 'diwali', displayName: 'Diwali', iconUrl: '/icons/diwali.png' }
+    });
+    assert.equal(added.status, 200);
+    assert.ok(models.Icon.docs.some(doc => doc.iconName === 'diwali'));
+
+    const activated = await api.request('POST', '/api/admin/icons/activate', { body: { iconName: 'diwali' } });
+    assert.equal(activated.status, 200);
+
+    const current = await api.request('GET', '/api/app/current-icon');
+    assert.equal(current.status, 200);
+    assert.equal(current.body.data.iconName, 'diwali');
+    assert.equal(current.body.data.url, `${api.baseUrl}/icons/diwali.png`);
+});
+
+test('adding an icon that already exists is rejected', async () => {
+    const response = await api.request('POST', '/api/admin/icons/add', {
+        body: { iconName: 'navratri1', displayName: 'Again', iconUrl: '/icons/n1.png' }
+    });
+    assert.equal(response.status, 400);
+    assert.equal(response.body.success, false);
+    assert.equal(models.Icon.docs.filter(doc => doc.iconName === 'navratri1').length, 1);
+});
+
+test('deleting the active icon activates the replacement after it is gone', async () => {
+    await iconStore.activateIcon('navratri1');
+
+    const missing = await api.request('DELETE', '/api/admin/icons/navratri1');
+    assert.equal(missing.status, 409);
+
+    const response = await api.request('DELETE', '/api/admin/icons/navratri1', { body: { replacementIconName: 'navratri3' } });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.data.activeIcon, 'navratri3');
+    assert.deepEqual(models.Icon.docs.map(doc => [doc.iconName, doc.isActive]), [['DEFAULT', false], ['navratri3', true]]);
+});
+
+test('a failed delete leaves the replacement inactive', async () => {
+    await iconStore.activateIcon('navratri1');
+    const Icon = require('../models/Icon');
+    const findOneAndDelete = Icon.findOneAndDelete;
+    Icon.findOneAndDelete = () => ({ lean: async () => { throw new Error('write failed'); } });
+
+    try {
+        const response = await api.request('DELETE', '/api/admin/icons/navratri1?replacement=navratri3');
+        assert.equal(response.status, 500);
+    } finally {
+        Icon.findOneAndDelete = findOneAndDelete;
+    }
+    assert.equal((await iconStore.getActiveIcon()).iconName, 'navratri1');
+    assert.equal((await iconStore.getIcon('navratri3')).isActive, false);
+});
+
+test('the fallback icon and unknown replacements are refused', async () => {
+    const fallback = await api.request('DELETE', '/api/admin/icons/DEFAULT');
+    assert.equal(fallback.status, 400);
+
+    await iconStore.activateIcon('navratri1');
+    const unknown = await api.request('DELETE', '/api/admin/icons/navratri1?replacement=missing');
+    assert.equal(unknown.status, 400);
+    assert.equal(await iconStore.countIcons(), 3);
+});
+
+test('rollback follows icon ids across a rename and leaves past events as recorded', async () => {
+    await api.request('POST', '/api/admin/icons/activate', { body: { iconName: 'navratri1' } });
+    await api.request('POST', '/api/admin/icons/activate', { body: { iconName: 'navratri3' } });
+
+    const renamed = await api.request('PATCH', '/api/admin/icons/navratri1', { body: { newIconName: 'navratri-day1' } });
+    assert.equal(renamed.status, 200);
+    const recorded = models.IconActivation.docs.map(event => [event.previousIconName, event.iconName]);
+    assert.deepEqual(recorded, [['DEFAULT', 'navratri1'], ['navratri1', 'navratri3']]);
+
+    const rollback = await api.request('POST', '/api/admin/icons/rollback');
+    assert.equal(rollback.status, 200);
+    assert.equal(rollback.body.data.activeIcon, 'navratri-day1');
+    assert.deepEqual(models.IconActivation.docs.slice(0, 2).map(event => [event.previousIconName, event.iconName]), recorded);
+
+    const history = await api.request('GET', '/api/admin/icons/history?iconName=navratri-day1');
+    assert.equal(history.body.total, 3);
+});
+
+test('rollback is refused once the active icon has moved on', async () => {
+    await api.request('POST', '/api/admin/icons/activate', { body: { iconName: 'navratri1' } });
+    await iconStore.activateIcon('navratri3', { source: 'campaign' });
+    await iconStore.activateIcon('navratri1');
+    models.IconActivation.docs[2].rolledBackAt = new Date();
+
+    const rollback = await api.request('POST', '/api/admin/icons/rollback');
+    assert.equal(rollback.status, 409);
+    assert.equal((await iconStore.getActiveIcon()).iconName, 'navratri1');
+});
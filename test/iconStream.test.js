@@ -0,0 +1,123 @@
+const { test, before, beforeEach, afterEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { useMemoryModels, startApp, waitFor } = require('./helpers/testApp');
+
+const models = useMemoryModels();
+const iconStore = require('../lib/iconStore');
+const iconStream = require('../lib/iconStream');
+const pushNotifications = require('../lib/pushNotifications');
+
+let api;
+
+before(async () => {
+    pushNotifications.setMessagingClient(null);
+    api = await startApp();
+});
+
+after(() => api.close());
+
+beforeEach(async () => {
+    Object.values(models).forEach(memory => memory.clear());
+    await iconStore.seedDefaultIcons();
+});
+
+// Every test closes its streams; the hub must notice before the next one starts
+afterEach(() => waitFor(() => iconStream.getClientCount() === 0));
+
+// Function to open the stream and collect parsed events as they arrive. Call close() when done.
+async function openStream(path = '/api/app/icon-stream', headers = {}) {
+    const controller = new AbortController();
+    const response = await fetch(api.baseUrl + path, { headers, signal: controller.signal });
+    const events = [];
+    let buffered = '';
+
+    const reading = (async () => {
+        const decoder = new TextDecoder();
+        for await (const chunk of response.body) {
+            buffered += decoder.decode(chunk, { stream: true });
+            let end;
+            while ((end = buffered.indexOf('\n\n')) !== -1) {
+                const block = buffered.slice(0, end);
+                buffered = buffered.slice(end + 2);
+                const fields = Object.fromEntries(block.split('\n')
+                    .filter(line => line && !line.startsWith(':'))
+                    .map(line => [line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 2)]));
+                if (fields.event) {
+                    events.push({ id: fields.id, type: fields.event, data: JSON.parse(fields.data) });
+                }
+            }
+        }
+    })().catch(() => {});
+
+    async function close() {
+        controller.abort();
+        await reading;
+    }
+
+    return { response, events, close };
+}
+
+test('a new client gets the current icon, then every activation', async () => {
+    const stream = await openStream();
+    try {
+        assert.match(stream.response.headers.get('content-type'), /^text\/event-stream/);
+        await waitFor(() => stream.events.length === 1);
+        assert.equal(stream.events[0].data.iconName, 'DEFAULT');
+
+        const activated = await api.request('POST', '/api/admin/icons/activate', { body: { iconName: 'navratri1' } });
+        assert.equal(activated.status, 200);
+        await waitFor(() => stream.events.length === 2);
+        assert.equal(stream.events[1].type, 'icon');
+        assert.equal(stream.events[1].data.iconName, 'navratri1');
+        assert.equal(stream.events[1].data.url, `${api.baseUrl}/uploads/icons/navratri1.png`);
+    } finally {
+        await stream.close();
+    }
+});
+
+test('a reconnecting client resumes after its Last-Event-ID instead of getting a snapshot', async () => {
+    const first = await openStream();
+    await waitFor(() => first.events.length === 1);
+    await api.request('POST', '/api/admin/icons/activate', { body: { iconName: 'navratri1' } });
+    await waitFor(() => first.events.length === 2);
+    const seen = first.events[1].id;
+    await first.close();
+
+    await api.request('POST', '/api/admin/icons/activate', { body: { iconName: 'navratri3' } });
+
+    const resumed = await openStream('/api/app/icon-stream', { 'last-event-id': seen });
+    try {
+        await waitFor(() => resumed.events.length === 1);
+        assert.equal(resumed.events[0].data.iconName, 'navratri3');
+        assert.ok(Number(resumed.events[0].id) > Number(seen));
+    } finally {
+        await resumed.close();
+    }
+});
+
+test('each client gets the variant for its own platform', async () => {
+    await iconStore.addIcon({
+        iconName: 'diwali',
+        name: 'Diwali',
+        url: 'https://cdn.example.com/diwali.png',
+        storage: 'url',
+        variants: [
+            { key: 'ios-3x', platform: 'ios', density: '3x', size: 180, url: 'https://cdn.example.com/diwali-180.png', source: 'registered' },
+            { key: 'android-xxxhdpi', platform: 'android', density: 'xxxhdpi', size: 192, url: 'https://cdn.example.com/diwali-192.png', source: 'registered' }
+        ]
+    });
+    const ios = await openStream('/api/app/icon-stream?platform=ios');
+    const android = await openStream('/api/app/icon-stream', { 'x-platform': 'android' });
+    try {
+        await waitFor(() => ios.events.length === 1 && android.events.length === 1);
+        await api.request('POST', '/api/admin/icons/activate', { body: { iconName: 'diwali' } });
+        await waitFor(() => ios.events.length === 2 && android.events.length === 2);
+
+        assert.equal(ios.events[1].data.variant.key, 'ios-3x');
+        assert.equal(android.events[1].data.variant.key, 'android-xxxhdpi');
+        assert.equal(ios.events[1].data.variants, undefined);
+    } finally {
+        await ios.close();
+        await android.close();
+    }
+});
@@ -0,0 +1,90 @@
+const { test, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { useMemoryModels, startApp } = require('./helpers/testApp');
+
+const models = useMemoryModels();
+const iconStore = require('../lib/iconStore');
+const iconTargeting = require('../lib/iconTargeting');
+const pushNotifications = require('../lib/pushNotifications');
+
+let api;
+
+before(async () => {
+    pushNotifications.setMessagingClient(null);
+    api = await startApp();
+});
+
+after(() => api.close());
+
+// Every test creates its own rules through the API, which also resets the rule cache
+beforeEach(async () => {
+    Object.values(models).forEach(memory => memory.clear());
+    await iconStore.seedDefaultIcons();
+});
+
+async function createRule(rule) {
+    const response = await api.request('POST', '/api/admin/icon-rules', { body: rule });
+    assert.equal(response.status, 201);
+    return response.body.data;
+}
+
+test('versions compare numerically and user buckets are stable', () => {
+    assert.equal(iconTargeting.compareVersions('2.10.1', '2.9'), 1);
+    assert.equal(iconTargeting.compareVersions('3.0', '3.0.0'), 0);
+    assert.equal(iconTargeting.getUserBucket('user-1', 'rule-a'), iconTargeting.getUserBucket('user-1', 'rule-a'));
+    assert.ok(iconTargeting.getUserBucket('user-1', 'rule-a') < 100);
+});
+
+test('two countries behind one cache key get their own icon', async () => {
+    await createRule({ name: 'India', iconName: 'navratri1', conditions: { countries: ['IN'] } });
+
+    const india = await api.request('GET', '/api/app/current-icon', { token: null, headers: { 'cf-ipcountry': 'IN' } });
+    const us = await api.request('GET', '/api/app/current-icon', { token: null, headers: { 'cf-ipcountry': 'US' } });
+
+    assert.equal(india.body.data.iconName, 'navratri1');
+    assert.equal(india.body.data.source, 'rule');
+    assert.equal(us.body.data.iconName, 'DEFAULT');
+    assert.equal(us.body.data.source, 'global');
+
+    // Same URL, so a CDN keys them apart only through Vary
+    assert.match(india.headers.get('vary'), /CF-IPCountry/);
+    assert.match(us.headers.get('vary'), /CF-IPCountry/);
+
+    // Revalidating the Indian copy from the US must not get a 304
+    const revalidated = await api.request('GET', '/api/app/current-icon', {
+        token: null,
+        headers: { 'cf-ipcountry': 'US', 'cache-control': 'max-age=0', 'if-none-match': india.headers.get('etag') }
+    });
+    assert.equal(revalidated.status, 200);
+    assert.equal(revalidated.body.data.iconName, 'DEFAULT');
+});
+
+test('rule responses rely on the ETag alone, and rollouts are never shared', async () => {
+    await createRule({ name: 'iOS', iconName: 'navratri3', priority: 1, conditions: { platforms: ['ios'] } });
+    await createRule({ name: 'Half of Android', iconName: 'navratri1', conditions: { platforms: ['android'], rolloutPercentage: 50 } });
+
+    const ios = await api.request('GET', '/api/app/current-icon?platform=ios', { token: null });
+    assert.equal(ios.body.data.iconName, 'navratri3');
+    assert.equal(ios.headers.get('last-modified'), null);
+    assert.match(ios.headers.get('cache-control'), /^public/);
+
+    const android = await api.request('GET', '/api/app/current-icon?platform=android&userId=user-7', { token: null });
+    assert.match(android.headers.get('cache-control'), /^private/);
+
+    const global = await api.request('GET', '/api/app/current-icon', { token: null });
+    assert.equal(global.body.data.iconName, 'DEFAULT');
+    assert.ok(global.headers.get('last-modified'));
+});
+
+test('preview shows which rule a context would match and why others did not', async () => {
+    await createRule({ name: 'New apps', iconName: 'navratri1', conditions: { minAppVersion: '2.0' } });
+
+    const oldApp = await api.request('POST', '/api/admin/icon-rules/preview', { body: { appVersion: '1.9.3' } });
+    assert.equal(oldApp.body.data.source, 'global');
+    assert.equal(oldApp.body.data.iconName, 'DEFAULT');
+    assert.deepEqual(oldApp.body.data.evaluations[0].reasons, ['appVersion 1.9.3 below 2.0']);
+
+    const newApp = await api.request('POST', '/api/admin/icon-rules/preview', { body: { appVersion: '2.1' } });
+    assert.equal(newApp.body.data.iconName, 'navratri1');
+    assert.equal(newApp.body.data.matchedRule.name, 'New apps');
+});
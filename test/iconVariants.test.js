@@ -0,0 +1,100 @@
+const { test, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { useMemoryModels, startApp } = require('./helpers/testApp');
+const { createFakeCloudinary } = require('./helpers/fakeCloudinary');
+
+// Icon uploads go to Cloudinary only when it is configured
+process.env.CLOUDINARY_CLOUD_NAME = 'test-cloud';
+process.env.CLOUDINARY_API_KEY = 'test-key';
+process.env.CLOUDINARY_API_SECRET = 'test-secret';
+
+const models = useMemoryModels();
+const { setCloudinaryClient } = require('../lib/cloudinaryClient');
+const iconStore = require('../lib/iconStore');
+const iconVariants = require('../lib/iconVariants');
+const pushNotifications = require('../lib/pushNotifications');
+
+let api;
+let cloudinary;
+
+before(async () => {
+    pushNotifications.setMessagingClient(null);
+    api = await startApp();
+});
+
+after(() => {
+    setCloudinaryClient(null);
+    return api.close();
+});
+
+beforeEach(() => {
+    Object.values(models).forEach(memory => memory.clear());
+    delete process.env.PUBLIC_BASE_URL;
+    cloudinary = createFakeCloudinary();
+    setCloudinaryClient(cloudinary);
+});
+
+function byKey(variants) {
+    return Object.fromEntries(variants.map(variant => [variant.key, variant]));
+}
+
+test('Cloudinary icons get a resized derivative for every size', () => {
+    const variants = iconVariants.buildVariants({ storage: 'cloudinary', publicId: 'app-icons/icon_diwali', url: 'https://res.cloudinary.com/x.png' });
+
+    assert.deepEqual(variants.map(variant => variant.key), iconVariants.VARIANT_KEYS);
+    assert.ok(variants.every(variant => variant.source === 'generated'));
+    assert.equal(byKey(variants)['android-mdpi'].url, 'https://res.cloudinary.com/test-cloud/image/upload/w_48,h_48,c_fill/app-icons/icon_diwali.png');
+});
+
+test('icons at a public URL are resized through Cloudinary fetch', () => {
+    const variants = iconVariants.buildVariants({ storage: 'url', url: 'https://cdn.example.com/diwali.png' });
+
+    assert.equal(variants.length, iconVariants.VARIANT_KEYS.length);
+    assert.equal(byKey(variants)['ios-3x'].url, 'https://res.cloudinary.com/test-cloud/image/fetch/w_180,h_180,c_fill/f_png/https://cdn.example.com/diwali.png');
+    assert.ok(variants.every(variant => variant.url !== 'https://cdn.example.com/diwali.png'));
+});
+
+test('local icons are fetched through PUBLIC_BASE_URL, and get no variants without it', () => {
+    const icon = { storage: 'local', publicId: 'diwali_1.png', url: '/uploads/icons/diwali_1.png' };
+    assert.deepEqual(iconVariants.buildVariants(icon), []);
+
+    process.env.PUBLIC_BASE_URL = 'https://api.example.com/';
+    const variants = iconVariants.buildVariants(icon);
+    assert.equal(variants.length, iconVariants.VARIANT_KEYS.length);
+    assert.ok(byKey(variants)['android-hdpi'].url.endsWith('/fetch/w_72,h_72,c_fill/f_png/https://api.example.com/uploads/icons/diwali_1.png'));
+});
+
+test('without Cloudinary only registered variants are listed', () => {
+    setCloudinaryClient({ ...cloudinary, config: () => ({}) });
+
+    const variants = iconVariants.buildVariants(
+        { storage: 'url', url: 'https://cdn.example.com/diwali.png' },
+        { 'ios-3x': 'https://cdn.example.com/diwali-180.png' }
+    );
+
+    assert.deepEqual(variants.map(variant => [variant.key, variant.source]), [['ios-3x', 'registered']]);
+    assert.equal(iconVariants.selectVariant(variants, 'android', 'xxhdpi'), null);
+});
+
+test('current-icon returns the variant for the platform and density asked for', async () => {
+    await iconStore.seedDefaultIcons();
+    await iconStore.addIcon({
+        iconName: 'diwali',
+        name: 'Diwali',
+        url: 'https://res.cloudinary.com/test-cloud/image/upload/app-icons/icon_diwali.png',
+        storage: 'cloudinary',
+        publicId: 'app-icons/icon_diwali',
+        variants: iconVariants.buildVariants({ storage: 'cloudinary', publicId: 'app-icons/icon_diwali' })
+    });
+    await iconStore.activateIcon('diwali');
+
+    const ios = await api.request('GET', '/api/app/current-icon?platform=ios&density=2', { token: null });
+    assert.equal(ios.body.data.variant.key, 'ios-2x');
+    assert.ok(ios.body.data.variant.url.includes('/w_120,h_120,c_fill/'));
+
+    const android = await api.request('GET', '/api/app/current-icon', { token: null, headers: { 'x-platform': 'android', 'x-density': '2.625' } });
+    assert.equal(android.body.data.variant.key, 'android-xxhdpi');
+
+    const unknown = await api.request('GET', '/api/app/current-icon', { token: null });
+    assert.equal(unknown.body.data.variant, null);
+});
@@ -0,0 +1,68 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { readExifOrientation, stripImageMetadata } = require('../lib/imageMetadata');
+const { createPng } = require('./helpers/fakeCloudinary');
+
+function segment(marker, body) {
+    const header = Buffer.from([0xff, marker, 0x00, 0x00]);
+    header.writeUInt16BE(body.length + 2, 2);
+    return Buffer.concat([header, Buffer.from(body)]);
+}
+
+// EXIF block with the Orientation tag followed by text standing in for camera and GPS details
+function exifSegment(orientation) {
+    return segment(0xe1, Buffer.concat([
+        Buffer.from('Exif\0\0', 'ascii'),
+        Buffer.from([0x4d, 0x4d, 0x00, 0x2a, 0x00, 0x00, 0x00, 0x08, 0x00, 0x01]),
+        Buffer.from([0x01, 0x12, 0x00, 0x03, 0x00, 0x00, 0x00, 0x01, 0x00, orientation, 0x00, 0x00]),
+        Buffer.from([0x00, 0x00, 0x00, 0x00]),
+        Buffer.from('GPS 52.5200N 13.4050E Pixel 7', 'ascii')
+    ]));
+}
+
+const jfif = segment(0xe0, Buffer.from('JFIF\0\x01\x01\0\0\x01\0\x01\0\0', 'latin1'));
+const quantTable = segment(0xdb, Buffer.alloc(65));
+const scan = Buffer.concat([segment(0xda, Buffer.alloc(10)), Buffer.from([0x12, 0x34, 0xff, 0xd9])]);
+
+// Markers of the segments before the scan, e.g. ['e0', 'e1', 'db']
+function markers(jpeg) {
+    const found = [];
+    let offset = 2;
+    while (jpeg[offset + 1] !== 0xda) {
+        found.push(jpeg[offset + 1].toString(16));
+        offset += 2 + jpeg.readUInt16BE(offset + 2);
+    }
+    return found;
+}
+
+test('keeps JFIF first and puts the orientation back after it', () => {
+    const jpeg = Buffer.concat([Buffer.from([0xff, 0xd8]), jfif, exifSegment(6), quantTable, scan]);
+
+    const stripped = stripImageMetadata(jpeg);
+
+    assert.deepEqual(markers(stripped), ['e0', 'e1', 'db']);
+    const app1 = 2 + jfif.length;
+    assert.equal(readExifOrientation(stripped.subarray(app1 + 4, app1 + 2 + stripped.readUInt16BE(app1 + 2))), 6);
+    assert.ok(!stripped.includes('GPS'));
+    assert.ok(stripped.subarray(stripped.length - scan.length).equals(scan));
+});
+
+test('puts the orientation straight after SOI when there is no JFIF segment', () => {
+    const jpeg = Buffer.concat([Buffer.from([0xff, 0xd8]), quantTable, exifSegment(3), scan]);
+
+    assert.deepEqual(markers(stripImageMetadata(jpeg)), ['e1', 'db']);
+});
+
+test('drops upright orientation along with the rest of the EXIF block', () => {
+    const jpeg = Buffer.concat([Buffer.from([0xff, 0xd8]), jfif, exifSegment(1), quantTable, scan]);
+
+    assert.deepEqual(markers(stripImageMetadata(jpeg)), ['e0', 'db']);
+});
+
+test('strips PNG text chunks and leaves a clean PNG unchanged', () => {
+    const clean = createPng();
+    const tagged = createPng({ chunks: [['tEXt', 'Author\0someone'], ['eXIf', 'MM']] });
+
+    assert.ok(stripImageMetadata(tagged).equals(clean));
+    assert.ok(stripImageMetadata(clean).equals(clean));
+});
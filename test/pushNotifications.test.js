@@ -0,0 +1,149 @@
+const { test, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { useMemoryModels, startApp, waitFor } = require('./helpers/testApp');
+
+const models = useMemoryModels();
+const iconStore = require('../lib/iconStore');
+const pushNotifications = require('../lib/pushNotifications');
+
+// Records what would have gone to FCM. `failWith` makes send() reject; `staleTokens` are reported
+// as unregistered by sendEachForMulticast.
+function createFakeMessaging({ failWith, staleTokens = [] } = {}) {
+    const fake = {
+        sent: [],
+        multicasts: [],
+        async send(message) {
+            if (failWith) throw new Error(failWith);
+            fake.sent.push(message);
+            return `projects/test/messages/${fake.sent.length}`;
+        },
+        async sendEachForMulticast(message) {
+            fake.multicasts.push(message);
+            const responses = message.tokens.map(token => (staleTokens.includes(token)
+                ? { success: false, error: { code: 'messaging/registration-token-not-registered', message: 'gone' } }
+                : { success: true }));
+            return { successCount: responses.filter(response => response.success).length, responses };
+        },
+        async subscribeToTopic() {},
+        async unsubscribeFromTopic() {}
+    };
+    return fake;
+}
+
+const icon = { iconName: 'diwali', name: 'Diwali', url: '/uploads/icons/diwali.png', lastUpdated: new Date('2025-10-20T00:00:00Z') };
+
+let api;
+
+before(async () => {
+    api = await startApp();
+});
+
+after(() => {
+    pushNotifications.setMessagingClient(undefined);
+    return api.close();
+});
+
+beforeEach(() => {
+    Object.values(models).forEach(memory => memory.clear());
+});
+
+test('sends a refetch signal to the icon topic and records the delivery', async () => {
+    const messaging = createFakeMessaging();
+    pushNotifications.setMessagingClient(messaging);
+
+    const result = await pushNotifications.sendIconChange(icon);
+
+    assert.equal(result.status, 'sent');
+    assert.equal(messaging.sent.length, 1);
+    assert.equal(messaging.sent[0].topic, pushNotifications.ICON_TOPIC);
+    // Targeting rules can give each device a different icon, so the push never names one
+    assert.deepEqual(messaging.sent[0].data, {
+        type: 'ICON_CHANGED',
+        changedAt: '2025-10-20T00:00:00.000Z'
+    });
+
+    const [delivery] = models.NotificationDelivery.docs;
+    assert.equal(delivery.status, 'sent');
+    assert.equal(delivery.iconName, 'diwali');
+    assert.equal(delivery.messageId, result.messageId);
+    assert.equal(delivery.target, `topic:${pushNotifications.ICON_TOPIC}`);
+});
+
+test('records a failed delivery without throwing', async () => {
+    pushNotifications.setMessagingClient(createFakeMessaging({ failWith: 'quota exceeded' }));
+
+    const result = await pushNotifications.sendIconChange(icon);
+
+    assert.deepEqual(result, { status: 'failed', error: 'quota exceeded' });
+    assert.equal(models.NotificationDelivery.docs[0].status, 'failed');
+    assert.equal(models.NotificationDelivery.docs[0].error, 'quota exceeded');
+});
+
+test('records a skipped delivery when Firebase is not configured', async () => {
+    pushNotifications.setMessagingClient(null);
+
+    assert.deepEqual(await pushNotifications.sendIconChange(icon), { status: 'skipped' });
+    assert.equal(models.NotificationDelivery.docs[0].status, 'skipped');
+});
+
+test('removes device tokens FCM reports as unregistered', async () => {
+    pushNotifications.setMessagingClient(createFakeMessaging({ staleTokens: ['old-token'] }));
+    models.Device.insert({ pushToken: 'old-token', platform: 'android' });
+    models.Device.insert({ pushToken: 'new-token', platform: 'android' });
+
+    const result = await pushNotifications.sendIconChangeToDevices(icon, ['old-token', 'new-token']);
+
+    assert.equal(result.status, 'sent');
+    assert.equal(result.successCount, 1);
+    assert.equal(result.removedTokens, 1);
+    assert.deepEqual(models.Device.docs.map(device => device.pushToken), ['new-token']);
+    assert.equal(models.NotificationDelivery.docs[0].failureCount, 1);
+});
+
+test('activating an icon from the admin API pushes the change', async () => {
+    const messaging = createFakeMessaging();
+    pushNotifications.setMessagingClient(messaging);
+    await iconStore.seedDefaultIcons();
+
+    const response = await api.request('POST', '/api/admin/icons/activate', { body: { iconName: 'navratri1' } });
+    assert.equal(response.status, 200);
+
+    // The push is sent after the response
+    await waitFor(() => messaging.sent.length > 0);
+    assert.equal(messaging.sent.length, 1);
+    assert.equal(messaging.sent[0].data.type, 'ICON_CHANGED');
+    await waitFor(() => models.NotificationDelivery.docs.length > 0);
+    assert.equal(models.NotificationDelivery.docs[0].iconName, 'navratri1');
+});
+
+test('an activation with a target only pushes to the matching devices', async () => {
+    const messaging = createFakeMessaging();
+    pushNotifications.setMessagingClient(messaging);
+    await iconStore.seedDefaultIcons();
+    models.Device.insert({ pushToken: 'android-token', platform: 'android' });
+    models.Device.insert({ pushToken: 'ios-token', platform: 'ios' });
+
+    const response = await api.request('POST', '/api/admin/icons/activate', {
+        body: { iconName: 'navratri1', target: { platform: 'ios' } }
+    });
+    assert.equal(response.status, 200);
+
+    await waitFor(() => messaging.multicasts.length > 0);
+    assert.deepEqual(messaging.multicasts[0].tokens, ['ios-token']);
+    assert.equal(messaging.multicasts[0].data.type, 'ICON_CHANGED');
+    assert.equal(messaging.sent.length, 0);
+});
+
+test('changing a targeting rule pushes a refetch signal too', async () => {
+    const messaging = createFakeMessaging();
+    pushNotifications.setMessagingClient(messaging);
+    await iconStore.seedDefaultIcons();
+
+    const response = await api.request('POST', '/api/admin/icon-rules', {
+        body: { name: 'India', iconName: 'navratri1', conditions: { countries: ['IN'] } }
+    });
+    assert.equal(response.status, 201);
+
+    await waitFor(() => messaging.sent.length > 0);
+    assert.equal(messaging.sent[0].data.type, 'ICON_CHANGED');
+});
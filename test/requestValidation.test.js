@@ -0,0 +1,83 @@
+const { test, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { useMemoryModels, startApp } = require('./helpers/testApp');
+
+const models = useMemoryModels();
+const Icon = require('../models/Icon');
+const iconStore = require('../lib/iconStore');
+const { validate } = require('../lib/requestValidation');
+const schemas = require('../lib/requestSchemas');
+
+let api;
+
+// Every error response carries these, and nothing in place of them
+function assertEnvelope(response, status, error) {
+    assert.equal(response.status, status);
+    assert.equal(response.body.success, false);
+    assert.equal(response.body.error, error);
+    assert.equal(typeof response.body.message, 'string');
+    assert.ok(response.body.message.length > 0);
+}
+
+before(async () => {
+    api = await startApp();
+});
+
+after(() => api.close());
+
+beforeEach(async () => {
+    Object.values(models).forEach(memory => memory.clear());
+    await iconStore.seedDefaultIcons();
+});
+
+test('normalizes fields and drops ones the schema does not list', () => {
+    const { value, errors } = validate(schemas.feedback.submit.body, {
+        title: '  Crash  ',
+        description: 'Details',
+        emailId: ' someone@example.com ',
+        createdBy: 'mallory'
+    });
+
+    assert.deepEqual(errors, []);
+    assert.deepEqual(value, { title: 'Crash', description: 'Details', emailId: 'someone@example.com' });
+});
+
+test('reports every failing field, coercing query strings first', () => {
+    const { value, errors } = validate(schemas.devices.list.query, { page: '2', limit: '500', platform: 'IOS', seenSince: 'yesterday' }, { coerce: true });
+
+    assert.equal(value.page, 2);
+    assert.equal(value.platform, 'ios');
+    assert.deepEqual(errors.map(error => error.field), ['seenSince', 'limit']);
+});
+
+test('conflicts with existing data are reported like any other invalid field', async () => {
+    const duplicate = await api.request('POST', '/api/admin/icons/add', {
+        body: { iconName: 'navratri1', displayName: 'Again', iconUrl: 'https://cdn.example.com/n1.png' }
+    });
+    assertEnvelope(duplicate, 400, 'Validation failed');
+    assert.deepEqual(duplicate.body.details, [{ location: 'body', field: 'iconName', message: "Icon 'navratri1' already exists" }]);
+
+    const renameFallback = await api.request('PATCH', '/api/admin/icons/DEFAULT', { body: { newIconName: 'classic' } });
+    assertEnvelope(renameFallback, 400, 'Validation failed');
+    assert.equal(renameFallback.body.details[0].field, 'newIconName');
+
+    const deleteFallback = await api.request('DELETE', '/api/admin/icons/DEFAULT');
+    assertEnvelope(deleteFallback, 400, 'Validation failed');
+    assert.deepEqual(deleteFallback.body.details.map(detail => [detail.location, detail.field]), [['params', 'iconName']]);
+});
+
+test('other client and server errors share the envelope', async t => {
+    assertEnvelope(await api.request('PATCH', '/api/admin/icons/missing', { body: { displayName: 'Missing' } }), 404, 'Icon not found');
+    assertEnvelope(await api.request('POST', '/api/admin/icons/rollback', { body: {} }), 409, 'Rollback not possible');
+    assertEnvelope(await api.request('DELETE', '/api/admin/campaigns/000000000000000000000000'), 404, 'Campaign not found');
+    assertEnvelope(await api.request('GET', '/api/feedback/unknown-id'), 404, 'Feedback not found');
+    assertEnvelope(await api.request('GET', '/api/admin/icons', { token: null }), 401, 'Unauthorized');
+    assertEnvelope(await api.request('GET', '/api/nowhere'), 404, 'Endpoint not found');
+
+    t.mock.method(Icon, 'findOneAndUpdate', () => {
+        throw new Error('Connection reset');
+    });
+    const failing = await api.request('POST', '/api/admin/icons/activate', { body: { iconName: 'navratri1' } });
+    assertEnvelope(failing, 500, 'Internal server error');
+    assert.equal(failing.body.message, 'Failed to activate icon: Connection reset');
+});
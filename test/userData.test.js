@@ -0,0 +1,121 @@
+const { test, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const { useMemoryModels, startApp } = require('./helpers/testApp');
+
+process.env.APP_JWT_SECRET = 'test-app-secret-'.repeat(3);
+
+const models = useMemoryModels();
+const { getFeedbackStore } = require('../lib/feedbackStore');
+const feedbackOutbox = require('../lib/feedbackOutbox');
+const userData = require('../lib/userData');
+
+const user = { userId: 'user-42', emailId: 'someone@example.com' };
+
+function queueSubmission(title) {
+    return feedbackOutbox.enqueue({
+        feedbackData: {
+            title,
+            description: 'Search never finishes',
+            userId: user.userId,
+            emailId: user.emailId,
+            date: '2025-10-01',
+            timestamp: '2025-10-01T10:00:00.000Z'
+        }
+    });
+}
+
+async function storedForUser() {
+    const records = await getFeedbackStore().list();
+    return records.filter(record => record.user_id === user.userId);
+}
+
+let api;
+
+before(async () => {
+    await getFeedbackStore().init();
+    api = await startApp();
+});
+
+after(() => api.close());
+
+beforeEach(() => {
+    Object.values(models).forEach(memory => memory.clear());
+});
+
+test('erasing a queued submission removes it before the worker can deliver it', async () => {
+    const entry = await queueSubmission('Queued');
+
+    const receipt = await userData.eraseUserData(user, { mode: 'delete', actor: 'alice' });
+    await feedbackOutbox.processOutbox();
+
+    assert.equal(receipt.status, 'completed');
+    assert.equal(receipt.outboxEntriesDeleted, 1);
+    assert.equal(models.FeedbackOutbox.docs.length, 0);
+    assert.equal(await getFeedbackStore().get(entry.feedbackId), null);
+});
+
+test('erasure waits for a delivery in flight and then erases the record it wrote', async t => {
+    const entry = await queueSubmission('In flight');
+    const store = getFeedbackStore();
+    const append = store.append.bind(store);
+    let releaseAppend;
+    let appendStarted;
+    const started = new Promise(resolve => {
+        appendStarted = resolve;
+    });
+    t.mock.method(store, 'append', async data => {
+        appendStarted();
+        await new Promise(resolve => {
+            releaseAppend = resolve;
+        });
+        return append(data);
+    });
+
+    const delivering = feedbackOutbox.processOutbox();
+    await started;
+    const erasing = userData.eraseUserData(user, { mode: 'delete', actor: 'alice' });
+    await new Promise(resolve => setTimeout(resolve, 50));
+    releaseAppend();
+
+    const [delivery, receipt] = await Promise.all([delivering, erasing]);
+
+    assert.equal(delivery.delivered, 1);
+    assert.equal(receipt.status, 'completed');
+    assert.deepEqual(receipt.feedbackIds, [entry.feedbackId]);
+    assert.equal(models.FeedbackOutbox.docs.length, 0);
+    assert.deepEqual(await storedForUser(), []);
+});
+
+test('erasure receipts need their own hashing key', t => {
+    const secret = process.env.ERASURE_HASH_SECRET;
+    t.after(() => {
+        process.env.ERASURE_HASH_SECRET = secret;
+    });
+    delete process.env.ERASURE_HASH_SECRET;
+
+    assert.throws(() => userData.hashIdentifier(user.userId), /ERASURE_HASH_SECRET must be configured/);
+});
+
+test('app users can list their own feedback and nobody else\'s', async () => {
+    for (const [feedbackId, userId] of [['fb-mine', 'user-list-1'], ['fb-theirs', 'user-list-2']]) {
+        await getFeedbackStore().append({
+            feedbackId,
+            title: 'Crash on launch',
+            description: 'The app closes right away',
+            userId,
+            date: '2025-10-01',
+            timestamp: '2025-10-01T10:00:00.000Z'
+        });
+    }
+    const path = '/api/app/users/user-list-1/feedback';
+    const tokenFor = userId => jwt.sign({}, process.env.APP_JWT_SECRET, { subject: userId, expiresIn: '5m' });
+
+    assert.equal((await api.request('GET', path, { token: null })).status, 401);
+    assert.equal((await api.request('GET', path, { token: 'not-a-token' })).status, 401);
+    assert.equal((await api.request('GET', path, { token: tokenFor('user-list-2') })).status, 403);
+
+    const own = await api.request('GET', path, { token: tokenFor('user-list-1') });
+    assert.equal(own.status, 200);
+    assert.deepEqual(own.body.data.map(feedback => feedback.id), ['fb-mine']);
+});